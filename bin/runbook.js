@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * runbook - run Runbook Notebook markdown files from the command line (CI, cron, SSH sessions)
+ *
+ *   runbook run file.runbook.md --var env=prod --from "Step 3"
+ *   runbook verify file.runbook.md
+ */
+
+const path = require('path');
+const { setWorkspaceRoot, setConfigurationValue } = require('../src/cli/headlessVscode');
+
+const USAGE = `Usage: runbook run <file.md> [options]
+       runbook verify <file.md> [options]
+
+run     Run the code cells of a runbook in order, stopping at the first failure,
+        and write the runbook back with the cell outputs.
+verify  Re-run every code cell and compare the output with the saved outputs,
+        exiting with 1 on any mismatch. The runbook is not written.
+
+Options:
+  --var <name=value>   Set a {{variable}} (repeatable; overrides VARIABLES tables)
+  --from <heading>     Start at the cell with this heading instead of the top
+  --timeout <seconds>  Default cell timeout (0 disables it)
+  --workspace <dir>    Workspace root and working directory (default: current directory)
+  --out <file>         Write the executed runbook to <file> instead of the input file
+  --no-save            Do not write the executed runbook
+  -h, --help           Show this help`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the node executable and script
+ * @returns {Object} - Parsed command, file and options
+ */
+function parseArguments(argv) {
+  const parsed = { command: null, file: null, variables: {}, from: null, timeout: null, workspace: null, out: null, save: true, help: false };
+  const valueOf = (flag, index) => {
+    if (index >= argv.length) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    return argv[index];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-h':
+      case '--help':
+        parsed.help = true;
+        break;
+      case '--var': {
+        const assignment = valueOf(arg, ++i);
+        const separator = assignment.indexOf('=');
+        if (separator <= 0) {
+          throw new Error(`Invalid --var "${assignment}", expected name=value`);
+        }
+        parsed.variables[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+        break;
+      }
+      case '--from':
+        parsed.from = valueOf(arg, ++i);
+        break;
+      case '--timeout':
+        parsed.timeout = Number(valueOf(arg, ++i));
+        if (!Number.isFinite(parsed.timeout) || parsed.timeout < 0) {
+          throw new Error(`Invalid --timeout "${argv[i]}", expected a number of seconds`);
+        }
+        break;
+      case '--workspace':
+        parsed.workspace = valueOf(arg, ++i);
+        break;
+      case '--out':
+        parsed.out = valueOf(arg, ++i);
+        break;
+      case '--no-save':
+        parsed.save = false;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unknown option ${arg}`);
+        } else if (!parsed.command) {
+          parsed.command = arg;
+        } else if (!parsed.file) {
+          parsed.file = arg;
+        } else {
+          throw new Error(`Unexpected argument ${arg}`);
+        }
+    }
+  }
+  return parsed;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.help || !args.command || args.command === 'help') {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!['run', 'verify'].includes(args.command) || !args.file) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  // Settings must be in place before the runner (and its executors) are created
+  setWorkspaceRoot(args.workspace || process.cwd());
+  if (args.timeout !== null) {
+    setConfigurationValue('runbook-notebook.execution.defaultTimeout', args.timeout);
+  }
+
+  const { RunbookRunner } = require('../src/cli/runner');
+  const { killAllProcessGroups } = require('../src/utils/processTree');
+  const runner = new RunbookRunner({
+    variables: args.variables,
+    from: args.from,
+    save: args.save,
+    out: args.out
+  });
+
+  process.on('SIGINT', () => {
+    console.error('\nInterrupted - stopping the running cell');
+    runner.cancel();
+  });
+  // Don't leave commands started by cells running after the CLI exits
+  process.on('exit', () => killAllProcessGroups());
+
+  try {
+    if (args.command === 'verify') {
+      const summary = await runner.verify(path.resolve(args.file));
+      return summary.success ? 0 : 1;
+    }
+
+    const result = await runner.run(path.resolve(args.file));
+    console.error(result.success ? `\n✔ ${result.executed} cell(s) executed` : '\n✖ Runbook failed');
+    return result.success ? 0 : 1;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,210 @@
+const path = require('path');
+const vscode = require('../utils/vscodeApi');
+const { STDERR_MIME } = require('../utils/outputStreams');
+const { isAnnotationOutput } = require('../utils/workflowCommands');
+
+/**
+ * Decode the text of a cell output (the items of its first item's type, e.g. appended stdout text)
+ * @param {vscode.NotebookCellOutput} output - Cell output
+ * @returns {Object|null} - The item mime type, decoded text and error message (if any), or null for an empty output
+ */
+function decodeOutput(output) {
+  const item = output && output.items && output.items[0];
+  if (!item) {
+    return null;
+  }
+  const text = output.items.filter(other => other.mime === item.mime).map(other => new TextDecoder().decode(other.data)).join('');
+  if (item.mime === 'application/vnd.code.notebook.error') {
+    const error = JSON.parse(text);
+    return { mime: item.mime, text: error.stack || error.message || '', message: error.message };
+  }
+  // Markdown outputs carry trailing double spaces for line breaks - not wanted on a terminal
+  return { mime: item.mime, text: text.replace(/ {2}$/gm, '') };
+}
+
+/**
+ * Notebook document backed by deserialized notebook data, for running cells outside VS Code
+ * Cells are views over the NotebookCellData objects, so outputs land in the data that gets saved
+ */
+class HeadlessNotebook {
+  /**
+   * @param {vscode.NotebookData} data - Deserialized notebook data
+   * @param {string} filePath - Path of the runbook file
+   */
+  constructor(data, filePath) {
+    this.data = data;
+    this.metadata = data.metadata || {};
+    const fsPath = path.resolve(filePath);
+    this.uri = {
+      fsPath,
+      toString: () => `file://${fsPath}`
+    };
+    this.cells = data.cells.map((cellData, index) => ({
+      index,
+      kind: cellData.kind,
+      get metadata() {
+        return cellData.metadata || {};
+      },
+      get outputs() {
+        return cellData.outputs || [];
+      },
+      document: {
+        languageId: cellData.languageId,
+        getText: () => cellData.value
+      },
+      data: cellData
+    }));
+  }
+
+  /**
+   * Get the cells of the notebook
+   * @returns {Array<Object>} - Notebook cells
+   */
+  getCells() {
+    return this.cells;
+  }
+}
+
+/**
+ * Stand-in for the notebook controller: executions write outputs to the cell data and
+ * stream new stdout/stderr text to the given streams as it arrives
+ * Appended output items are printed as they are; replaced outputs are printed as far as they are new,
+ * unless the cell already streams by appending (then a replace only rebuilds the view, e.g. after truncation).
+ */
+class HeadlessController {
+  /**
+   * @param {Object} token - Cancellation token shared by all executions
+   * @param {NodeJS.WritableStream} stdout - Where streamed stdout is written
+   * @param {NodeJS.WritableStream} stderr - Where streamed stderr and errors are written
+   */
+  constructor(token, stdout = process.stdout, stderr = process.stderr) {
+    this.token = token;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+
+  /**
+   * Create an execution for a cell
+   * @param {Object} cell - Headless notebook cell
+   * @returns {Object} - Execution with start, end, replaceOutput, appendOutput and appendOutputItems
+   */
+  createNotebookCellExecution(cell) {
+    const printed = { stdout: '', stderr: '' };
+    let appending = false;
+
+    // Outputs are replaced with everything received so far - only print what is new
+    const print = (name, text) => {
+      const stream = this[name];
+      if (text.startsWith(printed[name])) {
+        stream.write(text.slice(printed[name].length));
+      } else {
+        stream.write((printed[name] && !printed[name].endsWith('\n') ? '\n' : '') + text);
+      }
+      printed[name] = text;
+    };
+
+    // Print the text of the outputs that was not printed yet
+    const show = (outputs) => {
+      const decoded = outputs.map(decodeOutput).filter(Boolean);
+      if (decoded.length === 0) {
+        return;
+      }
+      if (decoded[0].mime === 'application/vnd.code.notebook.error') {
+        // Failed commands repeat the output already streamed - only show errors raised before running
+        if (!printed.stdout && !printed.stderr) {
+          print('stderr', decoded[0].text);
+        }
+        return;
+      }
+      // Stderr outputs go to stderr, everything else (stdout, markdown) to stdout
+      const text = { stdout: '', stderr: '' };
+      for (const output of decoded) {
+        text[output.mime === STDERR_MIME ? 'stderr' : 'stdout'] += output.text;
+      }
+      print('stdout', text.stdout);
+      print('stderr', text.stderr);
+    };
+
+    // Print appended items as they are (only the end of the printed text is remembered)
+    const append = (items) => {
+      appending = true;
+      for (const item of items) {
+        const name = item.mime === STDERR_MIME ? 'stderr' : 'stdout';
+        const text = new TextDecoder().decode(item.data);
+        this[name].write(text);
+        printed[name] = (printed[name] + text).slice(-1);
+      }
+    };
+
+    const execution = {
+      token: this.token,
+      success: undefined,
+      start: () => { },
+      end: (success) => {
+        execution.success = success;
+        for (const name of ['stdout', 'stderr']) {
+          if (printed[name] && !printed[name].endsWith('\n')) {
+            this[name].write('\n');
+          }
+        }
+      },
+      replaceOutput: (outputs) => {
+        cell.data.outputs = outputs;
+        // Warnings and errors reported with workflow commands are printed once, when the cell is done
+        for (const output of outputs.filter(isAnnotationOutput)) {
+          const { name, message } = JSON.parse(new TextDecoder().decode(output.items[0].data));
+          this.stderr.write(`${name}: ${message}\n`);
+        }
+        if (!appending) {
+          show(outputs.filter(output => !isAnnotationOutput(output)));
+        }
+      },
+      appendOutput: (outputs) => {
+        cell.data.outputs = [...(cell.data.outputs || []), ...outputs];
+        outputs.forEach(output => append(output.items));
+      },
+      appendOutputItems: (items, output) => {
+        output.items = [...output.items, ...items];
+        append(items);
+      }
+    };
+    return execution;
+  }
+}
+
+/**
+ * Create a cancellation token that is cancelled by calling cancel()
+ * @returns {Object} - Token with isCancellationRequested, onCancellationRequested and cancel
+ */
+function createCancellationToken() {
+  const listeners = [];
+  const token = {
+    isCancellationRequested: false,
+    onCancellationRequested: (listener) => {
+      listeners.push(listener);
+      return {
+        dispose: () => {
+          // Disposing twice must not remove another listener
+          const index = listeners.indexOf(listener);
+          if (index !== -1) {
+            listeners.splice(index, 1);
+          }
+        }
+      };
+    },
+    cancel: () => {
+      if (!token.isCancellationRequested) {
+        token.isCancellationRequested = true;
+        listeners.slice().forEach(listener => listener());
+      }
+    }
+  };
+  return token;
+}
+
+module.exports = {
+  HeadlessNotebook,
+  HeadlessController,
+  createCancellationToken,
+  decodeOutput
+};
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * Headless implementation of the part of the vscode API used by the shared runbook modules
+ * (serializer, executors, variable processing, configuration), so they can run outside VS Code
+ */
+
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Workspace root used for relative paths and as the default working directory
+ */
+let workspaceRoot = process.cwd();
+
+/**
+ * Setting values set from the command line, keyed by full setting name (e.g. "runbook-notebook.execution.defaultTimeout")
+ */
+const configurationValues = new Map();
+
+/**
+ * Set the workspace root directory
+ * @param {string} root - Directory path
+ */
+function setWorkspaceRoot(root) {
+  workspaceRoot = path.resolve(root);
+}
+
+/**
+ * Set a configuration value
+ * @param {string} key - Full setting name
+ * @param {*} value - Setting value
+ */
+function setConfigurationValue(key, value) {
+  configurationValues.set(key, value);
+}
+
+const NotebookCellKind = {
+  Markup: 1,
+  Code: 2
+};
+
+class NotebookCellData {
+  constructor(kind, value, languageId) {
+    this.kind = kind;
+    this.value = value;
+    this.languageId = languageId;
+  }
+}
+
+class NotebookData {
+  constructor(cells) {
+    this.cells = cells;
+  }
+}
+
+class NotebookCellOutput {
+  constructor(items, metadata) {
+    this.items = items;
+    this.metadata = metadata;
+  }
+}
+
+const NotebookCellOutputItem = {
+  text: (value, mime = 'text/plain') => ({
+    mime,
+    data: new TextEncoder().encode(value)
+  }),
+  stdout: (value) => ({
+    mime: 'application/vnd.code.notebook.stdout',
+    data: new TextEncoder().encode(value)
+  }),
+  stderr: (value) => ({
+    mime: 'application/vnd.code.notebook.stderr',
+    data: new TextEncoder().encode(value)
+  }),
+  error: (error) => ({
+    mime: 'application/vnd.code.notebook.error',
+    data: new TextEncoder().encode(JSON.stringify({ name: error.name, message: error.message, stack: error.stack }))
+  })
+};
+
+const workspace = {
+  get workspaceFolders() {
+    return [{ uri: { fsPath: workspaceRoot } }];
+  },
+  getWorkspaceFolder: () => ({ uri: { fsPath: workspaceRoot } }),
+  getConfiguration: (section) => ({
+    get: (key, defaultValue) => {
+      const name = section ? `${section}.${key}` : key;
+      return configurationValues.has(name) ? configurationValues.get(name) : defaultValue;
+    },
+    update: () => Promise.resolve()
+  }),
+  onDidChangeConfiguration: () => ({ dispose: () => { } })
+};
+
+const window = {
+  showInformationMessage: (message) => {
+    console.error(message);
+    return Promise.resolve(undefined);
+  },
+  showWarningMessage: (message) => {
+    console.error(`Warning: ${message}`);
+    return Promise.resolve(undefined);
+  },
+  showErrorMessage: (message) => {
+    console.error(`Error: ${message}`);
+    return Promise.resolve(undefined);
+  },
+  /**
+   * Read an answer from the terminal
+   * Input forwarded to a cell has a title, and its question was already printed by the cell;
+   * without a title the prompt is printed first.
+   * Resolves to undefined without a terminal, so the cell gets end of input instead of hanging
+   */
+  showInputBox: (options = {}, token) => {
+    if (!process.stdin.isTTY) {
+      return Promise.resolve(undefined);
+    }
+    if (!options.title && options.prompt) {
+      process.stderr.write(`${options.prompt}${options.placeHolder ? ` (${options.placeHolder})` : ''}: `);
+    }
+    return new Promise((resolve) => {
+      const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+      let answered = false;
+      let muted = false;
+      const write = rl._writeToOutput.bind(rl);
+      // Don't echo password-like answers
+      rl._writeToOutput = (text) => {
+        if (!muted) {
+          write(text);
+        }
+      };
+      rl.on('SIGINT', () => {
+        rl.close();
+        process.emit('SIGINT');
+      });
+      rl.on('close', () => {
+        if (!answered) {
+          resolve(undefined);
+        }
+      });
+      if (token) {
+        token.onCancellationRequested(() => rl.close());
+      }
+      rl.question('', (answer) => {
+        answered = true;
+        muted = false;
+        if (options.password) {
+          process.stderr.write('\n');
+        }
+        rl.close();
+        resolve(answer);
+      });
+      muted = Boolean(options.password);
+    });
+  },
+  /**
+   * Let the user pick an item on the terminal: the items are listed with numbers, and a number or an item is read
+   * Resolves to undefined without a terminal, or if the answer is not one of the items
+   */
+  showQuickPick: async (items, options = {}, token) => {
+    if (!process.stdin.isTTY) {
+      return undefined;
+    }
+    const labels = items.map(item => typeof item === 'string' ? item : item.label);
+    process.stderr.write(`${options.title || options.placeHolder || 'Pick an item'}\n`);
+    labels.forEach((label, index) => process.stderr.write(`  ${index + 1}) ${label}\n`));
+    const answer = await window.showInputBox({ prompt: 'Choice' }, token);
+    if (answer === undefined) {
+      return undefined;
+    }
+    const index = /^\d+$/.test(answer.trim()) ? Number(answer.trim()) - 1 : labels.indexOf(answer.trim());
+    return items[index];
+  },
+  /**
+   * Run a task, printing its progress messages on stderr
+   */
+  withProgress: (options, task) => {
+    const token = { isCancellationRequested: false, onCancellationRequested: () => ({ dispose: () => { } }) };
+    return Promise.resolve(task({
+      report: ({ message }) => {
+        if (message) {
+          console.error(`[${options.title}] ${message}`);
+        }
+      }
+    }, token));
+  },
+  createOutputChannel: () => ({
+    appendLine: () => { },
+    dispose: () => { }
+  })
+};
+
+module.exports = {
+  NotebookCellKind,
+  NotebookCellData,
+  NotebookData,
+  NotebookCellOutput,
+  NotebookCellOutputItem,
+  workspace,
+  window,
+  ConfigurationTarget: { Global: 1, Workspace: 2, WorkspaceFolder: 3 },
+  ProgressLocation: { SourceControl: 1, Window: 10, Notification: 15 },
+  setWorkspaceRoot,
+  setConfigurationValue
+};
\ No newline at end of file
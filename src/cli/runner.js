@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const vscode = require('../utils/vscodeApi');
+const { NotebookSerializer } = require('../core/notebookSerializer');
+const { CellExecutor } = require('../core/cellExecutor');
+const { parseOptionsFromCode } = require('../utils/optionsParser');
+const { storeCellOutput } = require('../utils/variableProcessor');
+const { STDERR_MIME } = require('../utils/outputStreams');
+const { isAnnotationOutput } = require('../utils/workflowCommands');
+const { getSupportedLanguages } = require('../constants');
+const { RunbookVerifier, formatVerificationReport } = require('../services/runbookVerifier');
+const { HeadlessNotebook, HeadlessController, createCancellationToken, decodeOutput } = require('./headlessNotebook');
+
+/**
+ * Runs a runbook file from start to finish outside VS Code
+ */
+class RunbookRunner {
+  /**
+   * @param {Object} options - Run options
+   * @param {Object<string, string>} options.variables - Variables set on the command line (override VARIABLES tables)
+   * @param {string} options.from - Heading to start running from
+   * @param {boolean} options.save - Write the runbook back with its outputs
+   * @param {string} options.out - Write the executed runbook to this file instead
+   * @param {NodeJS.WritableStream} options.stdout - Stream for cell output
+   * @param {NodeJS.WritableStream} options.stderr - Stream for cell stderr and progress messages
+   */
+  constructor(options = {}) {
+    this.options = {
+      variables: {},
+      from: null,
+      save: true,
+      out: null,
+      stdout: process.stdout,
+      stderr: process.stderr,
+      ...options
+    };
+    this.serializer = new NotebookSerializer();
+    this.cellExecutor = new CellExecutor();
+    this.token = createCancellationToken();
+  }
+
+  /**
+   * Run a runbook file
+   * @param {string} filePath - Path of the runbook
+   * @returns {Promise<Object>} - Result with success flag, executed cell count and the failed cell (if any)
+   */
+  async run(filePath) {
+    const { data, notebook, startIndex } = this.load(filePath);
+    const cells = notebook.getCells();
+
+    const controller = new HeadlessController(this.token, this.options.stdout, this.options.stderr);
+    const supportedLanguages = getSupportedLanguages();
+    const result = { success: true, executed: 0, failedCell: null };
+    const runId = this.cellExecutor.createRunId();
+
+    for (const cell of cells.slice(startIndex)) {
+      if (cell.kind !== vscode.NotebookCellKind.Code || !supportedLanguages.includes(cell.document.languageId)) {
+        continue;
+      }
+      if (this.token.isCancellationRequested) {
+        result.success = false;
+        break;
+      }
+
+      this.options.stderr.write(`\n▶ Cell ${cell.index + 1} (${cell.document.languageId})\n`);
+      const execution = await this.executeCell(cell, controller, notebook, runId);
+      result.executed++;
+
+      if (!execution.success) {
+        result.success = false;
+        result.failedCell = cell.index;
+        const output = decodeOutput(cell.outputs[0]);
+        this.options.stderr.write(`✖ Cell ${cell.index + 1} failed${output && output.message ? `: ${output.message}` : ''}\n`);
+        break;
+      }
+    }
+    this.cellExecutor.sessions.disposeAll();
+
+    if (this.options.save || this.options.out) {
+      fs.writeFileSync(this.options.out || filePath, this.serializer.serializeNotebook(data, this.token));
+    }
+
+    return result;
+  }
+
+  /**
+   * Re-run a runbook file and compare fresh output with its saved outputs, without writing it back
+   * @param {string} filePath - Path of the runbook
+   * @returns {Promise<Object>} - Verification summary with a success flag
+   */
+  async verify(filePath) {
+    const { notebook, startIndex } = this.load(filePath);
+    const verifier = new RunbookVerifier(this.cellExecutor);
+
+    const summary = await verifier.verifyNotebook(notebook, {
+      token: this.token,
+      startIndex,
+      onCellStart: (cell) => this.options.stderr.write(`▶ Cell ${cell.index + 1} (${cell.document.languageId})\n`)
+    });
+    this.cellExecutor.sessions.disposeAll();
+    this.options.stdout.write(formatVerificationReport(summary, path.basename(filePath)) + '\n');
+
+    return { ...summary, success: summary.failed === 0 && !summary.cancelled };
+  }
+
+  /**
+   * Load a runbook and prepare variables for running it
+   * @param {string} filePath - Path of the runbook
+   * @returns {Object} - Notebook data, headless notebook and the index of the first cell to run
+   */
+  load(filePath) {
+    const data = this.serializer.deserializeNotebook(fs.readFileSync(filePath), this.token);
+    const notebook = new HeadlessNotebook(data, filePath);
+    const cells = notebook.getCells();
+
+    const startIndex = this.options.from ? this.findHeading(cells, this.options.from) : 0;
+    if (startIndex === -1) {
+      throw new Error(`Heading not found: ${this.options.from}`);
+    }
+
+    // Cells before the start point keep their saved outputs, which still feed {{variables}}
+    this.seedSkippedOutputs(cells.slice(0, startIndex), notebook);
+    for (const [name, value] of Object.entries(this.options.variables)) {
+      storeCellOutput(name, value, null, notebook);
+    }
+
+    return { data, notebook, startIndex };
+  }
+
+  /**
+   * Execute a single cell and return its finished execution
+   * @param {Object} cell - Headless notebook cell
+   * @param {HeadlessController} controller - Controller that records the execution
+   * @param {HeadlessNotebook} notebook - The notebook
+   * @param {string} runId - Id of the run (RUNBOOK_RUN_ID)
+   * @returns {Promise<Object>} - The execution, with its success flag set
+   */
+  async executeCell(cell, controller, notebook, runId) {
+    let execution = null;
+    const recordingController = {
+      createNotebookCellExecution: (target) => {
+        execution = controller.createNotebookCellExecution(target);
+        return execution;
+      }
+    };
+    await this.cellExecutor.executeCell(cell, recordingController, notebook, runId);
+    return execution;
+  }
+
+  /**
+   * Find the cell containing a heading
+   * @param {Array<Object>} cells - Notebook cells
+   * @param {string} heading - Heading text (case-insensitive, without the leading #)
+   * @returns {number} - Index of the markdown cell with the heading, or -1
+   */
+  findHeading(cells, heading) {
+    const wanted = heading.trim().toLowerCase();
+    return cells.findIndex(cell => cell.kind === vscode.NotebookCellKind.Markup &&
+      cell.document.getText().split('\n').some(line => {
+        const match = line.match(/^ {0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+        return match && match[1].toLowerCase() === wanted;
+      }));
+  }
+
+  /**
+   * Store the saved outputs of cells with an id, as if they had just been run
+   * @param {Array<Object>} cells - Cells that are not being run
+   * @param {HeadlessNotebook} notebook - The notebook
+   */
+  seedSkippedOutputs(cells, notebook) {
+    for (const cell of cells) {
+      if (cell.kind !== vscode.NotebookCellKind.Code || cell.outputs.length === 0) {
+        continue;
+      }
+      const { options } = parseOptionsFromCode(cell.document.getText(), cell.document.languageId, cell.metadata.attributes || {});
+      // Like a fresh run, only stdout is stored
+      const outputs = cell.outputs.filter(output => !isAnnotationOutput(output)).map(decodeOutput)
+        .filter(output => output && output.mime !== STDERR_MIME);
+      if (options.id && outputs.length > 0 && outputs[0].mime !== 'application/vnd.code.notebook.error') {
+        storeCellOutput(options.id, outputs.map(output => output.text).join('').trim(), null, options.global === true ? null : notebook);
+      }
+    }
+  }
+
+  /**
+   * Cancel the run - the running cell is killed and no further cells are started
+   */
+  cancel() {
+    this.token.cancel();
+  }
+}
+
+module.exports = {
+  RunbookRunner
+};
\ No newline at end of file
@@ -1,25 +1,41 @@
-// Lazy load vscode to handle test environment
-let vscode = null;
-try {
-  vscode = require('vscode');
-} catch (error) {
-  // vscode module not available, likely in test environment
-  if (process.env.NODE_ENV === 'test' || require.main?.filename?.includes('test')) {
-    vscode = require('../../tests/vscode-mock');
-  }
-}
+const vscode = require('../utils/vscodeApi');
 
 const { parseOptionsFromCode } = require('../utils/optionsParser');
-const { processVariableSubstitution, storeCellOutput } = require('../utils/variableProcessor');
+const { processVariableSubstitution, storeCellOutput, getAllVariables, getPendingPrompts, setPromptedValue, getSecretNames } = require('../utils/variableProcessor');
 const { CodeExecutor } = require('../services/codeExecutor');
-const { containsMarkdownPatterns } = require('../utils/markdownDetector');
+const { StaleTracker } = require('../services/staleTracker');
+const { SessionManager } = require('../services/shellSession');
+const { SecretStore } = require('../services/secretStore');
+const { ReplKernel, getKernelLanguage } = require('../services/replKernel');
+const { STDIN_MODES } = require('../services/inputForwarder');
+const { renderTerminalText, toPlainText } = require('../utils/ansi');
+const { createStreamOutputs } = require('../utils/outputStreams');
+const { createAnnotationOutputs } = require('../utils/workflowCommands');
+const { parseJsonOutput } = require('../utils/jsonOutput');
+const { applyCaptureRules } = require('../utils/captureRules');
+const { maskSecrets } = require('../utils/secrets');
+const { getNotebookFrontMatter } = require('../utils/frontMatter');
+const { getVariableEnvironment, getContextEnvironment } = require('../utils/environment');
+const { buildDependencyGraph, resolveExecutionOrder } = require('../utils/dependencyGraph');
+const { configuration } = require('../constants');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
 
 /**
  * Service class for executing notebook cells
  */
 class CellExecutor {
-  constructor() {
+  /**
+   * @param {SecretStore} secrets - Store of the secrets cells reference as {{secret:name}}
+   */
+  constructor(secrets = new SecretStore()) {
+    this.secrets = secrets;
     this.codeExecutor = new CodeExecutor();
+    this.staleTracker = new StaleTracker();
+    this.sessions = new SessionManager();
+    this.checkedRequirements = new Set();
   }
 
   /**
@@ -27,9 +43,12 @@ class CellExecutor {
    * @param {vscode.NotebookCell} cell - The cell to execute
    * @param {vscode.NotebookController} controller - The notebook controller
    * @param {vscode.NotebookDocument} notebook - The notebook document
+   * @param {string} runId - Id of the run the cell is part of (RUNBOOK_RUN_ID; a new one if not given)
+   * @returns {Promise<boolean>} - True if the cell ran successfully
    */
-  async executeCell(cell, controller, notebook) {
+  async executeCell(cell, controller, notebook, runId = this.createRunId()) {
     const execution = controller.createNotebookCellExecution(cell);
+    execution.executionOrder = this.staleTracker.nextExecutionOrder(notebook);
     execution.start(Date.now());
 
     try {
@@ -38,11 +57,77 @@ class CellExecutor {
         (cell.document && cell.document.languageId);
 
       if (isCodeCell) {
-        await this.executeCodeCell(cell, execution, notebook);
+        return await this.executeCodeCell(cell, execution, notebook, runId);
       }
     } catch (error) {
       this.handleExecutionError(error, execution);
     }
+    return false;
+  }
+
+  /**
+   * Execute a cell after the cells producing the {{variables}} it needs (when missing or stale)
+   * Dependency problems (cycles, ambiguous producers) are shown as an error output on the cell
+   * @param {vscode.NotebookCell} cell - The cell to execute
+   * @param {vscode.NotebookController} controller - The notebook controller
+   * @param {vscode.NotebookDocument} notebook - The notebook document
+   * @returns {Promise<boolean>} - True if the cell and all its dependencies ran successfully
+   */
+  async executeCellWithDependencies(cell, controller, notebook) {
+    let order;
+    try {
+      order = resolveExecutionOrder(buildDependencyGraph(notebook), cell.index);
+    } catch (error) {
+      const execution = controller.createNotebookCellExecution(cell);
+      execution.start(Date.now());
+      execution.replaceOutput([new vscode.NotebookCellOutput([
+        vscode.NotebookCellOutputItem.error({
+          name: 'DependencyError',
+          message: error.message,
+          stack: error.message
+        })
+      ])]);
+      execution.end(false, Date.now());
+      return false;
+    }
+
+    const cells = notebook.getCells();
+    const runId = this.createRunId();
+    for (const index of order) {
+      // Stop at the first failure - later cells would run with missing variables
+      if (!await this.executeCell(cells[index], controller, notebook, runId)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Re-run the cells whose output is stale, in notebook order
+   * Cells that become stale because an earlier re-run changed a value are re-run as well
+   * @param {vscode.NotebookController} controller - The notebook controller
+   * @param {vscode.NotebookDocument} notebook - The notebook document
+   * @returns {Promise<boolean>} - True if all stale cells ran successfully
+   */
+  async executeStaleCells(controller, notebook) {
+    const executed = new Set();
+    const runId = this.createRunId();
+    let cell;
+    while ((cell = this.staleTracker.getStaleCells(notebook).find(stale => !executed.has(stale)))) {
+      executed.add(cell);
+      if (!await this.executeCell(cell, controller, notebook, runId)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Create the id of a run: the cells run together share it as RUNBOOK_RUN_ID
+   * @returns {string} - Random id
+   */
+  createRunId() {
+    return crypto.randomBytes(8).toString('hex');
   }
 
   /**
@@ -50,85 +135,312 @@ class CellExecutor {
    * @param {vscode.NotebookCell} cell - The cell to execute
    * @param {vscode.NotebookCellExecution} execution - The execution context
    * @param {vscode.NotebookDocument} notebook - The notebook document
+   * @param {string} runId - Id of the run the cell is part of
+   * @returns {Promise<boolean>} - True if the cell ran successfully
    */
-  async executeCodeCell(cell, execution, notebook) {
+  async executeCodeCell(cell, execution, notebook, runId = this.createRunId()) {
     // Check if execution was cancelled
     if (execution.token.isCancellationRequested) {
       execution.end(false, Date.now());
-      return;
+      return false;
     }
 
     const code = cell.document.getText();
     const languageId = cell.document?.languageId || cell.languageId || 'unknown';
-    const { options, cleanedCode } = parseOptionsFromCode(code, languageId);
+    const attributes = (cell.metadata && cell.metadata.attributes) || {};
+    const { options, cleanedCode } = parseOptionsFromCode(code, languageId, attributes);
 
     // Get the current cell index for variable substitution
     const currentCellIndex = cell.index;
 
-    // Process variable substitution (with cell index to know which cells to check for variables)
-    const { processedCode, errors } = processVariableSubstitution(cleanedCode, notebook, currentCellIndex);
+    // Runbook front matter overrides settings such as the default timeout and shell
+    const settings = configuration.forNotebook(notebook);
+    const variableEnvironment = options.env !== undefined ? options.env : settings.getVariableEnvironment();
+
+    // Load the secrets the cell uses, then ask for the VARIABLES table values left for the user to fill in -
+    // every one above the cell if the cell gets the variables as environment variables
+    const stdinText = typeof options.stdin === 'string' ? options.stdin : '';
+    const text = `${cleanedCode}\n${stdinText}`;
+    const missingSecrets = await this.secrets.load(getSecretNames(text, notebook, currentCellIndex));
+    const promptErrors = missingSecrets.length > 0
+      ? missingSecrets.map(name => `Secret '${name}' is not set - ${this.secrets.getSetHint(name)}`)
+      : await this.promptForVariables(notebook, currentCellIndex, text, Boolean(variableEnvironment), execution.token);
+    if (promptErrors.length > 0) {
+      this.reportVariableErrors(execution, promptErrors);
+      return false;
+    }
+
+    // Process variable substitution (with cell index to know which cells to check for variables,
+    // and the language to escape values for)
+    const { processedCode, errors, variables } = processVariableSubstitution(cleanedCode, notebook, currentCellIndex, languageId);
+
+    // Text piped to stdin may use {{variables}} and file inclusions as well
+    if (typeof options.stdin === 'string' && !STDIN_MODES.includes(options.stdin)) {
+      const stdin = processVariableSubstitution(options.stdin, notebook, currentCellIndex);
+      errors.push(...stdin.errors);
+      Object.assign(variables, stdin.variables);
+      options.stdin = stdin.processedCode;
+    }
 
     // If there are variable substitution errors, show them and stop execution
     if (errors.length > 0) {
-      const errorMessage = errors.join('\n');
-      execution.replaceOutput([new vscode.NotebookCellOutput([
-        vscode.NotebookCellOutputItem.error({
-          name: 'VariableSubstitutionError',
-          message: errorMessage,
-          stack: errorMessage
-        })
-      ])]);
-      execution.end(false, Date.now());
-      return;
+      this.reportVariableErrors(execution, errors);
+      return false;
     }
 
-    // Execute the code
-    const result = await this.codeExecutor.executeCode(processedCode, languageId, execution.token, options, execution);
+    // Warn (once per runbook) about tools the front matter requires but that are missing
+    this.checkRequiredTools(notebook);
+
+    // The cell gets the runbook context as environment variables, and the runbook variables if `env` is on
+    const environment = {
+      ...getVariableEnvironment(getAllVariables(notebook, currentCellIndex), variableEnvironment),
+      ...getContextEnvironment(notebook, currentCellIndex, runId)
+    };
+    const executionOptions = { timeout: settings.getDefaultExecutionTimeout(), ...options, environment };
+
+    // Execute the code (in a persistent shell session or kernel, if the cell or runbook uses one)
+    const startTime = Date.now();
+    const sessionName = this.getSessionName(languageId, options, settings);
+    let result;
+    if (sessionName) {
+      const kernelLanguage = getKernelLanguage(languageId);
+      const session = await this.sessions.getSession(this.getNotebookKey(notebook),
+        kernelLanguage ? `${kernelLanguage}:${sessionName}` : sessionName,
+        () => kernelLanguage
+          ? this.codeExecutor.createKernel(kernelLanguage, executionOptions)
+          : this.codeExecutor.createShellSession(executionOptions, settings));
+      result = await this.codeExecutor.executeInSession(session, processedCode, execution.token, executionOptions, execution, settings);
+    } else {
+      result = await this.codeExecutor.executeCode(processedCode, languageId, execution.token, executionOptions, execution, settings);
+    }
+    this.checkOutputFormat(result, options);
+    this.captureVariables(result, options);
+    const executionMetadata = this.createExecutionMetadata(result, processedCode, startTime, Date.now());
 
     // Handle execution result
-    if (result.exitCode !== 0) {
-      this.handleCodeExecutionError(result, execution);
+    const success = result.exitCode === 0;
+    if (success) {
+      this.handleCodeExecutionSuccess(result, execution, options, executionMetadata, code, notebook);
     } else {
-      this.handleCodeExecutionSuccess(result, execution, options);
+      this.handleCodeExecutionError(result, execution, executionMetadata);
     }
+
+    // Remember the values this output was computed from (after the cell's own output is stored)
+    this.staleTracker.recordRun(cell, variables, execution.executionOrder);
+    return success;
   }
 
   /**
-   * Handle successful code execution
-   * @param {Object} result - Execution result
-   * @param {vscode.NotebookCellExecution} execution - Execution context
+   * Ask for the values of the prompted VARIABLES table rows (`?`, `<placeholder>` or a choices column) a cell needs
+   * Rows with choices get a pick-list, others an input box. Answers are remembered for the session.
+   * @param {vscode.NotebookDocument} notebook - The notebook document
+   * @param {number} cellIndex - Index of the cell
+   * @param {string} text - Code of the cell and text piped to its stdin
+   * @param {boolean} all - Ask for every prompted variable above the cell, not only those referenced
+   * @param {vscode.CancellationToken} token - Cancellation token of the execution
+   * @returns {Promise<Array<string>>} - Errors for variables left without a value (empty if all were answered)
+   */
+  async promptForVariables(notebook, cellIndex, text, all, token) {
+    for (const row of getPendingPrompts(text, notebook, cellIndex, all)) {
+      const prompt = `Enter a value for {{${row.name}}}${row.description ? ` - ${row.description}` : ''}`;
+      const value = row.choices.length > 0
+        ? await vscode.window.showQuickPick(row.choices, { title: `Choose a value for {{${row.name}}}`, placeHolder: row.description || undefined, ignoreFocusOut: true }, token)
+        : await vscode.window.showInputBox({ prompt, placeHolder: row.value.startsWith('<') ? row.value.slice(1, -1) : undefined, ignoreFocusOut: true }, token);
+      if (value === undefined) {
+        return [`No value was given for the variable '${row.name}' - run the cell again to be asked, ` +
+          `or set it with --var ${row.name}=value on the command line`];
+      }
+      setPromptedValue(notebook, row.name, value);
+    }
+    return [];
+  }
+
+  /**
+   * Show variable errors as the cell's output and end the execution as failed
+   * @param {vscode.NotebookCellExecution} execution - The execution context
+   * @param {Array<string>} errors - Error messages
+   */
+  reportVariableErrors(execution, errors) {
+    const errorMessage = errors.join('\n');
+    execution.replaceOutput([new vscode.NotebookCellOutput([
+      vscode.NotebookCellOutputItem.error({
+        name: 'VariableSubstitutionError',
+        message: errorMessage,
+        stack: errorMessage
+      })
+    ])]);
+    execution.end(false, Date.now());
+  }
+
+  /**
+   * Warn (with an annotation) when a cell declared as `format: "json"` did not print JSON
+   * @param {Object} result - Execution result (annotations are added to it)
    * @param {Object} options - Cell options
    */
-  handleCodeExecutionSuccess(result, execution, options) {
-    const output = result.stdout + (result.stderr ? '\nSTDERR:\n' + result.stderr : '');
+  checkOutputFormat(result, options) {
+    if (options.format === 'json' && result.exitCode === 0 && parseJsonOutput(toPlainText(result.stdout)) === undefined) {
+      const message = 'The output is not a JSON object or array, so paths like {{' + (options.id || 'id') + '.key}} cannot be used';
+      result.annotations = [...(result.annotations || []), { level: 'warning', message }];
+    }
+  }
+
+  /**
+   * Apply the cell's `capture` rules to its output after a successful run
+   * Captured values are added to the result's variables; rules that do not match become warning annotations.
+   * @param {Object} result - Execution result (variables and annotations are added to it)
+   * @param {Object} options - Cell options
+   */
+  captureVariables(result, options) {
+    if (options.capture === undefined || result.exitCode !== 0) {
+      return;
+    }
+    const { values, warnings } = applyCaptureRules(toPlainText(result.stdout), options.capture);
+    result.variables = { ...result.variables, ...values };
+    if (warnings.length > 0) {
+      result.annotations = [...(result.annotations || []), ...warnings.map(message => ({ level: 'warning', message }))];
+    }
+  }
+
+  /**
+   * Get the shell session or kernel a cell runs in
+   * Shell cells share a shell; python and javascript cells each share a kernel of their language
+   * @param {string} languageId - Language of the cell
+   * @param {Object} options - Cell options (`session`: a name, true for "default", or false to opt out)
+   * @param {Configuration} settings - Configuration scoped to the runbook
+   * @returns {string} - Session name, or an empty string to run the cell in its own process
+   */
+  getSessionName(languageId, options, settings) {
+    const usesSession = ['bash', 'shell', 'sh'].includes(languageId) || getKernelLanguage(languageId) !== null;
+    // Sessions read cells from their stdin, so a cell with its own stdin (or a pseudo-terminal) runs in its own process
+    if (!usesSession || options.session === false || options.stdin !== undefined || options.tty) {
+      return '';
+    }
+    if (options.session === true) {
+      return 'default';
+    }
+    return options.session ? String(options.session) : settings.getSession();
+  }
+
+  /**
+   * Get the key that identifies a notebook's sessions
+   * @param {vscode.NotebookDocument} notebook - The notebook document
+   * @returns {string} - Notebook URI
+   */
+  getNotebookKey(notebook) {
+    return notebook && notebook.uri ? notebook.uri.toString() : '';
+  }
+
+  /**
+   * Get the running kernels of a notebook
+   * @param {vscode.NotebookDocument} notebook - The notebook document
+   * @returns {Array<Object>} - Entries with the session name (e.g. "python:default") and the kernel
+   */
+  getKernels(notebook) {
+    return this.sessions.getSessions(this.getNotebookKey(notebook)).filter(entry => entry.session instanceof ReplKernel);
+  }
+
+  /**
+   * End the shell sessions and kernels of a notebook; they start fresh on the next cell
+   * @param {vscode.NotebookDocument} notebook - The notebook document
+   * @returns {number} - Number of sessions ended
+   */
+  restartSessions(notebook) {
+    return this.sessions.restart(this.getNotebookKey(notebook));
+  }
 
-    // Check if output contains markdown patterns
-    const hasMarkdown = containsMarkdownPatterns(output);
+  /**
+   * Build the execution record saved with the cell output (exit code, duration, timestamp, user, code hash,
+   * and the warnings and errors the cell reported with workflow commands)
+   * @param {Object} result - Execution result
+   * @param {string} code - The code that was executed (after variable substitution)
+   * @param {number} startTime - Start time in milliseconds since the epoch
+   * @param {number} endTime - End time in milliseconds since the epoch
+   * @returns {Object} - Execution metadata
+   */
+  createExecutionMetadata(result, code, startTime, endTime) {
+    let user = process.env.USER || process.env.USERNAME || '';
+    try {
+      user = os.userInfo().username;
+    } catch (error) {
+      // Not available on every platform - keep the environment value
+    }
 
-    // Use markdown MIME type if output contains markdown patterns, otherwise plain text
-    const mimeType = hasMarkdown ? 'text/markdown' : 'text/plain';
+    const metadata = {
+      exitCode: result.exitCode,
+      durationMs: endTime - startTime,
+      timestamp: new Date(startTime).toISOString(),
+      user,
+      // Secrets are hashed as *** - the record is saved with the runbook
+      codeHash: 'sha256:' + crypto.createHash('sha256').update(maskSecrets(code)).digest('hex')
+    };
+    if (result.annotations && result.annotations.length > 0) {
+      metadata.annotations = result.annotations;
+    }
+    return metadata;
+  }
 
-    // For markdown output, add trailing spaces to each line for proper line breaks
-    let displayOutput = output;
-    if (hasMarkdown) {
-      const lines = output.split('\n');
-      displayOutput = lines.map((line, index) => {
-        // Add trailing spaces to all lines except the very last one
-        if (index < lines.length - 1) {
-          return line + '  ';
-        }
-        return line;
-      }).join('\n');
+  /**
+   * Warn about binaries listed under `requires:` in the runbook front matter that are not on PATH
+   * Only checked once per runbook per session
+   * @param {vscode.NotebookDocument} notebook - The notebook document
+   */
+  checkRequiredTools(notebook) {
+    const frontMatter = getNotebookFrontMatter(notebook);
+    const key = this.getNotebookKey(notebook);
+    if (!frontMatter || !Array.isArray(frontMatter.requires) || this.checkedRequirements.has(key)) {
+      return;
     }
+    this.checkedRequirements.add(key);
 
-    const cellOutput = new vscode.NotebookCellOutput([
-      vscode.NotebookCellOutputItem.text(displayOutput, mimeType)
+    const missing = frontMatter.requires.map(String).filter(tool => !this.isOnPath(tool));
+    if (missing.length > 0) {
+      vscode.window.showWarningMessage(`This runbook requires tools that were not found on PATH: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Check whether an executable can be found on PATH
+   * @param {string} tool - Executable name
+   * @returns {boolean} - True if the executable exists
+   */
+  isOnPath(tool) {
+    const extensions = process.platform === 'win32' ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';') : [''];
+    const directories = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    return directories.some(dir => extensions.some(ext => {
+      try {
+        fs.accessSync(path.join(dir, tool + ext), fs.constants.X_OK);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }));
+  }
+
+  /**
+   * Handle successful code execution
+   * @param {Object} result - Execution result
+   * @param {vscode.NotebookCellExecution} execution - Execution context
+   * @param {Object} options - Cell options
+   * @param {Object} executionMetadata - Execution record to attach to the output
+   * @param {string} source - Source code of the cell, remembered with its stored output
+   * @param {vscode.NotebookDocument} notebook - Notebook the stored outputs belong to
+   */
+  handleCodeExecutionSuccess(result, execution, options, executionMetadata, source, notebook) {
+    // Stdout and stderr stay separate outputs, in the order they were written, below any annotations
+    execution.replaceOutput([
+      ...createAnnotationOutputs(result.annotations),
+      ...createStreamOutputs(result.chunks, { execution: executionMetadata }, options.format)
     ]);
-    execution.replaceOutput([cellOutput]);
 
-    // Store output for variable substitution if ID is provided
+    // Store output for variable substitution if ID is provided - for this notebook only,
+    // unless the cell makes its variables workspace-global
+    const scope = options.global === true ? null : notebook;
     if (options.id) {
-      storeCellOutput(options.id, result.stdout.trim());
+      storeCellOutput(options.id, toPlainText(result.stdout).trim(), source, scope);
+    }
+    // Variables set with ::set-var name=value:: lines or captured by `capture` rules
+    for (const [name, value] of Object.entries(result.variables || {})) {
+      storeCellOutput(name, value, source, scope);
     }
 
     execution.end(true, Date.now());
@@ -136,17 +448,18 @@ class CellExecutor {
    * Handle code execution error
    * @param {Object} result - Execution result with error
    * @param {vscode.NotebookCellExecution} execution - Execution context
+   * @param {Object} executionMetadata - Execution record to attach to the output
    */
-  handleCodeExecutionError(result, execution) {
+  handleCodeExecutionError(result, execution, executionMetadata) {
     const errorMessage = `Command failed with exit code ${result.exitCode}`;
-    const errorOutput = result.stderr || result.stdout || 'Unknown error';
-    execution.replaceOutput([new vscode.NotebookCellOutput([
+    const errorOutput = renderTerminalText(result.stderr || result.stdout || 'Unknown error');
+    execution.replaceOutput([...createAnnotationOutputs(result.annotations), new vscode.NotebookCellOutput([
       vscode.NotebookCellOutputItem.error({
         name: 'ExecutionError',
         message: errorMessage,
         stack: errorOutput
       })
-    ])]);
+    ], { execution: executionMetadata })]);
     execution.end(false, Date.now());
   }
 
@@ -167,8 +480,8 @@ class CellExecutor {
     execution.replaceOutput([new vscode.NotebookCellOutput([
       vscode.NotebookCellOutputItem.error({
         name: 'ExecutionError',
-        message: `Error: ${error.message}`,
-        stack: error.stack || error.message
+        message: maskSecrets(`Error: ${error.message}`),
+        stack: maskSecrets(error.stack || error.message)
       })
     ])]);
     execution.end(false, Date.now());
@@ -1,10 +1,20 @@
 const vscode = require('vscode');
+const path = require('path');
+const { RunbookVerifier, formatVerificationReport } = require('../services/runbookVerifier');
+const { clearPromptedValues, clearCellOutputs, getCellOutputScopes, importCellOutputs, GLOBAL_SCOPE } = require('../utils/variableProcessor');
 
 /**
  * Handler for VS Code commands related to the runbook extension
  */
 class CommandHandler {
-  constructor() {
+  /**
+   * @param {CellExecutor} cellExecutor - Executor used to run cells for commands such as verify
+   * @param {Function} getController - Returns the notebook controller, for commands that run cells
+   */
+  constructor(cellExecutor = null, getController = () => null) {
+    this.cellExecutor = cellExecutor;
+    this.getController = getController;
+    this.outputChannel = null;
     this.commands = new Map();
     this.setupCommands();
   }
@@ -16,6 +26,16 @@ class CommandHandler {
     this.commands.set('runbookNotebook.openAsTextEditor', this.openAsTextEditor.bind(this));
     this.commands.set('runbookNotebook.openAsNotebook', this.openAsNotebook.bind(this));
     this.commands.set('runbookNotebook.insertCodeCell', this.insertCodeCell.bind(this));
+    this.commands.set('runbookNotebook.verify', this.verifyRunbook.bind(this));
+    this.commands.set('runbookNotebook.runCellWithDependencies', this.runCellWithDependencies.bind(this));
+    this.commands.set('runbookNotebook.rerunStaleCells', this.rerunStaleCells.bind(this));
+    this.commands.set('runbookNotebook.restartSession', this.restartSession.bind(this));
+    this.commands.set('runbookNotebook.showKernelVariables', this.showKernelVariables.bind(this));
+    this.commands.set('runbookNotebook.resetPromptedVariables', this.resetPromptedVariables.bind(this));
+    this.commands.set('runbookNotebook.setSecret', this.setSecret.bind(this));
+    this.commands.set('runbookNotebook.clearSecret', this.clearSecret.bind(this));
+    this.commands.set('runbookNotebook.clearVariables', this.clearVariables.bind(this));
+    this.commands.set('runbookNotebook.importVariables', this.importVariables.bind(this));
   }
 
   /**
@@ -62,6 +82,233 @@ class CommandHandler {
       await vscode.workspace.applyEdit(edit);
     }
   }
+
+  /**
+   * Run a cell after the cells that produce the {{variables}} it needs
+   * @param {vscode.NotebookCell} cell - The cell (passed by the cell menu; defaults to the selected cell)
+   */
+  async runCellWithDependencies(cell) {
+    const editor = vscode.window.activeNotebookEditor;
+    if (!cell || !cell.notebook) {
+      cell = editor && editor.notebook.cellAt(editor.selection.start);
+    }
+    const controller = this.getController();
+    if (!cell || !controller || !this.cellExecutor) {
+      return;
+    }
+
+    await this.cellExecutor.executeCellWithDependencies(cell, controller, cell.notebook);
+  }
+
+  /**
+   * Re-run the cells of the active runbook whose output is stale
+   */
+  async rerunStaleCells() {
+    const editor = vscode.window.activeNotebookEditor;
+    const controller = this.getController();
+    if (!editor || !controller || !this.cellExecutor) {
+      return;
+    }
+
+    if (this.cellExecutor.staleTracker.getStaleCells(editor.notebook).length === 0) {
+      vscode.window.showInformationMessage('No stale cells.');
+      return;
+    }
+    await this.cellExecutor.executeStaleCells(controller, editor.notebook);
+  }
+
+  /**
+   * End the shell sessions and kernels of the active runbook, so the next cell starts fresh
+   */
+  async restartSession() {
+    const editor = vscode.window.activeNotebookEditor;
+    if (!editor || !this.cellExecutor) {
+      return;
+    }
+
+    const count = this.cellExecutor.restartSessions(editor.notebook);
+    vscode.window.showInformationMessage(count === 0
+      ? 'No shell session or kernel is running.'
+      : 'Sessions restarted. The next cell starts fresh.');
+  }
+
+  /**
+   * List the variables held by the Python and Node.js kernels of the active runbook
+   */
+  async showKernelVariables() {
+    const editor = vscode.window.activeNotebookEditor;
+    if (!editor || !this.cellExecutor) {
+      return;
+    }
+
+    const kernels = this.cellExecutor.getKernels(editor.notebook);
+    if (kernels.length === 0) {
+      vscode.window.showInformationMessage('No kernel is running. Python and JavaScript cells run in a kernel when the runbook uses sessions.');
+      return;
+    }
+
+    const items = [];
+    for (const { name, session } of kernels) {
+      try {
+        const variables = await session.listVariables();
+        for (const [variable, { type, value }] of Object.entries(variables)) {
+          items.push({ label: variable, description: `${type} · ${name}`, detail: value });
+        }
+      } catch (error) {
+        vscode.window.showErrorMessage(`Failed to read variables of ${name}: ${error.message}`);
+      }
+    }
+    await vscode.window.showQuickPick(items, { placeHolder: items.length ? 'Variables in kernel' : 'No variables defined yet' });
+  }
+
+  /**
+   * Forget the values entered for prompted variables of the active runbook (of all runbooks without one),
+   * so the next cell using them asks again
+   */
+  async resetPromptedVariables() {
+    const editor = vscode.window.activeNotebookEditor;
+    const count = clearPromptedValues(editor ? editor.notebook : null);
+    vscode.window.showInformationMessage(count === 0
+      ? 'No prompted variables have a value.'
+      : `Forgot ${count} prompted variable value${count === 1 ? '' : 's'}. Cells using them will ask again.`);
+  }
+
+  /**
+   * Forget the stored {{id}} variables of the active runbook (workspace-global variables are kept)
+   */
+  async clearVariables() {
+    const editor = vscode.window.activeNotebookEditor;
+    if (!editor) {
+      return;
+    }
+    const count = clearCellOutputs(editor.notebook);
+    if (this.cellExecutor) {
+      this.cellExecutor.staleTracker.fireChange();
+    }
+    vscode.window.showInformationMessage(count === 0
+      ? 'This runbook has no stored variables.'
+      : `Cleared ${count} variable${count === 1 ? '' : 's'} of this runbook.`);
+  }
+
+  /**
+   * Copy the stored {{id}} variables of another runbook into the active runbook
+   */
+  async importVariables() {
+    const editor = vscode.window.activeNotebookEditor;
+    if (!editor) {
+      return;
+    }
+    const current = editor.notebook.uri.toString();
+    const items = getCellOutputScopes()
+      .filter(({ scope }) => scope !== GLOBAL_SCOPE && scope !== current)
+      .map(({ scope, entries }) => {
+        const storedAt = [...entries.values()].map(entry => entry.storedAt || '').sort().pop();
+        return {
+          label: vscode.workspace.asRelativePath(vscode.Uri.parse(scope)),
+          description: `${entries.size} variable${entries.size === 1 ? '' : 's'}`,
+          detail: storedAt ? `Last stored ${new Date(storedAt).toLocaleString()}` : undefined,
+          scope
+        };
+      });
+    if (items.length === 0) {
+      vscode.window.showInformationMessage('No other runbook has stored variables.');
+      return;
+    }
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: 'Runbook to import variables from' });
+    if (!picked) {
+      return;
+    }
+    const count = importCellOutputs(picked.scope, editor.notebook);
+    if (this.cellExecutor) {
+      this.cellExecutor.staleTracker.fireChange();
+    }
+    vscode.window.showInformationMessage(`Imported ${count} variable${count === 1 ? '' : 's'} from ${picked.label}.`);
+  }
+
+  /**
+   * Store a secret in the OS keychain (VS Code SecretStorage), for use as {{secret:name}}
+   */
+  async setSecret() {
+    if (!this.cellExecutor) {
+      return;
+    }
+    const name = await vscode.window.showInputBox({
+      prompt: 'Secret name, used as {{secret:name}}',
+      placeHolder: 'api-key',
+      ignoreFocusOut: true,
+      validateInput: (value) => /^[\w.-]+$/.test(value.trim()) ? null : 'Use letters, digits, _, . and -'
+    });
+    if (!name) {
+      return;
+    }
+    const value = await vscode.window.showInputBox({ prompt: `Value of secret '${name.trim()}'`, password: true, ignoreFocusOut: true });
+    if (value === undefined) {
+      return;
+    }
+    await this.cellExecutor.secrets.set(name.trim(), value);
+    vscode.window.showInformationMessage(`Secret '${name.trim().toLowerCase()}' stored. Use it as {{secret:${name.trim().toLowerCase()}}}.`);
+  }
+
+  /**
+   * Delete a stored secret
+   */
+  async clearSecret() {
+    if (!this.cellExecutor) {
+      return;
+    }
+    const names = await this.cellExecutor.secrets.list();
+    if (names.length === 0) {
+      vscode.window.showInformationMessage('No secrets are stored.');
+      return;
+    }
+    const name = await vscode.window.showQuickPick(names, { placeHolder: 'Secret to delete' });
+    if (!name) {
+      return;
+    }
+    await this.cellExecutor.secrets.delete(name);
+    vscode.window.showInformationMessage(`Secret '${name}' deleted.`);
+  }
+
+  /**
+   * Re-run every cell of the active runbook and compare the output with the saved outputs
+   * The saved outputs are left untouched; mismatches are reported in the "Runbook Verify" output channel
+   */
+  async verifyRunbook() {
+    const editor = vscode.window.activeNotebookEditor;
+    if (!editor || !this.cellExecutor) {
+      vscode.window.showWarningMessage('Open a runbook to verify it.');
+      return;
+    }
+
+    const notebook = editor.notebook;
+    const name = path.basename(notebook.uri.fsPath);
+    const verifier = new RunbookVerifier(this.cellExecutor);
+
+    const summary = await vscode.window.withProgress({
+      location: vscode.ProgressLocation.Notification,
+      title: `Verifying ${name}`,
+      cancellable: true
+    }, (progress, token) => verifier.verifyNotebook(notebook, {
+      token,
+      onCellStart: (cell) => progress.report({ message: `Cell ${cell.index + 1}` })
+    }));
+
+    if (!this.outputChannel) {
+      this.outputChannel = vscode.window.createOutputChannel('Runbook Verify');
+    }
+    this.outputChannel.clear();
+    this.outputChannel.appendLine(formatVerificationReport(summary, name));
+
+    const message = `${name}: ${summary.passed} passed, ${summary.failed} failed, ${summary.unverified} without saved output`;
+    if (summary.failed > 0) {
+      const choice = await vscode.window.showErrorMessage(message, 'Show Report');
+      if (choice === 'Show Report') {
+        this.outputChannel.show();
+      }
+    } else {
+      vscode.window.showInformationMessage(message);
+    }
+  }
 }
 
 module.exports = {
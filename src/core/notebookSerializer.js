@@ -1,4 +1,17 @@
-const vscode = require('vscode');
+const vscode = require('../utils/vscodeApi');
+const { parseFenceInfo, formatAttributes } = require('../utils/optionsParser');
+const { extractFrontMatter } = require('../utils/frontMatter');
+const { toPlainText } = require('../utils/ansi');
+const { STDOUT_MIME, STDERR_MIME } = require('../utils/outputStreams');
+const { createAnnotationOutputs, isAnnotationOutput } = require('../utils/workflowCommands');
+const { parseJsonOutput, createJsonOutput, isJsonOutput } = require('../utils/jsonOutput');
+const { parseOpeningFence, isClosingFence, findClosingFence, stripIndent, chooseFence } = require('../utils/markdownFences');
+const { maskSecrets } = require('../utils/secrets');
+
+/**
+ * Execution record saved above an output block; an HTML comment so it stays invisible on GitHub
+ */
+const EXECUTION_COMMENT_PATTERN = /^<!-- runbook:execution (\{.*\}) -->$/;
 
 /**
  * The NotebookSerializer class converts between the raw file content and VS Code's notebook data structure
@@ -12,81 +25,265 @@ class NotebookSerializer {
    */
   deserializeNotebook(content, token) {
     const text = new TextDecoder().decode(content);
-    const lines = text.split('\n');
+    // Keep Windows line endings intact when the file is saved again (the more common ending wins in mixed files)
+    const crlfCount = (text.match(/\r\n/g) || []).length;
+    const lineEnding = crlfCount > (text.match(/\n/g) || []).length - crlfCount ? '\r\n' : '\n';
+    const lines = text.split(/\r?\n/);
     const cells = [];
-    let currentCell = null;
-    let inCodeBlock = false;
-    let inOutputBlock = false;
-    let codeBlockLang = '';
-    let codeContent = '';
+    let markdownContent = null;
+
+    // Push the markdown accumulated so far (if any) as a single cell
+    const flushMarkdown = () => {
+      if (markdownContent !== null) {
+        cells.push(new vscode.NotebookCellData(vscode.NotebookCellKind.Markup, markdownContent, 'markdown'));
+        markdownContent = null;
+      }
+    };
+
+    // Content indentation of the list items we are in (fences inside list items stay markdown)
+    const listIndents = [];
+
+    // A leading YAML front-matter block becomes notebook metadata instead of a markdown cell
+    let frontMatter = extractFrontMatter(lines);
+    if (frontMatter && frontMatter.error) {
+      // Leave it in the markdown so the author can see and fix it
+      vscode.window.showWarningMessage(`Invalid runbook front matter, its settings are ignored: ${frontMatter.error}`);
+      frontMatter = null;
+    }
 
-    for (let i = 0; i < lines.length; i++) {
+    let i = frontMatter ? frontMatter.lineCount : 0;
+    while (i < lines.length) {
       const line = lines[i];
+      const isLastLine = i === lines.length - 1;
 
-      // Check for output block start
-      if (line === '**Output:**' && i + 1 < lines.length && lines[i + 1].startsWith('```')) {
-        // Start of output section - skip it
-        inOutputBlock = true;
-        i++; // Skip the next ``` line (could be ``` or ```markdown)
-        continue; // Skip to next iteration
+      // The empty string after a trailing newline is not a line of its own
+      if (isLastLine && line === '') {
+        break;
       }
 
-      // If we're in an output block, check for closing backticks
-      if (inOutputBlock) {
-        if (line.startsWith('```')) {
-          // End of output block
-          inOutputBlock = false;
-        }
-        // Skip this line (it's part of the output block)
+      let fence = this.parseMarkdownLine(line, listIndents);
+      const containerIndent = listIndents.length > 0 ? listIndents[listIndents.length - 1] : 0;
+      if (fence && fence.indent - containerIndent > 3) {
+        // Indented four or more spaces past its container, it is text of an indented code block
+        fence = null;
+      }
+
+      if (fence && listIndents.length === 0) {
+        // Start of code block
+        flushMarkdown();
+        i = this.parseCodeCell(lines, i, fence, cells);
         continue;
       }
 
-      if (line.startsWith('```')) {
-        if (inCodeBlock) {
-          // End of code block - create a code cell
-          if (currentCell) {
-            // Remove trailing newline from code content
-            currentCell.value = codeContent.replace(/\n$/, '');
-            cells.push(currentCell);
-          }
-          currentCell = null;
-          inCodeBlock = false;
-          codeContent = '';
-        } else {
-          // Start of code block
-          if (currentCell) {
-            cells.push(currentCell);
-          }
-          // Extract language from ```language (no longer support fenced block attributes)
-          const match = line.match(/^```(\w+)\s*$/);
-          codeBlockLang = match ? match[1] : '';
-
-          // Create code cell
-          const cellKind = vscode.NotebookCellKind.Code;
-          currentCell = new vscode.NotebookCellData(cellKind, '', codeBlockLang);
-          inCodeBlock = true;
-          codeContent = '';
-        }
-      } else if (inCodeBlock) {
-        // Inside code block - accumulate the code content
-        codeContent += line + '\n';
-      } else {
-        // Regular markdown content - create or continue a markdown cell
-        if (!currentCell || currentCell.kind !== vscode.NotebookCellKind.Markup) {
-          if (currentCell) {
-            cells.push(currentCell);
-          }
-          currentCell = new vscode.NotebookCellData(vscode.NotebookCellKind.Markup, '', 'markdown');
-        }
-        currentCell.value += line + '\n';
+      // Regular markdown content - create or continue a markdown cell
+      // (a fenced example inside a list item is kept as markdown up to its closing fence, or the end of the item)
+      let end = i;
+      if (fence) {
+        const close = findClosingFence(lines, i + 1, fence, fence.indent + 3, containerIndent);
+        end = close < lines.length && isClosingFence(lines[close], fence, fence.indent + 3) ? close : close - 1;
+      }
+      for (; i <= end; i++) {
+        markdownContent = (markdownContent || '') + lines[i] + (i === lines.length - 1 ? '' : '\n');
       }
     }
     // Don't forget the last cell
-    if (currentCell) {
-      cells.push(currentCell);
+    flushMarkdown();
+
+    const notebookData = new vscode.NotebookData(cells);
+    notebookData.metadata = { lineEnding, finalNewline: text === '' || text.endsWith('\n') };
+    if (frontMatter) {
+      // Keep the raw block so it is written back unchanged
+      notebookData.metadata.frontMatter = frontMatter.raw;
+      notebookData.metadata.runbook = frontMatter.data;
+    }
+    return notebookData;
+  }
+
+  /**
+   * Track list item context for a markdown line and detect fenced code block openings
+   * @param {string} line - The line to check
+   * @param {number[]} listIndents - Content indentation of the open list items (updated in place)
+   * @returns {Object|null} - The opening fence on this line, or null
+   */
+  parseMarkdownLine(line, listIndents) {
+    if (line.trim() === '') {
+      return null;
+    }
+
+    // Close list items whose content is indented further than this line
+    const indent = line.length - line.trimStart().length;
+    while (listIndents.length > 0 && listIndents[listIndents.length - 1] > indent) {
+      listIndents.pop();
     }
 
-    return new vscode.NotebookData(cells);
+    const listItem = line.match(/^ *(?:[-+*]|\d{1,9}[.)])(?: {1,4}|$)/);
+    if (listItem) {
+      const contentIndent = listItem[0].length;
+      listIndents.push(contentIndent);
+      // A fence may start right after the list marker
+      return parseOpeningFence(' '.repeat(contentIndent) + line.substring(contentIndent));
+    }
+
+    return parseOpeningFence(line);
+  }
+
+  /**
+   * Parse a fenced code block (and its saved output) into a code cell
+   * @param {string[]} lines - All lines of the file
+   * @param {number} start - Index of the opening fence
+   * @param {Object} fence - The opening fence (as returned by parseOpeningFence)
+   * @param {vscode.NotebookCellData[]} cells - Cells parsed so far; the new cell is appended
+   * @returns {number} - Index of the first line after the cell
+   */
+  parseCodeCell(lines, start, fence, cells) {
+    // Extract language and attributes from ```language {key=value ...}
+    const { languageId, attributes } = parseFenceInfo(fence.info);
+
+    // Accumulate the code content up to the closing fence (or end of file)
+    const end = findClosingFence(lines, start + 1, fence);
+    const contentEnd = end === lines.length && lines[end - 1] === '' ? end - 1 : end;
+    const code = lines.slice(start + 1, contentEnd).map(line => stripIndent(line, fence.indent)).join('\n');
+    const cell = new vscode.NotebookCellData(vscode.NotebookCellKind.Code, code, languageId);
+
+    const metadata = {};
+    if (fence.info.trim() !== languageId) {
+      // Keep the original info string so it can be written back exactly
+      metadata.info = fence.info;
+      metadata.attributes = attributes;
+    }
+    const defaultClosing = ' '.repeat(fence.indent) + fence.marker;
+    if (fence.marker !== '```' || fence.indent > 0 || (end < lines.length && lines[end] !== defaultClosing)) {
+      // Remember tildes, longer fences, indentation and unusual closing fences
+      metadata.fence = { marker: fence.marker, indent: fence.indent, closing: lines[end] };
+    }
+
+    let i = end + 1;
+
+    // A saved **Output:** block (and **Stderr:** block) directly below the code block belongs to this cell
+    const outputBlock = this.parseOutputBlock(lines, i);
+    if (outputBlock) {
+      cell.outputs = outputBlock.outputs;
+      i = outputBlock.nextIndex;
+
+      if (outputBlock.execution) {
+        this.restoreExecution(cell, metadata, outputBlock.execution);
+      }
+    }
+
+    // Consume the blank line serializeCodeCell writes after each code cell
+    if (i < lines.length - 1 && lines[i] === '') {
+      i++;
+    } else {
+      metadata.trailingBlankLine = false;
+    }
+
+    if (Object.keys(metadata).length > 0) {
+      cell.metadata = metadata;
+    }
+    cells.push(cell);
+    return i;
+  }
+
+  /**
+   * Restore a saved execution record into the cell metadata, the execution summary and the output metadata
+   * Annotations in the record are shown again as annotation outputs above the saved output
+   * @param {vscode.NotebookCellData} cell - The code cell
+   * @param {Object} metadata - Cell metadata being built
+   * @param {Object} execution - Execution record (exit code, duration, timestamp, user, code hash, annotations)
+   */
+  restoreExecution(cell, metadata, execution) {
+    metadata.execution = execution;
+
+    const startTime = Date.parse(execution.timestamp);
+    cell.executionSummary = {
+      success: execution.exitCode === 0,
+      timing: isNaN(startTime) ? undefined : { startTime, endTime: startTime + (execution.durationMs || 0) }
+    };
+
+    for (const output of cell.outputs) {
+      output.metadata = { ...output.metadata, execution };
+    }
+    if (Array.isArray(execution.annotations)) {
+      cell.outputs = [...createAnnotationOutputs(execution.annotations), ...cell.outputs];
+    }
+  }
+
+  /**
+   * Parse an **Output:** block (with the execution record above it and the **Stderr:** block below it) as written by serializeCodeCell
+   * @param {string[]} lines - All lines of the file
+   * @param {number} start - Index of the line following the code block's closing fence
+   * @returns {{outputs: Array<vscode.NotebookCellOutput>, execution: Object|null, nextIndex: number}|null} - Restored outputs and the index after the blocks, or null if there is no output block
+   */
+  parseOutputBlock(lines, start) {
+    if (lines[start] !== '') {
+      return null;
+    }
+
+    let headerIndex = start + 1;
+    let execution = null;
+    const commentMatch = (lines[headerIndex] || '').match(EXECUTION_COMMENT_PATTERN);
+    if (commentMatch) {
+      try {
+        execution = JSON.parse(commentMatch[1]);
+      } catch (error) {
+        return null; // Not a record we wrote - leave it in the markdown
+      }
+      headerIndex++;
+    }
+
+    const fence = headerIndex + 1 < lines.length ? parseOpeningFence(lines[headerIndex + 1]) : null;
+    if (lines[headerIndex] !== '**Output:**' || !fence || fence.indent > 0) {
+      return null;
+    }
+
+    const outputLang = fence.info.trim();
+    const end = findClosingFence(lines, headerIndex + 2, fence);
+
+    const bodyLines = lines.slice(headerIndex + 2, end);
+    const outputs = [this.deserializeOutput(bodyLines, outputLang)];
+
+    // Stderr is saved in a block of its own right after the output block
+    let nextIndex = end + 1;
+    const stderrFence = lines[nextIndex] === '' && lines[nextIndex + 1] === '**Stderr:**' && nextIndex + 2 < lines.length
+      ? parseOpeningFence(lines[nextIndex + 2])
+      : null;
+    if (stderrFence && stderrFence.indent === 0) {
+      const stderrEnd = findClosingFence(lines, nextIndex + 3, stderrFence);
+      const stderrText = removeLineBreakSpaces(lines.slice(nextIndex + 3, stderrEnd));
+      outputs.push(new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem.stderr(stderrText)]));
+      nextIndex = stderrEnd + 1;
+    }
+
+    return { outputs, execution, nextIndex };
+  }
+
+  /**
+   * Rebuild a cell output from the lines of a saved output block (inverse of serializeOutput)
+   * @param {string[]} bodyLines - Lines between the output block fences
+   * @param {string} outputLang - Language of the output block ('markdown', 'json' or empty)
+   * @returns {vscode.NotebookCellOutput} - The restored output
+   */
+  deserializeOutput(bodyLines, outputLang) {
+    // Error outputs are written without the trailing double-space line breaks
+    const firstLine = bodyLines[0] || '';
+    if (firstLine.startsWith('Error: ') && !firstLine.endsWith('  ')) {
+      const error = {
+        name: 'Error',
+        message: firstLine.substring('Error: '.length)
+      };
+      if (bodyLines.length > 1) {
+        error.stack = bodyLines.slice(1).join('\n');
+      }
+      return new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem.error(error)]);
+    }
+
+    const outputText = removeLineBreakSpaces(bodyLines);
+    const json = outputLang === 'json' ? parseJsonOutput(outputText) : undefined;
+    if (json !== undefined) {
+      return createJsonOutput(json, undefined, outputText);
+    }
+    const mimeType = outputLang === 'markdown' ? 'text/markdown' : 'text/plain';
+    return new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem.text(outputText, mimeType)]);
   }
 
   /**
@@ -96,13 +293,28 @@ class NotebookSerializer {
    * @returns {Uint8Array} - Serialized file content
    */
   serializeNotebook(data, token) {
-    let content = '';
-    for (const cell of data.cells) {
+    const metadata = data.metadata || {};
+    let content = metadata.frontMatter || '';
+    data.cells.forEach((cell, index) => {
+      const isLastCell = index === data.cells.length - 1;
       if (cell.kind === vscode.NotebookCellKind.Markup) {
         content += cell.value;
+        // Make sure the next cell starts on its own line
+        if (!isLastCell && !cell.value.endsWith('\n')) {
+          content += '\n';
+        }
       } else if (cell.kind === vscode.NotebookCellKind.Code) {
         content += this.serializeCodeCell(cell);
       }
+    });
+
+    if (metadata.finalNewline === false) {
+      content = content.replace(/\n$/, '');
+    }
+
+    const lineEnding = metadata.lineEnding || '\n';
+    if (lineEnding !== '\n') {
+      content = content.replace(/\r?\n/g, lineEnding);
     }
     return new TextEncoder().encode(content);
   }
@@ -115,31 +327,110 @@ class NotebookSerializer {
   serializeCodeCell(cell) {
     let content = '';
 
-    // Write the code block with language identifier
-    const langLine = '```' + cell.languageId;
+    const fence = (cell.metadata && cell.metadata.fence) || {};
+    const indent = ' '.repeat(fence.indent || 0);
+
     // Remove trailing whitespace/newlines from cell value to avoid extra spaces
     const cleanValue = cell.value.replace(/\s+$/, '');
-    content += langLine + '\n' + cleanValue + '\n```\n';
 
-    // Include cell outputs if they exist
-    if (cell.outputs && cell.outputs.length > 0) {
+    // Use a fence the content cannot close (e.g. ```` around a ``` example)
+    const marker = chooseFence(cleanValue, fence.marker || '```');
+    const closing = fence.closing !== undefined && isClosingFence(fence.closing, { marker }) ? fence.closing : indent + marker;
+    const body = cleanValue.split('\n').map(line => line ? indent + line : line).join('\n');
+
+    // Write the code block with language identifier and attributes
+    content += indent + marker + this.serializeFenceInfo(cell) + '\n' + body + '\n' + closing + '\n';
+
+    // Include cell outputs if they exist (annotations are saved in the execution record)
+    const cellOutputs = (cell.outputs || []).filter(output => !isAnnotationOutput(output));
+    if (cellOutputs.length > 0) {
+      // Stderr goes to a block of its own, below the rest of the output
+      const isStderr = (output) => output.items.some(item => item.mime === STDERR_MIME);
+      const outputs = cellOutputs.filter(output => !isStderr(output));
+
       // Check if any output is markdown to determine the output block type
-      const hasMarkdownOutput = cell.outputs.some(output =>
+      const hasMarkdownOutput = outputs.some(output =>
         output.items.some(item => item.mime === 'text/markdown')
       );
-      const outputLang = hasMarkdownOutput ? 'markdown' : '';
+      const outputLang = hasMarkdownOutput ? 'markdown' : outputs.some(isJsonOutput) ? 'json' : '';
+      // Secret values never reach the file, even from outputs that were not streamed
+      const outputContent = maskSecrets(this.serializeOutputs(outputs));
+      const outputFence = chooseFence(outputContent);
+      const stderrContent = maskSecrets(this.serializeOutputs(cellOutputs.filter(isStderr)));
 
-      content += '\n**Output:**\n```' + outputLang + '\n';
-      for (const output of cell.outputs) {
-        content += this.serializeOutput(output);
+      const execution = this.getExecutionRecord(cell);
+      content += '\n';
+      if (execution) {
+        content += `<!-- runbook:execution ${maskSecrets(JSON.stringify(execution))} -->\n`;
+      }
+      content += '**Output:**\n' + outputFence + outputLang + '\n' + outputContent + outputFence + '\n';
+      if (stderrContent) {
+        const stderrFence = chooseFence(stderrContent);
+        content += '\n**Stderr:**\n' + stderrFence + '\n' + stderrContent + stderrFence + '\n';
       }
-      content += '```\n';
     }
 
-    content += '\n';
+    // Separate the cell from what follows, unless the file had no blank line here
+    if (!cell.metadata || cell.metadata.trailingBlankLine !== false) {
+      content += '\n';
+    }
     return content;
   }
 
+  /**
+   * Get the execution record of the run that produced a cell's outputs
+   * @param {vscode.NotebookCellData} cell - The cell to serialize
+   * @returns {Object|null} - Execution record, or null if there is none
+   */
+  getExecutionRecord(cell) {
+    const output = (cell.outputs || []).find(o => o.metadata && o.metadata.execution);
+    return output ? output.metadata.execution : null;
+  }
+
+  /**
+   * Build the info string for a code cell's opening fence
+   * @param {vscode.NotebookCellData} cell - The cell to serialize
+   * @returns {string} - Language identifier followed by the attribute list, if any
+   */
+  serializeFenceInfo(cell) {
+    const metadata = cell.metadata || {};
+    const attributes = metadata.attributes || {};
+
+    // Write the original info string back unchanged unless the language or attributes were edited
+    if (metadata.info !== undefined) {
+      const original = parseFenceInfo(metadata.info);
+      if (original.languageId === cell.languageId && JSON.stringify(original.attributes) === JSON.stringify(attributes)) {
+        return metadata.info;
+      }
+    }
+
+    const attributeList = formatAttributes(attributes);
+    return cell.languageId + (attributeList ? ' ' + attributeList : '');
+  }
+
+  /**
+   * Serialize a list of cell outputs to text format
+   * Consecutive stdout (or stderr) chunks are joined first, so a line split by output of the other stream stays whole
+   * @param {Array<vscode.NotebookCellOutput>} outputs - The outputs to serialize
+   * @returns {string} - Serialized output content
+   */
+  serializeOutputs(outputs) {
+    const merged = [];
+    for (const output of outputs) {
+      const previous = merged[merged.length - 1];
+      const item = output.items.length === 1 ? output.items[0] : null;
+      const isStream = item && (item.mime === STDOUT_MIME || item.mime === STDERR_MIME);
+      if (isStream && previous && previous.items.length === 1 && previous.items[0].mime === item.mime) {
+        const text = new TextDecoder().decode(previous.items[0].data) + new TextDecoder().decode(item.data);
+        const stream = item.mime === STDOUT_MIME ? 'stdout' : 'stderr';
+        merged[merged.length - 1] = new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem[stream](text)]);
+      } else {
+        merged.push(output);
+      }
+    }
+    return merged.map(output => this.serializeOutput(output)).join('');
+  }
+
   /**
    * Serialize cell output to text format
    * @param {vscode.NotebookCellOutput} output - The output to serialize
@@ -148,9 +439,9 @@ class NotebookSerializer {
   serializeOutput(output) {
     let content = '';
     for (const item of output.items) {
-      if (item.mime === 'text/plain' || item.mime === 'text/markdown') {
-        // Decode the output text and add it
-        const outputText = new TextDecoder().decode(item.data);
+      if (['text/plain', 'text/markdown', STDOUT_MIME, STDERR_MIME].includes(item.mime)) {
+        // Decode the output text and add it (as plain text, so escape codes don't end up in the markdown)
+        const outputText = toPlainText(new TextDecoder().decode(item.data));
         // Split into lines and add trailing spaces for proper markdown line breaks
         const lines = outputText.split('\n');
         for (let i = 0; i < lines.length; i++) {
@@ -170,7 +461,7 @@ class NotebookSerializer {
         const errorData = JSON.parse(new TextDecoder().decode(item.data));
         content += `Error: ${errorData.message}\n`;
         if (errorData.stack) {
-          content += errorData.stack + '\n';
+          content += toPlainText(errorData.stack) + '\n';
         }
       }
     }
@@ -178,6 +469,15 @@ class NotebookSerializer {
   }
 }
 
+/**
+ * Join the lines of a saved output block, removing the trailing spaces serializeOutput adds for markdown line breaks
+ * @param {string[]} bodyLines - Lines between the block fences
+ * @returns {string} - Output text
+ */
+function removeLineBreakSpaces(bodyLines) {
+  return bodyLines.map(line => line.endsWith('  ') ? line.slice(0, -2) + '\n' : line + '\n').join('');
+}
+
 module.exports = {
   NotebookSerializer
 };
\ No newline at end of file
@@ -0,0 +1,84 @@
+const vscode = require('vscode');
+
+/**
+ * Shows stale cell outputs in the UI: a badge on each stale cell and a status bar item with the count
+ */
+class StaleIndicator {
+  /**
+   * @param {StaleTracker} staleTracker - Tracker that knows which cells are stale
+   */
+  constructor(staleTracker) {
+    this.staleTracker = staleTracker;
+    this.statusBarItem = null;
+    this.changeEmitter = null;
+  }
+
+  /**
+   * Register the cell status bar provider, the status bar item and the listeners that refresh them
+   * @param {vscode.ExtensionContext} context - Extension context
+   */
+  activate(context) {
+    this.changeEmitter = new vscode.EventEmitter();
+    this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
+    this.statusBarItem.command = 'runbookNotebook.rerunStaleCells';
+
+    const provider = vscode.notebooks.registerNotebookCellStatusBarItemProvider('runbookNotebook', {
+      onDidChangeCellStatusBarItems: this.changeEmitter.event,
+      provideCellStatusBarItems: (cell) => this.provideCellStatusBarItems(cell)
+    });
+
+    context.subscriptions.push(
+      this.changeEmitter,
+      this.statusBarItem,
+      provider,
+      this.staleTracker.onDidChange(() => this.refresh()),
+      // Edited VARIABLES tables and changed front matter make outputs stale too
+      vscode.workspace.onDidChangeNotebookDocument(() => this.refresh()),
+      vscode.window.onDidChangeActiveNotebookEditor(() => this.refresh())
+    );
+    this.refresh();
+  }
+
+  /**
+   * Provide the stale badge for a cell
+   * @param {vscode.NotebookCell} cell - The cell
+   * @returns {Array<vscode.NotebookCellStatusBarItem>} - The badge, if the cell is stale
+   */
+  provideCellStatusBarItems(cell) {
+    const changed = this.staleTracker.getChangedVariables(cell.notebook, cell);
+    if (changed.length === 0) {
+      return [];
+    }
+
+    const item = new vscode.NotebookCellStatusBarItem('$(warning) Stale', vscode.NotebookCellStatusBarAlignment.Left);
+    item.tooltip = `Output was computed from old values of: ${changed.join(', ')}`;
+    item.command = 'runbookNotebook.rerunStaleCells';
+    return [item];
+  }
+
+  /**
+   * Refresh the cell badges and the status bar item for the active runbook
+   */
+  refresh() {
+    this.changeEmitter.fire();
+
+    const editor = vscode.window.activeNotebookEditor;
+    if (!editor || editor.notebook.notebookType !== 'runbookNotebook') {
+      this.statusBarItem.hide();
+      return;
+    }
+
+    const count = this.staleTracker.getStaleCells(editor.notebook).length;
+    if (count === 0) {
+      this.statusBarItem.hide();
+      return;
+    }
+    this.statusBarItem.text = `$(warning) ${count} stale cell${count === 1 ? '' : 's'}`;
+    this.statusBarItem.tooltip = 'Outputs computed from variable values that have since changed. Click to re-run them.';
+    this.statusBarItem.show();
+  }
+}
+
+module.exports = {
+  StaleIndicator
+};
\ No newline at end of file
@@ -0,0 +1,317 @@
+const vscode = require('vscode');
+const { describeVariables, replaceTableValue, isSecretValue } = require('../utils/variableInspector');
+const { getSecretNames, storeCellOutput, deleteCellOutput, onDidChangeCellOutputs } = require('../utils/variableProcessor');
+const { MASK, maskSecrets, containsSecret } = require('../utils/secrets');
+
+/**
+ * Longest value shown next to a variable name
+ */
+const DESCRIPTION_LENGTH = 60;
+
+/**
+ * Groups of the view, in the order of their priority
+ */
+const GROUPS = [
+  { key: 'outputs', label: 'Cell Outputs', icon: 'output' },
+  { key: 'tables', label: 'Variables Tables', icon: 'table' },
+  { key: 'parameters', label: 'Parameters', icon: 'symbol-parameter' },
+  { key: 'secrets', label: 'Secrets', icon: 'key' }
+];
+
+/**
+ * Shows the variables visible at the selected cell of the active runbook in the "Runbook Variables" view,
+ * with actions to edit, copy, clear and find where each one comes from
+ */
+class VariablesView {
+  /**
+   * @param {CellExecutor} cellExecutor - Executor used to load secrets and re-run producer cells
+   * @param {Function} getController - Returns the notebook controller, for re-running cells
+   */
+  constructor(cellExecutor, getController = () => null) {
+    this.cellExecutor = cellExecutor;
+    this.getController = getController;
+    this.changeEmitter = null;
+    this.treeView = null;
+  }
+
+  /**
+   * Register the tree view, its item commands and the listeners that refresh it
+   * @param {vscode.ExtensionContext} context - Extension context
+   */
+  activate(context) {
+    this.changeEmitter = new vscode.EventEmitter();
+    this.treeView = vscode.window.createTreeView('runbookNotebook.variables', {
+      treeDataProvider: {
+        onDidChangeTreeData: this.changeEmitter.event,
+        getTreeItem: (element) => this.createItem(element),
+        getChildren: (element) => this.getChildren(element)
+      }
+    });
+
+    const commands = {
+      'runbookNotebook.variables.edit': this.editVariable,
+      'runbookNotebook.variables.copy': this.copyVariable,
+      'runbookNotebook.variables.reveal': this.revealDefinition,
+      'runbookNotebook.variables.clear': this.clearVariable,
+      'runbookNotebook.variables.rerunProducer': this.rerunProducer,
+      'runbookNotebook.variables.refresh': this.refresh
+    };
+    for (const [commandId, handler] of Object.entries(commands)) {
+      context.subscriptions.push(vscode.commands.registerCommand(commandId, handler.bind(this)));
+    }
+
+    context.subscriptions.push(
+      this.changeEmitter,
+      this.treeView,
+      onDidChangeCellOutputs(() => this.refresh()),
+      vscode.workspace.onDidChangeNotebookDocument(() => this.refresh()),
+      vscode.window.onDidChangeActiveNotebookEditor(() => this.refresh()),
+      vscode.window.onDidChangeNotebookEditorSelection(() => this.refresh())
+    );
+    if (context.secrets) {
+      context.subscriptions.push(context.secrets.onDidChange(() => this.refresh()));
+    }
+    this.refresh();
+  }
+
+  /**
+   * Get the active runbook and the index of its selected cell
+   * @returns {Object|null} - { editor, notebook, cellIndex }, or null when no runbook is active
+   */
+  getTarget() {
+    const editor = vscode.window.activeNotebookEditor;
+    if (!editor || editor.notebook.notebookType !== 'runbookNotebook') {
+      return null;
+    }
+    const selection = editor.selections && editor.selections[0];
+    const cellIndex = selection && !selection.isEmpty ? selection.start : editor.notebook.cellCount - 1;
+    return { editor, notebook: editor.notebook, cellIndex: Math.max(cellIndex, 0) };
+  }
+
+  /**
+   * Redraw the view
+   */
+  refresh() {
+    if (!this.treeView) {
+      return;
+    }
+    const target = this.getTarget();
+    this.treeView.description = target ? `at Cell ${target.cellIndex + 1}` : '';
+    this.treeView.message = target ? undefined : 'Open a runbook to see its variables.';
+    this.changeEmitter.fire();
+  }
+
+  /**
+   * Get the groups, or the variables of a group
+   * @param {Object} element - A group node (undefined for the root)
+   * @returns {Promise<Array<Object>>} - Child nodes
+   */
+  async getChildren(element) {
+    if (element) {
+      return element.children;
+    }
+    const target = this.getTarget();
+    if (!target) {
+      return [];
+    }
+
+    // Secrets show whether they are set, so load the ones the cells refer to
+    const { notebook, cellIndex } = target;
+    const code = notebook.getCells().slice(0, cellIndex + 1)
+      .filter(cell => cell.kind === vscode.NotebookCellKind.Code)
+      .map(cell => cell.document.getText()).join('\n');
+    await this.cellExecutor.secrets.load(getSecretNames(code, notebook, cellIndex));
+
+    const variables = describeVariables(notebook, cellIndex);
+    return GROUPS.filter(group => variables[group.key].length > 0).map(group => ({
+      group,
+      children: variables[group.key].map(variable => ({ kind: group.key, variable, notebook }))
+    }));
+  }
+
+  /**
+   * Create the tree item of a node
+   * @param {Object} element - Group or variable node
+   * @returns {vscode.TreeItem} - The item
+   */
+  createItem(element) {
+    if (element.group) {
+      const item = new vscode.TreeItem(element.group.label, vscode.TreeItemCollapsibleState.Expanded);
+      item.iconPath = new vscode.ThemeIcon(element.group.icon);
+      item.description = String(element.children.length);
+      return item;
+    }
+
+    const { kind, variable } = element;
+    const item = new vscode.TreeItem(variable.name, vscode.TreeItemCollapsibleState.None);
+    const details = [];
+    if (kind === 'outputs') {
+      item.description = this.formatValue(variable.value);
+      details.push(variable.global ? 'Workspace-global output' : 'Output of this runbook');
+      details.push(variable.producerIndex !== null ? `Produced by Cell ${variable.producerIndex + 1}` : 'Not produced by a cell of this runbook');
+      if (variable.storedAt) {
+        details.push(`Captured ${new Date(variable.storedAt).toLocaleString()}`);
+      }
+      details.push(`${variable.size} byte${variable.size === 1 ? '' : 's'}`);
+    } else if (kind === 'tables') {
+      if (isSecretValue(variable.raw)) {
+        item.description = `${MASK} (${variable.raw})`;
+      } else {
+        item.description = variable.value !== undefined ? this.formatValue(variable.value) : `(asked when used: ${variable.raw || 'choice'})`;
+      }
+      details.push(`VARIABLES table in Cell ${variable.cellIndex + 1}${variable.section ? ` under "${variable.section}"` : ''}`);
+    } else if (kind === 'parameters') {
+      item.description = this.formatValue(variable.value);
+      details.push('Front-matter parameter');
+    } else {
+      item.description = variable.set ? MASK : '(not set)';
+      details.push(`Used as {{secret:${variable.name}}}`);
+    }
+    if (variable.shadowed) {
+      item.description = `${item.description} (shadowed)`;
+      details.push('Not used: a variable of the same name takes priority');
+    }
+
+    item.tooltip = details.join('\n');
+    item.contextValue = `variable.${kind === 'outputs' && variable.producerIndex !== null ? 'output.produced' : kind.replace(/s$/, '')}`;
+    if (kind === 'outputs' || kind === 'tables') {
+      item.command = { command: 'runbookNotebook.variables.reveal', title: 'Go to Definition', arguments: [element] };
+    }
+    return item;
+  }
+
+  /**
+   * Shorten a value to one line for the description of an item, with secret and masked values hidden
+   * @param {string} value - The value
+   * @returns {string} - One-line value
+   */
+  formatValue(value) {
+    const line = maskSecrets(String(value)).replace(/\s+/g, ' ').trim();
+    return line.length > DESCRIPTION_LENGTH ? `${line.slice(0, DESCRIPTION_LENGTH - 1)}…` : line;
+  }
+
+  /**
+   * Change the value of a variable: the stored output, the VARIABLES table row or the stored secret
+   * @param {Object} element - Variable node
+   */
+  async editVariable(element) {
+    if (!element || !element.variable) {
+      return;
+    }
+    const { kind, variable, notebook } = element;
+
+    if (kind === 'secrets') {
+      const value = await vscode.window.showInputBox({ prompt: `Value of secret '${variable.name}'`, password: true, ignoreFocusOut: true });
+      if (value !== undefined) {
+        await this.cellExecutor.secrets.set(variable.name, value);
+        this.refresh();
+      }
+      return;
+    }
+
+    if (kind === 'outputs') {
+      const value = await vscode.window.showInputBox({ prompt: `Value of {{${variable.name}}}`, value: variable.value, ignoreFocusOut: true });
+      if (value !== undefined) {
+        storeCellOutput(variable.name, value, null, variable.global ? null : notebook);
+        this.cellExecutor.staleTracker.fireChange();
+      }
+      return;
+    }
+
+    if (kind === 'tables') {
+      const value = await vscode.window.showInputBox({
+        prompt: `Value of {{${variable.name}}} in the VARIABLES table`,
+        value: variable.raw,
+        ignoreFocusOut: true,
+        validateInput: (input) => /[|\r\n]/.test(input) ? 'A table value cannot contain |' : null
+      });
+      if (value === undefined) {
+        return;
+      }
+      const document = notebook.cellAt(variable.cellIndex).document;
+      const line = document.lineAt(variable.line);
+      const edit = new vscode.WorkspaceEdit();
+      edit.replace(document.uri, line.range, replaceTableValue(line.text, variable.column, value));
+      await vscode.workspace.applyEdit(edit);
+      return;
+    }
+
+    vscode.window.showInformationMessage('Parameters are set in the front matter of the runbook.');
+  }
+
+  /**
+   * Copy the value of a variable (secrets, and values holding a secret or masked value, are not copied)
+   * @param {Object} element - Variable node
+   */
+  async copyVariable(element) {
+    if (!element || !element.variable || element.kind === 'secrets' || element.variable.value === undefined) {
+      return;
+    }
+    if (containsSecret(String(element.variable.value))) {
+      vscode.window.showInformationMessage(`{{${element.variable.name}}} holds a secret value, so it is not copied.`);
+      return;
+    }
+    await vscode.env.clipboard.writeText(String(element.variable.value));
+    vscode.window.setStatusBarMessage(`Copied {{${element.variable.name}}}`, 3000);
+  }
+
+  /**
+   * Select and show the cell a variable comes from: the producer of an output, the cell of a VARIABLES table
+   * @param {Object} element - Variable node
+   */
+  async revealDefinition(element) {
+    if (!element || !element.variable) {
+      return;
+    }
+    const { kind, variable, notebook } = element;
+    const cellIndex = kind === 'outputs' ? variable.producerIndex : kind === 'tables' ? variable.cellIndex : null;
+    if (cellIndex === null || cellIndex === undefined) {
+      vscode.window.showInformationMessage(`{{${variable.name}}} is not defined in a cell of this runbook.`);
+      return;
+    }
+    const editor = await vscode.window.showNotebookDocument(notebook);
+    const range = new vscode.NotebookRange(cellIndex, cellIndex + 1);
+    editor.selections = [range];
+    editor.revealRange(range, vscode.NotebookEditorRevealType.InCenterIfOutsideViewport);
+  }
+
+  /**
+   * Forget a stored output or delete a stored secret
+   * @param {Object} element - Variable node
+   */
+  async clearVariable(element) {
+    if (!element || !element.variable) {
+      return;
+    }
+    const { kind, variable, notebook } = element;
+    if (kind === 'outputs') {
+      deleteCellOutput(variable.name, variable.global ? null : notebook);
+      this.cellExecutor.staleTracker.fireChange();
+    } else if (kind === 'secrets') {
+      await this.cellExecutor.secrets.delete(variable.name);
+      this.refresh();
+    } else {
+      vscode.window.showInformationMessage('Table variables and parameters are cleared by editing the runbook.');
+    }
+  }
+
+  /**
+   * Run the cell that produced an output again, to update its value
+   * @param {Object} element - Variable node of an output
+   */
+  async rerunProducer(element) {
+    if (!element || !element.variable || element.variable.producerIndex === null || element.variable.producerIndex === undefined) {
+      return;
+    }
+    const controller = this.getController();
+    if (!controller) {
+      return;
+    }
+    const cell = element.notebook.cellAt(element.variable.producerIndex);
+    await this.cellExecutor.executeCell(cell, controller, element.notebook);
+  }
+}
+
+module.exports = {
+  VariablesView
+};
\ No newline at end of file
@@ -11,6 +11,11 @@ const vscode = require('vscode');
 const { NotebookSerializer } = require('./core/notebookSerializer');
 const { CellExecutor } = require('./core/cellExecutor');
 const { CommandHandler } = require('./core/commandHandler');
+const { StaleIndicator } = require('./core/staleIndicator');
+const { VariablesView } = require('./core/variablesView');
+const { SecretStore } = require('./services/secretStore');
+const { VariableStore } = require('./services/variableStore');
+const { killAllProcessGroups } = require('./utils/processTree');
 const { getSupportedLanguages, configuration } = require('./constants');
 
 /**
@@ -29,8 +34,8 @@ class RunbookExtension {
    */
   activate(context) {
     // Initialize services
-    this.cellExecutor = new CellExecutor();
-    this.commandHandler = new CommandHandler();
+    this.cellExecutor = new CellExecutor(new SecretStore(context.secrets));
+    this.commandHandler = new CommandHandler(this.cellExecutor, () => this.controller);
 
     // Register the notebook serializer
     const serializerDisposable = vscode.workspace.registerNotebookSerializer(
@@ -45,6 +50,20 @@ class RunbookExtension {
     // Register commands
     this.commandHandler.registerCommands(context);
 
+    // Shell sessions of a closed runbook are not needed anymore
+    context.subscriptions.push(vscode.workspace.onDidCloseNotebookDocument((notebook) => {
+      this.cellExecutor.restartSessions(notebook);
+    }));
+
+    // Stored {{id}} variables survive window reloads
+    new VariableStore(context.workspaceState).activate(context);
+
+    // Flag outputs computed from variable values that have since changed
+    new StaleIndicator(this.cellExecutor.staleTracker).activate(context);
+
+    // List the variables visible at the selected cell
+    new VariablesView(this.cellExecutor, () => this.controller).activate(context);
+
     // Watch for configuration changes
     this.setupConfigurationWatcher(context);
 
@@ -75,13 +94,15 @@ class RunbookExtension {
    */
   createExecuteHandler() {
     return async (cells, notebook, controller) => {
+      // The cells run together share a RUNBOOK_RUN_ID
+      const runId = this.cellExecutor.createRunId();
       for (const cell of cells) {
         const languageId = cell.document?.languageId || cell.languageId || 'unknown';
         const isCodeCell = cell.cellKind === vscode.NotebookCellKind.Code ||
           (cell.document && cell.document.languageId);
 
         if (isCodeCell) {
-          await this.cellExecutor.executeCell(cell, controller, notebook);
+          await this.cellExecutor.executeCell(cell, controller, notebook, runId);
         }
       }
     };
@@ -114,7 +135,12 @@ class RunbookExtension {
    * Deactivate the extension
    */
   deactivate() {
-    // Cleanup is handled by VS Code disposing subscriptions
+    // Cleanup is handled by VS Code disposing subscriptions; shell sessions are separate processes
+    if (this.cellExecutor) {
+      this.cellExecutor.sessions.disposeAll();
+    }
+    // Cancelled cells and background jobs started by cells must not outlive VS Code
+    killAllProcessGroups();
     console.log('Runbook Notebook Extension deactivated');
   }
 }
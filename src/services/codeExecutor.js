@@ -1,21 +1,38 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
-const { spawn } = require('child_process');
 const os = require('os');
 
-// Lazy load vscode to handle test environment
-let vscode = null;
-try {
-  vscode = require('vscode');
-} catch (error) {
-  // vscode module not available, likely in test environment
-  if (process.env.NODE_ENV === 'test' || require.main?.filename?.includes('test')) {
-    vscode = require('../../tests/vscode-mock');
-  }
-}
+const vscode = require('../utils/vscodeApi');
+
+const { configuration } = require('../constants');
+const { spawnProcessGroup, terminateProcessGroup, describeExit } = require('../utils/processTree');
+const { InputForwarder, STDIN_MODES } = require('./inputForwarder');
+const { renderTerminalText } = require('../utils/ansi');
+const { StreamOutput } = require('../utils/outputStreams');
+const { WorkflowCommandFilter } = require('../utils/workflowCommands');
+const { ShellSession } = require('./shellSession');
+const { ReplKernel } = require('./replKernel');
+
+/**
+ * Size of the pseudo-terminal that `tty` cells run in
+ */
+const TTY_COLUMNS = 120;
+const TTY_ROWS = 40;
+
+/**
+ * How often the output of a cell is rebuilt once it is truncated (milliseconds)
+ */
+const REBUILD_INTERVAL = 1000;
 
-const { getFileExtensions, getShebangs, getDefaultShebang, getDefaultExtension, configuration } = require('../constants');
+/**
+ * Quote an argument for a POSIX shell command line
+ * @param {string} value - Argument
+ * @returns {string} - Single-quoted argument
+ */
+function quoteShellArgument(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
 
 /**
  * Service class for executing code cells
@@ -45,13 +62,14 @@ class CodeExecutor {
    * @param {vscode.CancellationToken} cancellationToken - Cancellation token
    * @param {Object} options - Execution options
    * @param {vscode.NotebookCellExecution} execution - Execution context for streaming updates
+   * @param {Configuration} settings - Configuration to use (e.g. scoped to the runbook)
    * @returns {Promise<Object>} - Execution result
    */
-  async executeCode(code, languageId, cancellationToken, options = {}, execution = null) {
-    const tempFilePath = await this.writeTempExecutableFile(code, languageId);
+  async executeCode(code, languageId, cancellationToken, options = {}, execution = null, settings = configuration) {
+    const tempFilePath = await this.writeTempExecutableFile(code, languageId, settings);
 
     try {
-      const result = await this.executeFile(tempFilePath, languageId, cancellationToken, options, execution);
+      const result = await this.executeFile(tempFilePath, languageId, cancellationToken, options, execution, settings);
       return result;
     } finally {
       // Clean up temp file
@@ -67,14 +85,15 @@ class CodeExecutor {
    * Write code to a temporary executable file
    * @param {string} code - The code content
    * @param {string} languageId - The language identifier
+   * @param {Configuration} settings - Configuration to use (e.g. scoped to the runbook)
    * @returns {Promise<string>} - Path to the temporary file
    */
-  async writeTempExecutableFile(code, languageId) {
+  async writeTempExecutableFile(code, languageId, settings = configuration) {
     const hash = crypto.randomBytes(8).toString('hex');
-    const fileExtensions = getFileExtensions();
-    const shebangs = getShebangs();
-    const extension = fileExtensions[languageId] || getDefaultExtension();
-    const shebang = shebangs[languageId] || getDefaultShebang();
+    const fileExtensions = settings.getFileExtensions();
+    const shebangs = settings.getShebangs();
+    const extension = fileExtensions[languageId] || settings.getDefaultExtension();
+    const shebang = shebangs[languageId] || settings.getDefaultShebang();
 
     await fs.mkdir(this.tempDir, { recursive: true });
 
@@ -96,92 +115,51 @@ class CodeExecutor {
    * @param {vscode.CancellationToken} cancellationToken - Cancellation token
    * @param {Object} options - Execution options
    * @param {vscode.NotebookCellExecution} execution - Execution context for streaming updates
-   * @returns {Promise<Object>} - Execution result with stdout, stderr, and exitCode
+   * @param {Configuration} settings - Configuration to use (e.g. scoped to the runbook)
+   * @returns {Promise<Object>} - Execution result with stdout, stderr, chunks (both streams in order) and exitCode
    */
-  async executeFile(filePath, languageId, cancellationToken, options = {}, execution = null) {
+  async executeFile(filePath, languageId, cancellationToken, options = {}, execution = null, settings = configuration) {
     return new Promise((resolve, reject) => {
-      const { command, args, spawnOptions } = this.getExecutionCommand(filePath, languageId);
-      const child = spawn(command, args, spawnOptions);
+      const { command, args, spawnOptions } = this.getExecutionCommand(filePath, languageId, options, settings);
+      // Own process group, so stopping the cell also stops everything it started
+      const child = spawnProcessGroup(command, args, spawnOptions);
 
-      let stdout = '';
-      let stderr = '';
+      const progress = this.createProgressReporter();
+      const output = this.createStreamOutput(settings, progress);
       let timeoutId = null;
-      let updateDebounceTimer = null;
-
-      // Import markdown detector if needed for streaming
-      const { containsMarkdownPatterns } = execution ? require('../utils/markdownDetector') : { containsMarkdownPatterns: null };
-
-      // Helper function to update cell output during streaming
-      const updateStreamingOutput = (immediate = false) => {
-        if (!execution) return;
-
-        // Clear any pending debounced update
-        if (updateDebounceTimer) {
-          clearTimeout(updateDebounceTimer);
-          updateDebounceTimer = null;
+      let timedOut = false;
+      let termination = null;
+      const signalsSent = [];
+
+      // Stream output to the notebook while the process runs
+      const streamer = this.createOutputStreamer(execution);
+      const show = (stream, { text, truncated }) => streamer.show(output, stream, text, truncated);
+      const receive = (stream, text) => show(stream, output.receive(stream, text));
+
+      // Pipe text in, answer prompts with an input box, or close stdin right away
+      const inputForwarder = this.connectStdin(child, options.stdin, cancellationToken, (stream, answer) => {
+        if (options.tty) {
+          return; // The pseudo-terminal echoes answers itself
         }
+        receive(stream, answer);
+        streamer.flush();
+      });
 
-        const doUpdate = () => {
-          const output = stdout + (stderr ? '\nSTDERR:\n' + stderr : '');
-          const hasMarkdown = containsMarkdownPatterns && containsMarkdownPatterns(output);
-          const mimeType = hasMarkdown ? 'text/markdown' : 'text/plain';
-
-          // For markdown output, add trailing spaces to each line for proper line breaks
-          let displayOutput = output;
-          if (hasMarkdown) {
-            const lines = output.split('\n');
-            displayOutput = lines.map((line, index) => {
-              // Add trailing spaces to all lines except the very last one
-              if (index < lines.length - 1) {
-                return line + '  ';
-              }
-              return line;
-            }).join('\n');
-          }
-
-          const cellOutput = new vscode.NotebookCellOutput([
-            vscode.NotebookCellOutputItem.text(displayOutput, mimeType)
-          ]);
-          execution.replaceOutput([cellOutput]);
-        };
-
-        if (immediate) {
-          doUpdate();
-        } else {
-          // Debounce updates to avoid too many UI refreshes (update every 100ms max)
-          updateDebounceTimer = setTimeout(doUpdate, 100);
-        }
-      };
-
-      // Helper function to kill the process
+      // Stop the process group: SIGINT, then SIGTERM, then SIGKILL after each grace period
       const killProcess = () => {
-        if (child.pid) {
-          try {
-            process.kill(child.pid, 'SIGTERM');
-            // Give it a moment, then force kill if still running
-            setTimeout(() => {
-              if (!child.killed) {
-                process.kill(child.pid, 'SIGKILL');
-              }
-            }, 100);
-          } catch (err) {
-            console.error('Failed to kill process:', err);
-          }
+        if (child.pid && !termination) {
+          // `script` does not pass SIGINT on; a pseudo-terminal interrupts its program on Ctrl-C instead
+          const interrupt = options.tty && child.stdin.writable ? () => child.stdin.write('\x03') : null;
+          termination = terminateProcessGroup(child, settings.getKillGracePeriod() * 1000,
+            (signal) => signalsSent.push(signal), interrupt);
         }
       };
 
       // Handle timeout
       if (options.timeout && typeof options.timeout === 'number' && options.timeout > 0) {
         timeoutId = setTimeout(() => {
-          if (updateDebounceTimer) {
-            clearTimeout(updateDebounceTimer);
-          }
+          timedOut = true;
           killProcess();
-          resolve({
-            stdout: stdout + '\n[Process timed out after ' + options.timeout + ' seconds]',
-            stderr: stderr + '\n[Process killed due to timeout]',
-            exitCode: 124 // Standard timeout exit code
-          });
         }, options.timeout * 1000);
       }
 
@@ -193,56 +171,327 @@ class CodeExecutor {
         killProcess();
       };
 
+      let cancellation = null;
       if (cancellationToken) {
-        cancellationToken.onCancellationRequested(cancellationHandler);
+        cancellation = cancellationToken.onCancellationRequested(cancellationHandler);
       }
 
-      child.stdout.on('data', (data) => {
-        stdout += data.toString();
-        updateStreamingOutput(); // Stream output to notebook
-      });
-
-      child.stderr.on('data', (data) => {
-        stderr += data.toString();
-        updateStreamingOutput(); // Stream stderr to notebook
-      });
-
-      child.on('close', (code) => {
+      const cleanup = () => {
+        if (inputForwarder) {
+          inputForwarder.dispose();
+        }
+        // A running escalation is left to finish: it stops by itself once the whole group has exited
         if (timeoutId) {
           clearTimeout(timeoutId);
         }
-        if (updateDebounceTimer) {
-          clearTimeout(updateDebounceTimer);
+        if (cancellation && cancellation.dispose) {
+          cancellation.dispose();
         }
-        // Final update with immediate flag to ensure last output is shown
-        updateStreamingOutput(true);
-        resolve({ stdout, stderr, exitCode: code });
-      });
+      };
 
-      child.on('error', (error) => {
-        if (timeoutId) {
-          clearTimeout(timeoutId);
+      for (const stream of ['stdout', 'stderr']) {
+        child[stream].on('data', (data) => {
+          receive(stream, data.toString());
+          if (inputForwarder) {
+            inputForwarder.handleOutput(stream, output[stream]);
+          }
+        });
+      }
+
+      child.on('close', (code, signal) => {
+        cleanup();
+        progress.done();
+        let { exitCode, note } = describeExit(code, signal, signalsSent);
+        if (note) {
+          receive('stderr', (output.stderr && !output.stderr.endsWith('\n') ? '\n' : '') + note);
         }
-        if (updateDebounceTimer) {
-          clearTimeout(updateDebounceTimer);
+        if (timedOut) {
+          receive('stdout', '\n[Process timed out after ' + options.timeout + ' seconds]');
+          receive('stderr', '\n[Process killed due to timeout]');
+          exitCode = 124; // Standard timeout exit code
         }
+        show('stdout', output.flushCommands('stdout'));
+        show('stderr', output.flushCommands('stderr'));
+        // Final update to ensure last output is shown
+        streamer.finish();
+        resolve(output.toResult(exitCode));
+      });
+
+      child.on('error', (error) => {
+        cleanup();
+        progress.done();
+        streamer.dispose();
+        output.close();
         reject(error);
       });
     });
   }
 
+  /**
+   * Connect the stdin of a cell process according to the cell's `stdin` option
+   * @param {ChildProcess} child - The cell process
+   * @param {string|boolean} stdin - 'auto' (default: answer prompt-like lines), 'interactive' (answer any
+   *   line the process waits on), 'none' or false (no input), or text to pipe in
+   * @param {vscode.CancellationToken} cancellationToken - Cancellation token of the cell
+   * @param {Function} onAnswer - Called with the stream and text to echo for each answer
+   * @returns {InputForwarder|null} - Forwarder watching the output for prompts, if any
+   */
+  connectStdin(child, stdin, cancellationToken, onAnswer) {
+    if (stdin === false || stdin === 'none') {
+      child.stdin.end();
+      return null;
+    }
+    if (typeof stdin === 'string' && !STDIN_MODES.includes(stdin)) {
+      child.stdin.on('error', () => { }); // The process may exit without reading everything
+      child.stdin.end(stdin);
+      return null;
+    }
+    return new InputForwarder(child.stdin, {
+      mode: stdin === 'interactive' ? 'interactive' : 'auto',
+      token: cancellationToken,
+      onAnswer
+    });
+  }
+
+  /**
+   * Create the collector for a cell's output, limited as configured
+   * Truncated output is written in full to a log file in the artifacts directory; workflow commands
+   * (`::set-var name=value::` and the like) are taken out of stdout
+   * @param {Configuration} settings - Configuration to use (e.g. scoped to the runbook)
+   * @param {Object} progress - Progress reporter for `::progress::` commands (see createProgressReporter)
+   * @returns {StreamOutput} - Empty output
+   */
+  createStreamOutput(settings = configuration, progress = null) {
+    return new StreamOutput({
+      commands: new WorkflowCommandFilter({ onProgress: progress ? progress.report : undefined }),
+      maxLines: settings.getMaxOutputLines(),
+      maxSize: settings.getMaxOutputSize(),
+      createLogFile: () => {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const name = `output-${timestamp}-${crypto.randomBytes(4).toString('hex')}.log`;
+        return path.join(path.resolve(this.tempDir, settings.getArtifactsDirectory()), name);
+      }
+    });
+  }
+
+  /**
+   * Create a persistent shell session for bash/shell cells
+   * @param {Object} options - Execution options of the cell that starts the session (shell, cwd)
+   * @param {Configuration} settings - Configuration to use (e.g. scoped to the runbook)
+   * @returns {ShellSession} - The session (not started yet)
+   */
+  createShellSession(options = {}, settings = configuration) {
+    const shell = options.shell || settings.getShell() || this.getDefaultShell();
+    const spawnOptions = {
+      cwd: this.getWorkingDirectory(options),
+      env: { ...process.env }
+    };
+
+    if (shell === 'wsl.exe') {
+      return new ShellSession('wsl.exe', ['-e', 'bash', '-l'], spawnOptions);
+    }
+    return new ShellSession(shell, ['-l'], spawnOptions);
+  }
+
+  /**
+   * Create a REPL kernel for python/javascript cells
+   * @param {string} language - Kernel language ('python' or 'javascript')
+   * @param {Object} options - Execution options of the cell that starts the kernel (cwd)
+   * @returns {ReplKernel} - The kernel (not started yet)
+   */
+  createKernel(language, options = {}) {
+    return new ReplKernel(language, {
+      cwd: this.getWorkingDirectory(options),
+      env: { ...process.env }
+    });
+  }
+
+  /**
+   * Execute code in a persistent shell session or REPL kernel
+   * @param {ShellSession} session - Running session or kernel
+   * @param {string} code - The code to execute
+   * @param {vscode.CancellationToken} cancellationToken - Cancellation token (interrupts only this cell)
+   * @param {Object} options - Execution options
+   * @param {vscode.NotebookCellExecution} execution - Execution context for streaming updates
+   * @param {Configuration} settings - Configuration to use (e.g. scoped to the runbook)
+   * @returns {Promise<Object>} - Execution result with stdout, stderr, chunks (both streams in order) and exitCode
+   */
+  async executeInSession(session, code, cancellationToken, options = {}, execution = null, settings = configuration) {
+    const streamer = this.createOutputStreamer(execution);
+    const progress = this.createProgressReporter();
+    const output = this.createStreamOutput(settings, progress);
+    try {
+      return await session.run(code, {
+        token: cancellationToken,
+        timeout: options.timeout,
+        cwd: options.cwd && typeof options.cwd === 'string' ? this.getWorkingDirectory(options) : null,
+        environment: options.environment,
+        killGracePeriod: settings.getKillGracePeriod(),
+        output,
+        onOutput: (stream, text, truncated) => streamer.show(output, stream, text, truncated)
+      });
+    } finally {
+      progress.done();
+      streamer.finish();
+    }
+  }
+
+  /**
+   * Create a reporter that shows the `::progress percent message::` commands of a running cell
+   * The progress notification opens with the first report and closes when the cell is done.
+   * @returns {Object} - { report(percent, message), done() }
+   */
+  createProgressReporter() {
+    let progress = null;
+    let finish = null;
+    let latest = null;
+    let reported = 0;
+    let isDone = false;
+
+    const show = () => {
+      if (!progress || !latest) return;
+      const { percent, message } = latest;
+      // VS Code adds up increments; progress that goes back only updates the message
+      progress.report({ increment: Math.max(percent - reported, 0), message: `${percent}%${message ? ' ' + message : ''}` });
+      reported = Math.max(reported, percent);
+      latest = null;
+    };
+
+    const report = (percent, message) => {
+      if (isDone) return;
+      latest = { percent, message };
+      if (finish) {
+        show();
+        return;
+      }
+      const finished = new Promise(resolve => { finish = resolve; });
+      vscode.window.withProgress({ location: vscode.ProgressLocation.Notification, title: 'Running cell' }, (reporter) => {
+        progress = reporter;
+        show();
+        return finished;
+      });
+    };
+
+    const done = () => {
+      isDone = true;
+      if (finish) finish();
+    };
+
+    return { report, done };
+  }
+
+  /**
+   * Create a helper that shows output in the cell while it is still running
+   * New output is appended to the cell instead of rebuilding all of it. Once output is truncated, the
+   * cell is rebuilt from the kept output at most once per REBUILD_INTERVAL. Updates are debounced (at
+   * most every 100ms) unless flushed.
+   * @param {vscode.NotebookCellExecution} execution - Execution context for streaming updates (none: updates are ignored)
+   * @returns {Object} - { show(output, stream, text, truncated), flush(), finish(), dispose() }
+   */
+  createOutputStreamer(execution) {
+    let updateDebounceTimer = null;
+    let pendingText = []; // Text to append, as chunks
+    let truncatedOutput = null; // StreamOutput to rebuild the cell from
+    let lastRebuild = 0;
+    let lastOutput = null;
+    let lastStream = null;
+    let started = false;
+
+    const dispose = () => {
+      if (updateDebounceTimer) {
+        clearTimeout(updateDebounceTimer);
+        updateDebounceTimer = null;
+      }
+    };
+
+    const createOutput = (stream, text) => new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem[stream](text)]);
+
+    const replace = (chunks) => {
+      dispose();
+      if (!execution) return;
+      // Progress lines collapse to their final state; colors are kept for display
+      const outputs = chunks.map(chunk => createOutput(chunk.stream, renderTerminalText(chunk.text)));
+      execution.replaceOutput(outputs);
+      lastOutput = outputs[outputs.length - 1] || null;
+      lastStream = chunks.length > 0 ? chunks[chunks.length - 1].stream : null;
+      started = true;
+      pendingText = [];
+      truncatedOutput = null;
+      lastRebuild = Date.now();
+    };
+
+    const flush = () => {
+      dispose();
+      if (!execution) return;
+
+      if (truncatedOutput && Date.now() - lastRebuild >= REBUILD_INTERVAL) {
+        replace(truncatedOutput.getChunks());
+        return;
+      }
+
+      // VS Code joins the items of a stream output and interprets colors and carriage returns itself
+      for (const { stream, text } of pendingText) {
+        if (lastOutput && lastStream === stream) {
+          execution.appendOutputItems([vscode.NotebookCellOutputItem[stream](text)], lastOutput);
+        } else {
+          lastOutput = createOutput(stream, text);
+          lastStream = stream;
+          if (started) {
+            execution.appendOutput([lastOutput]);
+          } else {
+            // The first output replaces the output of the previous run
+            execution.replaceOutput([lastOutput]);
+            started = true;
+          }
+        }
+      }
+      pendingText = [];
+      if (truncatedOutput) {
+        updateDebounceTimer = setTimeout(flush, REBUILD_INTERVAL - (Date.now() - lastRebuild));
+      }
+    };
+
+    // Show new text of a StreamOutput (truncated: earlier output was dropped from it)
+    const show = (output, stream, text, truncated) => {
+      if (!execution || !text) return;
+      const last = pendingText[pendingText.length - 1];
+      if (last && last.stream === stream) {
+        last.text += text;
+      } else {
+        pendingText.push({ stream, text });
+      }
+      if (truncated) {
+        truncatedOutput = output;
+      }
+      // Debounce updates to avoid too many UI refreshes (update every 100ms max)
+      if (!updateDebounceTimer) {
+        updateDebounceTimer = setTimeout(flush, 100);
+      }
+    };
+
+    // Show the remaining text and stop rebuilding (the caller sets the final outputs)
+    const finish = () => {
+      flush();
+      dispose();
+    };
+
+    return { show, flush, finish, dispose };
+  }
+
   /**
    * Get the execution command and arguments for a given file and language
    * @param {string} filePath - Path to the file to execute
    * @param {string} languageId - The language identifier
+   * @param {Object} options - Execution options
+   * @param {Configuration} settings - Configuration to use (e.g. scoped to the runbook)
    * @returns {Object} - Object with command, args, and spawnOptions
    */
-  getExecutionCommand(filePath, languageId) {
+  getExecutionCommand(filePath, languageId, options = {}, settings = configuration) {
     let command;
     let args = [];
     const spawnOptions = {
-      cwd: this.tempDir, // Run from workspace root
-      env: { ...process.env }, // Forward VS Code's environment variables
+      cwd: this.getWorkingDirectory(options), // Run from workspace root unless the cell sets cwd
+      env: { ...process.env, ...options.environment }, // Forward VS Code's environment variables, plus the cell's own
       shell: false
     };
 
@@ -253,8 +502,8 @@ class CodeExecutor {
       command = 'python3';
       args = [filePath];
     } else if (languageId === 'bash' || languageId === 'shell' || languageId === 'sh') {
-      // Use default terminal shell (login shell) instead of hardcoded bash
-      const shell = this.getDefaultShell();
+      // Use the configured shell (cell, runbook or setting), else the default terminal shell (login shell)
+      const shell = options.shell || settings.getShell() || this.getDefaultShell();
 
       if (shell === 'wsl.exe') {
         // For WSL, convert Windows path to WSL path
@@ -270,9 +519,60 @@ class CodeExecutor {
       args = [];
     }
 
+    if (options.tty) {
+      return this.wrapInPseudoTerminal(command, args, spawnOptions);
+    }
     return { command, args, spawnOptions };
   }
 
+  /**
+   * Run a command under a pseudo-terminal with the `script` utility, so tools enable colors and
+   * progress bars. Everything the command prints (stdout and stderr) arrives on stdout.
+   * @param {string} command - Command to run
+   * @param {Array<string>} args - Command arguments
+   * @param {Object} spawnOptions - Spawn options of the command
+   * @returns {Object} - Object with command, args, and spawnOptions
+   */
+  wrapInPseudoTerminal(command, args, spawnOptions) {
+    if (process.platform === 'win32') {
+      // No `script` on Windows: run the command as usual
+      return { command, args, spawnOptions };
+    }
+
+    const env = { ...spawnOptions.env, COLUMNS: String(TTY_COLUMNS), LINES: String(TTY_ROWS) };
+    if (!env.TERM || env.TERM === 'dumb') {
+      env.TERM = 'xterm-256color';
+    }
+    // The terminal gets no size when VS Code itself has no terminal
+    const setup = `stty cols ${TTY_COLUMNS} rows ${TTY_ROWS} 2>/dev/null; exec "$0" "$@"`;
+
+    if (process.platform === 'darwin') {
+      return { command: 'script', args: ['-q', '/dev/null', 'sh', '-c', setup, command, ...args], spawnOptions: { ...spawnOptions, env } };
+    }
+
+    // util-linux script runs its command line with $SHELL: use sh, and pass the user's shell on
+    const restoreShell = env.SHELL ? `SHELL=${quoteShellArgument(env.SHELL)}; export SHELL; ` : 'unset SHELL; ';
+    const commandLine = restoreShell + 'exec ' + ['sh', '-c', setup, command, ...args].map(quoteShellArgument).join(' ');
+    return {
+      command: 'script',
+      args: ['-q', '-e', '-f', '-c', commandLine, '/dev/null'],
+      spawnOptions: { ...spawnOptions, env: { ...env, SHELL: '/bin/sh' } }
+    };
+  }
+
+  /**
+   * Get the working directory for a cell, resolving options.cwd relative to the workspace root
+   * @param {Object} options - Execution options
+   * @returns {string} - Absolute path of the working directory
+   */
+  getWorkingDirectory(options = {}) {
+    if (!options.cwd || typeof options.cwd !== 'string') {
+      return this.tempDir;
+    }
+    const cwd = options.cwd.replace(/^~(?=$|[\\/])/, os.homedir());
+    return path.resolve(this.tempDir, cwd);
+  }
+
   /**
    * Get the default shell configured in VS Code
    * @returns {string} - Default shell command
@@ -3,6 +3,7 @@ const { spawn } = require('child_process');
 const os = require('os');
 const { getMaxAgentTurns, getDefaultModel, configuration } = require('../constants');
 const { containsMarkdownPatterns } = require('../utils/markdownDetector');
+const { maskSecrets } = require('../utils/secrets');
 
 /**
  * Service class for interacting with GitHub Copilot
@@ -51,10 +52,18 @@ class CopilotService {
       }
     } catch (error) {
       // Fail silently - this is a nice-to-have feature
-      this.outputChannel.appendLine(`Could not check scrollable output setting: ${error.message}`);
+      this.log(`Could not check scrollable output setting: ${error.message}`);
     }
   }
 
+  /**
+   * Write a line to the "Runbook Copilot" output channel, with secret values hidden
+   * @param {string} message - Log message
+   */
+  log(message) {
+    this.outputChannel.appendLine(maskSecrets(message));
+  }
+
   /**
    * Send a prompt to Copilot and get the response
    * @param {string} prompt - The prompt to send
@@ -64,17 +73,19 @@ class CopilotService {
    * @returns {Promise<Object>} - Response object with content and model info
    */
   async askCopilot(prompt, token, options = {}, execution = null) {
+    // Secret values substituted into the prompt are not sent to the model
+    prompt = maskSecrets(prompt);
     try {
       const models = await this.selectCopilotModels(options);
       const model = models[0];
 
       if (configuration.getDebugLogging()) {
-        this.outputChannel.appendLine(`Selected model: ${model.family}, mode: ${options.mode || 'ask'}`);
+        this.log(`Selected model: ${model.family}, mode: ${options.mode || 'ask'}`);
       }
 
       const tools = this.getToolsForMode(options.mode);
       if (configuration.getDebugLogging()) {
-        this.outputChannel.appendLine(`Tools provided: ${tools.length}`);
+        this.log(`Tools provided: ${tools.length}`);
       }
 
       const response = await this.executeAgentLoop(model, prompt, tools, token, execution);
@@ -85,7 +96,7 @@ class CopilotService {
       };
 
     } catch (error) {
-      this.outputChannel.appendLine(`Error: ${error}`);
+      this.log(`Error: ${error}`);
       throw this.handleCopilotError(error);
     }
   }
@@ -104,7 +115,7 @@ class CopilotService {
       throw new Error('No Copilot models available. Please ensure GitHub Copilot extension is installed and you have an active subscription.');
     }
 
-    this.outputChannel.appendLine(`Available models: ${models.map(m => m.family).join(', ')}`);
+    this.log(`Available models: ${models.map(m => m.family).join(', ')}`);
 
     // Determine which model to use (priority: options.model > default config > first available)
     let targetModel = options.model || getDefaultModel();
@@ -112,11 +123,11 @@ class CopilotService {
     // Filter by target model if specified
     if (targetModel) {
       const filtered = models.filter(m => m.family.includes(targetModel));
-      this.outputChannel.appendLine(`Filtered for '${targetModel}': ${filtered.map(m => m.family).join(', ')}`);
+      this.log(`Filtered for '${targetModel}': ${filtered.map(m => m.family).join(', ')}`);
       if (filtered.length > 0) {
         models = filtered;
       } else {
-        this.outputChannel.appendLine(`Specified model '${targetModel}' not found. Using first available model.`);
+        this.log(`Specified model '${targetModel}' not found. Using first available model.`);
       }
     }
 
@@ -165,7 +176,7 @@ class CopilotService {
     const maxTurns = getMaxAgentTurns();
     while (turnCount < maxTurns) {
       turnCount++;
-      this.outputChannel.appendLine(`\n--- Turn ${turnCount}/${maxTurns} ---`);
+      this.log(`\n--- Turn ${turnCount}/${maxTurns} ---`);
 
       const response = await model.sendRequest(messages, { tools }, token);
       const { turnResponse, toolCalls, hasToolCalls } = await this.processModelResponse(
@@ -208,20 +219,20 @@ class CopilotService {
           const text = part.value;
           turnResponse += text;
           streamingOutput += text;
-          this.outputChannel.appendLine(`Text part: ${text}`);
+          this.log(`Text part: ${text}`);
 
           this.updateExecutionOutput(execution, streamingOutput);
         } else if (part instanceof vscode.LanguageModelToolCallPart) {
           toolCalls.push(part);
-          this.outputChannel.appendLine(`Tool call part: ${part.name} with callId: ${part.callId} and input: ${JSON.stringify(part.input)}`);
+          this.log(`Tool call part: ${part.name} with callId: ${part.callId} and input: ${JSON.stringify(part.input)}`);
         }
       }
     } catch (error) {
-      this.outputChannel.appendLine(`Stream error: ${error.message}`);
+      this.log(`Stream error: ${error.message}`);
     }
 
-    this.outputChannel.appendLine(`Response text: ${turnResponse}`);
-    this.outputChannel.appendLine(`Tool calls found: ${toolCalls.length}`);
+    this.log(`Response text: ${turnResponse}`);
+    this.log(`Tool calls found: ${toolCalls.length}`);
 
     const hasToolCalls = toolCalls.length > 0 || this.parseToolCallsFromText(turnResponse).length > 0;
 
@@ -267,11 +278,11 @@ class CopilotService {
    */
   async executeToolCommand(toolCall, messages, execution, fullResponse) {
     const command = toolCall.input.command;
-    this.outputChannel.appendLine(`Executing tool: ${command}`);
+    this.log(`Executing tool: ${command}`);
 
     try {
       const result = await this.executeCommand(command);
-      this.outputChannel.appendLine(`Tool result: ${result}`);
+      this.log(`Tool result: ${result}`);
 
       // Add tool result message
       messages.push(vscode.LanguageModelChatMessage.User([
@@ -296,7 +307,7 @@ class CopilotService {
    * @param {string} command - The command that failed
    */
   handleToolError(error, toolCall, messages, execution, fullResponse, command) {
-    this.outputChannel.appendLine(`Tool error: ${error.message}`);
+    this.log(`Tool error: ${error.message}`);
 
     // Add error result message
     messages.push(vscode.LanguageModelChatMessage.User([
@@ -320,7 +331,7 @@ class CopilotService {
         const args = JSON.parse(toolCallMatch[1]);
         return [{ command: args.command }];
       } catch (error) {
-        this.outputChannel.appendLine(`Failed to parse tool call from text: ${error.message}`);
+        this.log(`Failed to parse tool call from text: ${error.message}`);
       }
     }
     return [];
@@ -335,11 +346,11 @@ class CopilotService {
    */
   async executeTextToolCommand(textToolCall, messages, execution, fullResponse) {
     const command = textToolCall.command;
-    this.outputChannel.appendLine(`Parsed tool call from text: ${command}`);
+    this.log(`Parsed tool call from text: ${command}`);
 
     try {
       const result = await this.executeCommand(command);
-      this.outputChannel.appendLine(`Executed: ${command}, Result: ${result}`);
+      this.log(`Executed: ${command}, Result: ${result}`);
 
       // Add a simple user message with the result
       messages.push(vscode.LanguageModelChatMessage.User(`Command executed: ${command}\nOutput: ${result}`));
@@ -347,7 +358,7 @@ class CopilotService {
       fullResponse += toolOutput;
       this.updateExecutionOutput(execution, fullResponse);
     } catch (error) {
-      this.outputChannel.appendLine(`Execution error: ${error.message}`);
+      this.log(`Execution error: ${error.message}`);
       messages.push(vscode.LanguageModelChatMessage.User(`Command execution failed: ${error.message}`));
       const errorOutput = `\n\nError: ${error.message}`;
       fullResponse += errorOutput;
@@ -419,10 +430,11 @@ class CopilotService {
       });
 
       child.on('close', (code) => {
+        // Tool output goes back to the model, so secret values are hidden
         if (code === 0) {
-          resolve(stdout);
+          resolve(maskSecrets(stdout));
         } else {
-          reject(new Error(`Command failed with exit code ${code}: ${stderr}`));
+          reject(new Error(`Command failed with exit code ${code}: ${maskSecrets(stderr)}`));
         }
       });
 
@@ -0,0 +1,156 @@
+const vscode = require('../utils/vscodeApi');
+
+/**
+ * How long output has to be quiet before a trailing partial line counts as a prompt (milliseconds)
+ */
+const PROMPT_IDLE_DELAY = 750;
+
+/**
+ * Values of the `stdin` cell option that are modes rather than text to pipe in
+ */
+const STDIN_MODES = ['auto', 'interactive', 'none'];
+
+/**
+ * Check whether a partial output line looks like a question waiting for an answer
+ * ("Password:", "Continue? [Y/n]", "Enter name: "); only questions, yes/no choices and colons after words that
+ * ask for input count, so progress text such as "Waiting for rollout:" or "[=====>   ]" does not
+ * @param {string} line - Last output line, without a trailing newline
+ * @returns {boolean} - True if the line looks like a prompt
+ */
+function looksLikePrompt(line) {
+  const text = line.trim();
+  if (text.length === 0 || text.length > 200) {
+    return false;
+  }
+  if (/(\?|[[(]y(es)?\/n(o)?[\])])$/i.test(text)) {
+    return true;
+  }
+  return /:$/.test(text) && /\b(enter|input|type|choose|select|answer|name|user(name)?|login|e-?mail|pass(word|phrase|code)?|pin|token|secret|otp)\b/i.test(text);
+}
+
+/**
+ * Check whether a prompt asks for a secret, so the answer should be masked
+ * @param {string} line - Prompt text
+ * @returns {boolean} - True for password-like prompts
+ */
+function isPasswordPrompt(line) {
+  return /pass(word|phrase)|secret|token|\bpin\b/i.test(line);
+}
+
+/**
+ * Watches the output of a running cell and answers its prompts with an input box
+ * In 'auto' mode only prompt-like lines are answered; in 'interactive' mode the user is asked whenever
+ * the process goes quiet, which also covers prompts that are not printed (`read -p` without a terminal).
+ * Dismissing the input box closes stdin, so the command sees end of input instead of hanging until the timeout.
+ */
+class InputForwarder {
+  /**
+   * @param {stream.Writable} stdin - Stdin of the running process
+   * @param {Object} options - Forwarding options
+   * @param {string} options.mode - 'auto' or 'interactive'
+   * @param {vscode.CancellationToken} options.token - Cancellation token of the cell (closes the input box)
+   * @param {Function} options.onAnswer - Called with the stream of the prompt and the text to show in the output for an answer
+   */
+  constructor(stdin, options = {}) {
+    this.stdin = stdin;
+    this.mode = options.mode || 'auto';
+    this.token = options.token;
+    this.onAnswer = options.onAnswer || (() => { });
+    this.timer = null;
+    this.prompting = false;
+    this.disposed = false;
+    this.lastLine = '';
+    this.lastStream = 'stdout';
+    this.outputVersion = 0;
+    this.stdin.on('error', () => { }); // The process may exit before it reads the answer
+    if (this.mode === 'interactive') {
+      this.waitForQuiet();
+    }
+  }
+
+  /**
+   * Take note of new output and wait for it to go quiet
+   * @param {string} stream - 'stdout' or 'stderr' (`read -p` prompts on stderr)
+   * @param {string} output - Output of that stream received so far
+   */
+  handleOutput(stream, output) {
+    if (this.disposed) {
+      return;
+    }
+    this.lastStream = stream;
+    this.lastLine = output.slice(output.lastIndexOf('\n') + 1);
+    this.outputVersion++;
+    this.waitForQuiet();
+  }
+
+  /**
+   * (Re)start the timer that checks for a prompt once output is quiet
+   */
+  waitForQuiet() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => this.checkForPrompt(), PROMPT_IDLE_DELAY);
+  }
+
+  /**
+   * Ask the user for an answer if the process seems to wait on its last output line
+   */
+  async checkForPrompt() {
+    this.timer = null;
+    const prompt = this.lastLine;
+    const waiting = this.mode === 'interactive' || looksLikePrompt(prompt);
+    if (!waiting || this.prompting || this.disposed) {
+      return;
+    }
+
+    this.prompting = true;
+    const stream = this.lastStream;
+    const version = this.outputVersion;
+    const password = isPasswordPrompt(prompt);
+    const answer = await vscode.window.showInputBox({
+      title: 'The running cell is waiting for input',
+      prompt: prompt.trim() || 'Input for the running cell (Escape sends end of input)',
+      password,
+      ignoreFocusOut: true
+    }, this.token);
+    this.prompting = false;
+
+    if (this.disposed) {
+      return;
+    }
+    if (answer === undefined) {
+      this.stdin.end();
+      this.dispose();
+      return;
+    }
+    this.stdin.write(answer + '\n');
+    // Show the answer like a terminal echo would (masked answers only end the line)
+    this.onAnswer(stream, password ? '\n' : answer + '\n');
+    if (this.outputVersion === version) {
+      this.lastLine = '';
+    }
+    // Output that arrived while the input box was open may hold the next prompt
+    if (this.mode === 'interactive' || this.outputVersion !== version) {
+      this.waitForQuiet();
+    }
+  }
+
+  /**
+   * Stop watching for prompts
+   */
+  dispose() {
+    this.disposed = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  InputForwarder,
+  STDIN_MODES,
+  looksLikePrompt,
+  isPasswordPrompt
+};
\ No newline at end of file
@@ -0,0 +1,199 @@
+const { ShellSession } = require('./shellSession');
+
+/**
+ * Python driver: runs each cell it receives (one JSON request per line) in a shared namespace and
+ * reports completion with the same sentinel lines as shell sessions
+ */
+const PYTHON_DRIVER = [
+  'import json, linecache, os, sys, traceback',
+  'namespace = {"__name__": "__main__"}',
+  'def describe():',
+  '    variables = {}',
+  '    for name, value in list(namespace.items()):',
+  '        if name.startswith("_") or type(value).__name__ == "module":',
+  '            continue',
+  '        try:',
+  '            text = repr(value)',
+  '        except Exception:',
+  '            text = "<unprintable>"',
+  '        variables[name] = {"type": type(value).__name__, "value": text[:200]}',
+  '    return variables',
+  'def run(request):',
+  '    if request.get("cwd"):',
+  '        os.chdir(request["cwd"])',
+  '    os.environ.update(request.get("env") or {})',
+  '    if request.get("command") == "variables":',
+  '        sys.stdout.write(json.dumps(describe()))',
+  '        return 0',
+  '    code = request["code"]',
+  '    linecache.cache["<cell>"] = (len(code), None, code.splitlines(True), "<cell>")',
+  '    try:',
+  '        exec(compile(code, "<cell>", "exec"), namespace)',
+  '    except KeyboardInterrupt:',
+  '        sys.stderr.write("KeyboardInterrupt\\n")',
+  '        return 130',
+  '    except SystemExit as error:',
+  '        if error.code is None or isinstance(error.code, int):',
+  '            return error.code or 0',
+  '        sys.stderr.write(str(error.code) + "\\n")',
+  '        return 1',
+  '    except BaseException:',
+  '        kind, value, tb = sys.exc_info()',
+  '        traceback.print_exception(kind, value, tb.tb_next)',
+  '        return 1',
+  '    return 0',
+  'while True:',
+  '    try:',
+  '        line = sys.stdin.readline()',
+  '        if not line:',
+  '            break',
+  '        request = json.loads(line)',
+  '        status = run(request)',
+  '        sys.stdout.write("\\n__%s_%d__\\n" % (request["marker"], status))',
+  '        sys.stdout.flush()',
+  '        sys.stderr.write("\\n__%s__\\n" % request["marker"])',
+  '        sys.stderr.flush()',
+  '    except KeyboardInterrupt:',
+  '        continue'
+].join('\n');
+
+/**
+ * Node.js driver: runs each cell in the driver's global context, so top-level declarations persist.
+ * Top-level const/let become var, so a cell can be run again; a promise returned by the cell is awaited.
+ */
+const NODE_DRIVER = [
+  'const vm = require("vm");',
+  'const path = require("path");',
+  'const util = require("util");',
+  'const { createRequire } = require("module");',
+  'const builtins = new Set(Object.getOwnPropertyNames(globalThis).concat(["require"]));',
+  'let interrupt = null;',
+  'process.on("SIGINT", () => interrupt && interrupt());',
+  'process.on("uncaughtException", (error) => console.error(error && error.stack || error));',
+  'process.on("unhandledRejection", (error) => console.error(error && error.stack || error));',
+  'function describe() {',
+  '  const variables = {};',
+  '  for (const name of Object.getOwnPropertyNames(globalThis)) {',
+  '    if (builtins.has(name)) continue;',
+  '    const value = globalThis[name];',
+  '    const type = value === null ? "null" : typeof value === "object" ? (value.constructor && value.constructor.name) || "object" : typeof value;',
+  '    variables[name] = { type, value: util.inspect(value, { depth: 1, breakLength: Infinity }).slice(0, 200) };',
+  '  }',
+  '  return variables;',
+  '}',
+  'async function run(request) {',
+  '  if (request.cwd) process.chdir(request.cwd);',
+  '  Object.assign(process.env, request.env);',
+  '  globalThis.require = createRequire(path.join(process.cwd(), "cell.js"));',
+  '  if (request.command === "variables") {',
+  '    process.stdout.write(JSON.stringify(describe()));',
+  '    return 0;',
+  '  }',
+  '  try {',
+  '    const code = request.code.replace(/^(const|let)(?=\\s)/gm, "var");',
+  '    const result = vm.runInThisContext(code, { filename: "cell.js", breakOnSigint: true });',
+  '    if (result && typeof result.then === "function") {',
+  '      const interrupted = new Promise((resolve) => { interrupt = resolve; });',
+  '      if (await Promise.race([result.then(() => false), interrupted.then(() => true)])) {',
+  '        console.error("Interrupted");',
+  '        return 130;',
+  '      }',
+  '    }',
+  '    return 0;',
+  '  } catch (error) {',
+  '    if (error && error.code === "ERR_SCRIPT_EXECUTION_INTERRUPTED") {',
+  '      console.error("Interrupted");',
+  '      return 130;',
+  '    }',
+  '    const stack = String(error && error.stack || error).split("\\n");',
+  '    const end = stack.findIndex((line) => /^\\s+at .*(node:vm|\\[eval\\])/.test(line));',
+  '    console.error((end === -1 ? stack : stack.slice(0, end)).join("\\n"));',
+  '    return 1;',
+  '  } finally {',
+  '    interrupt = null;',
+  '  }',
+  '}',
+  'let queue = Promise.resolve();',
+  'require("readline").createInterface({ input: process.stdin }).on("line", (line) => {',
+  '  const request = JSON.parse(line);',
+  '  queue = queue.then(() => run(request)).then((status) => {',
+  '    process.stdout.write(`\\n__${request.marker}_${status}__\\n`);',
+  '    process.stderr.write(`\\n__${request.marker}__\\n`);',
+  '  });',
+  '});'
+].join('\n');
+
+/**
+ * Get the kernel language for a cell language
+ * @param {string} languageId - Language of the cell
+ * @returns {string|null} - 'python' or 'javascript', or null if the language has no kernel
+ */
+function getKernelLanguage(languageId) {
+  if (languageId === 'python' || languageId === 'py') {
+    return 'python';
+  }
+  if (languageId === 'javascript' || languageId === 'js') {
+    return 'javascript';
+  }
+  return null;
+}
+
+/**
+ * Long-lived python3 or node process that keeps globals between cells
+ * Reuses the session machinery of ShellSession (queueing, sentinels, interrupt, timeout); only the
+ * process and the request format differ
+ */
+class ReplKernel extends ShellSession {
+  /**
+   * @param {string} language - 'python' or 'javascript'
+   * @param {Object} spawnOptions - Options for child_process.spawn (cwd, env)
+   */
+  constructor(language, spawnOptions) {
+    if (language === 'python') {
+      super('python3', ['-u', '-c', PYTHON_DRIVER], {
+        ...spawnOptions,
+        env: { ...spawnOptions.env, PYTHONIOENCODING: 'utf-8' }
+      });
+    } else {
+      super('node', ['-e', NODE_DRIVER], spawnOptions);
+    }
+    this.language = language;
+    this.label = language === 'python' ? 'Python kernel' : 'Node.js kernel';
+  }
+
+  /**
+   * Wait until the driver answers, so a kernel that cannot start fails before the first cell
+   * @returns {Promise<void>}
+   */
+  initialize() {
+    return this.run('').then(() => { });
+  }
+
+  /**
+   * Build the JSON request line for one cell
+   * @param {string} code - Code with LF line endings
+   * @param {string} marker - Sentinel marker of the cell
+   * @param {Object} options - Run options (cwd, environment, command)
+   * @returns {string} - Text to write to stdin
+   */
+  formatRequest(code, marker, options) {
+    return JSON.stringify({ marker, code, cwd: options.cwd || null, env: options.environment || {}, command: options.command || null }) + '\n';
+  }
+
+  /**
+   * Get the variables defined by the cells run so far
+   * @returns {Promise<Object>} - Type and value (as text) by variable name
+   */
+  async listVariables() {
+    const result = await this.run('', { command: 'variables' });
+    if (result.exitCode !== 0) {
+      throw new Error(result.stderr || `${this.label} did not answer`);
+    }
+    return JSON.parse(result.stdout);
+  }
+}
+
+module.exports = {
+  ReplKernel,
+  getKernelLanguage
+};
\ No newline at end of file
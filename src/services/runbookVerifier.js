@@ -0,0 +1,169 @@
+const vscode = require('../utils/vscodeApi');
+
+const { parseOptionsFromCode } = require('../utils/optionsParser');
+const { getOutputText, compareOutput } = require('../utils/outputComparer');
+const { getSupportedLanguages, configuration } = require('../constants');
+
+/**
+ * Controller that keeps execution outputs in memory instead of replacing the cell outputs,
+ * so the saved outputs stay in place as the expected results
+ */
+class CapturingController {
+  /**
+   * @param {vscode.CancellationToken} token - Cancellation token for all executions
+   */
+  constructor(token) {
+    this.token = token;
+  }
+
+  /**
+   * Create an execution that records its outputs and result
+   * @returns {Object} - Execution with start, end, replaceOutput, appendOutput, appendOutputItems, outputs and success
+   */
+  createNotebookCellExecution() {
+    const execution = {
+      token: this.token,
+      outputs: [],
+      success: undefined,
+      start: () => { },
+      end: (success) => {
+        execution.success = success;
+      },
+      replaceOutput: (outputs) => {
+        execution.outputs = outputs;
+      },
+      appendOutput: (outputs) => {
+        execution.outputs = [...execution.outputs, ...outputs];
+      },
+      appendOutputItems: (items, output) => {
+        output.items = [...output.items, ...items];
+      }
+    };
+    return execution;
+  }
+}
+
+/**
+ * Service class that re-runs a runbook and compares fresh output with the saved **Output:** blocks
+ */
+class RunbookVerifier {
+  /**
+   * @param {CellExecutor} cellExecutor - Executor used to run the cells
+   */
+  constructor(cellExecutor) {
+    this.cellExecutor = cellExecutor;
+  }
+
+  /**
+   * Run every code cell of a notebook and compare its output with the saved output
+   * @param {vscode.NotebookDocument} notebook - The notebook document
+   * @param {Object} options - Verification options
+   * @param {vscode.CancellationToken} options.token - Cancellation token
+   * @param {number} options.startIndex - Index of the first cell to verify
+   * @param {Function} options.onCellStart - Called with each cell before it runs
+   * @param {Function} options.onCellResult - Called with each cell result
+   * @returns {Promise<Object>} - Summary with passed, failed and unverified counts and the cell results
+   */
+  async verifyNotebook(notebook, options = {}) {
+    const token = options.token || { isCancellationRequested: false, onCancellationRequested: () => ({ dispose: () => { } }) };
+    const controller = new CapturingController(token);
+    const settings = configuration.forNotebook(notebook);
+    const globalIgnore = settings.getVerifyIgnorePatterns();
+    const supportedLanguages = getSupportedLanguages();
+    const summary = { passed: 0, failed: 0, unverified: 0, cancelled: false, results: [] };
+    const runId = this.cellExecutor.createRunId();
+
+    for (const cell of notebook.getCells().slice(options.startIndex || 0)) {
+      if (cell.kind !== vscode.NotebookCellKind.Code || !supportedLanguages.includes(cell.document.languageId)) {
+        continue;
+      }
+      if (token.isCancellationRequested) {
+        summary.cancelled = true;
+        break;
+      }
+
+      if (options.onCellStart) {
+        options.onCellStart(cell);
+      }
+
+      let execution = null;
+      await this.cellExecutor.executeCell(cell, {
+        createNotebookCellExecution: () => {
+          execution = controller.createNotebookCellExecution();
+          return execution;
+        }
+      }, notebook, runId);
+
+      const result = this.checkCell(cell, execution, globalIgnore);
+      summary[result.status]++;
+      summary.results.push(result);
+      if (options.onCellResult) {
+        options.onCellResult(result);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Compare the captured output of a cell with its saved output
+   * @param {vscode.NotebookCell} cell - The verified cell
+   * @param {Object} execution - Captured execution
+   * @param {Array<string>} globalIgnore - Ignore patterns from the settings
+   * @returns {Object} - Result with cellIndex, status ('passed', 'failed' or 'unverified'), reason and diff
+   */
+  checkCell(cell, execution, globalIgnore) {
+    const attributes = (cell.metadata && cell.metadata.attributes) || {};
+    const { options } = parseOptionsFromCode(cell.document.getText(), cell.document.languageId, attributes);
+    const textOptions = { stderr: options.verifyStderr === true };
+    const actual = getOutputText(execution.outputs, textOptions);
+    const result = { cellIndex: cell.index, status: 'passed', reason: null, diff: [], actual };
+
+    // Nothing to compare against - the cell still ran so later cells get its variables
+    if (cell.outputs.length === 0 && options.expect === undefined) {
+      result.status = 'unverified';
+      result.reason = 'No saved output';
+      return result;
+    }
+
+    try {
+      const comparison = compareOutput(getOutputText(cell.outputs, textOptions), actual, {
+        ignore: [...globalIgnore, ...[].concat(options.ignore || [])],
+        expect: options.expect
+      });
+      result.status = comparison.passed ? 'passed' : 'failed';
+      result.reason = comparison.reason;
+      result.diff = comparison.diff;
+    } catch (error) {
+      result.status = 'failed';
+      result.reason = error.message;
+    }
+    return result;
+  }
+}
+
+/**
+ * Format a verification summary as a plain-text report
+ * @param {Object} summary - Summary returned by verifyNotebook
+ * @param {string} name - Name of the runbook
+ * @returns {string} - Report text
+ */
+function formatVerificationReport(summary, name) {
+  const lines = [];
+  for (const result of summary.results) {
+    const mark = { passed: '✔', failed: '✖', unverified: '○' }[result.status];
+    lines.push(`${mark} Cell ${result.cellIndex + 1}: ${result.status}${result.reason ? ` - ${result.reason}` : ''}`);
+    for (const line of result.diff) {
+      lines.push(`    ${line}`);
+    }
+  }
+  lines.push('');
+  lines.push(`${name}: ${summary.passed} passed, ${summary.failed} failed, ${summary.unverified} without saved output` +
+    (summary.cancelled ? ' (cancelled)' : ''));
+  return lines.join('\n');
+}
+
+module.exports = {
+  RunbookVerifier,
+  formatVerificationReport
+};
\ No newline at end of file
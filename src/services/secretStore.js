@@ -0,0 +1,122 @@
+const { setSecretValue, forgetSecretValue } = require('../utils/secrets');
+
+/**
+ * Prefix of the SecretStorage keys holding secret values
+ */
+const KEY_PREFIX = 'runbook-notebook.secret.';
+
+/**
+ * SecretStorage key of the list of secret names (SecretStorage cannot list its keys)
+ */
+const NAMES_KEY = 'runbook-notebook.secretNames';
+
+/**
+ * Prefix of the environment variables secrets are read from outside VS Code
+ */
+const ENVIRONMENT_PREFIX = 'RUNBOOK_SECRET_';
+
+/**
+ * Service class for the secrets runbooks reference as {{secret:name}}
+ * In VS Code secrets live in the extension's SecretStorage (the OS keychain); without one (the CLI)
+ * they are read from RUNBOOK_SECRET_<NAME> environment variables. Secret names are case-insensitive.
+ */
+class SecretStore {
+  /**
+   * @param {vscode.SecretStorage} storage - The extension's secret storage (environment variables if not given)
+   */
+  constructor(storage = null) {
+    this.storage = storage;
+  }
+
+  /**
+   * Get the environment variable a secret is read from outside VS Code
+   * @param {string} name - Secret name, e.g. "api-key"
+   * @returns {string} - e.g. "RUNBOOK_SECRET_API_KEY"
+   */
+  static toEnvironmentName(name) {
+    return ENVIRONMENT_PREFIX + name.toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+  }
+
+  /**
+   * Describe how a missing secret can be set
+   * @param {string} name - Secret name
+   * @returns {string} - Hint for error messages
+   */
+  getSetHint(name) {
+    return this.storage
+      ? 'store it with the "Set Secret" command'
+      : `set the ${SecretStore.toEnvironmentName(name)} environment variable`;
+  }
+
+  /**
+   * Load secrets, so {{secret:name}} references resolve and their values are masked in output
+   * @param {Array<string>} names - Secret names
+   * @returns {Promise<Array<string>>} - Names of the secrets that are not set
+   */
+  async load(names) {
+    const missing = [];
+    for (const name of new Set(names.map(name => name.toLowerCase()))) {
+      const value = this.storage
+        ? await this.storage.get(KEY_PREFIX + name)
+        : process.env[SecretStore.toEnvironmentName(name)];
+      if (value === undefined) {
+        missing.push(name);
+      } else {
+        setSecretValue(name, value);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * List the names of the stored secrets
+   * @returns {Promise<Array<string>>} - Secret names, sorted
+   */
+  async list() {
+    if (!this.storage) {
+      return Object.keys(process.env).filter(key => key.startsWith(ENVIRONMENT_PREFIX))
+        .map(key => key.slice(ENVIRONMENT_PREFIX.length).toLowerCase()).sort();
+    }
+    try {
+      return JSON.parse((await this.storage.get(NAMES_KEY)) || '[]');
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Store a secret
+   * @param {string} name - Secret name
+   * @param {string} value - Secret value
+   */
+  async set(name, value) {
+    const key = name.toLowerCase();
+    if (!this.storage) {
+      throw new Error(`No secret storage - set the ${SecretStore.toEnvironmentName(key)} environment variable instead`);
+    }
+    await this.storage.store(KEY_PREFIX + key, value);
+    const names = await this.list();
+    if (!names.includes(key)) {
+      await this.storage.store(NAMES_KEY, JSON.stringify([...names, key].sort()));
+    }
+    setSecretValue(key, value);
+  }
+
+  /**
+   * Delete a secret
+   * @param {string} name - Secret name
+   */
+  async delete(name) {
+    const key = name.toLowerCase();
+    if (!this.storage) {
+      throw new Error(`No secret storage - unset the ${SecretStore.toEnvironmentName(key)} environment variable instead`);
+    }
+    await this.storage.delete(KEY_PREFIX + key);
+    await this.storage.store(NAMES_KEY, JSON.stringify((await this.list()).filter(other => other !== key)));
+    forgetSecretValue(key);
+  }
+}
+
+module.exports = {
+  SecretStore
+};
\ No newline at end of file
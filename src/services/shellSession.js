@@ -0,0 +1,379 @@
+const { spawnProcessGroup, signalProcessGroup, terminateProcessGroup, describeExit } = require('../utils/processTree');
+const { StreamOutput } = require('../utils/outputStreams');
+const crypto = require('crypto');
+
+/**
+ * Shell function that evaluates the code it reads from stdin in the current shell, so `cd`, `export` and
+ * function definitions persist. An interrupt returns from it with status 130 instead of ending the shell.
+ */
+const RUNNER_FUNCTION = '__runbook_run() { trap \'trap - INT; return 130\' INT; eval "$(cat)"; __runbook_status=$?; trap - INT; return $__runbook_status; }';
+
+/**
+ * How long a stopped cell gets after each signal when no grace period is given (seconds)
+ */
+const DEFAULT_KILL_GRACE_PERIOD = 2;
+
+/**
+ * Long-lived shell process that runs cells one after another
+ * Each cell is sent as a here-document followed by sentinel lines on stdout (with the exit code) and stderr
+ */
+class ShellSession {
+  /**
+   * @param {string} command - Shell executable
+   * @param {Array<string>} args - Shell arguments
+   * @param {Object} spawnOptions - Options for child_process.spawn (cwd, env)
+   */
+  constructor(command, args, spawnOptions) {
+    this.command = command;
+    this.args = args;
+    this.spawnOptions = spawnOptions;
+    this.label = 'Shell session';
+    this.process = null;
+    this.current = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Check whether the shell process is running
+   * @returns {boolean} - True if the session can run cells
+   */
+  get isAlive() {
+    return this.process !== null;
+  }
+
+  /**
+   * Start the shell process and wait until it is ready
+   * @returns {Promise<void>}
+   */
+  start() {
+    // Own process group, so an interrupt reaches the shell and whatever it is running
+    this.process = spawnProcessGroup(this.command, this.args, {
+      ...this.spawnOptions,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    this.process.stdout.on('data', (data) => this.handleData('stdout', data.toString()));
+    this.process.stderr.on('data', (data) => this.handleData('stderr', data.toString()));
+    this.process.on('close', (code, signal) => this.handleExit(code, null, signal));
+    this.process.on('error', (error) => this.handleExit(null, error));
+    this.process.stdin.on('error', () => { }); // Reported through 'close'
+
+    return this.initialize();
+  }
+
+  /**
+   * Prepare the started shell for running cells
+   * @returns {Promise<void>}
+   */
+  initialize() {
+    this.process.stdin.write(RUNNER_FUNCTION + '\n');
+    // Discard whatever the login scripts print
+    return this.run('true').then(() => { });
+  }
+
+  /**
+   * Run code in the session (cells are queued and run one at a time)
+   * @param {string} code - Shell code
+   * @param {Object} options - Run options
+   * @param {StreamOutput} options.output - Collects the output (a new, unlimited one if not given)
+   * @param {Function} options.onOutput - Called with the stream, the new text and whether earlier output was truncated while the cell runs
+   * @param {vscode.CancellationToken} options.token - Cancellation token (interrupts the cell)
+   * @param {number} options.timeout - Timeout in seconds (interrupts the cell)
+   * @param {number} options.killGracePeriod - Seconds a stopped cell gets after each signal before the next one
+   * @param {string} options.cwd - Directory to change to before running the code
+   * @param {Object<string, string>} options.environment - Environment variables to set before running the code
+   * @returns {Promise<Object>} - Result with stdout, stderr, chunks (both streams in order) and exitCode
+   */
+  run(code, options = {}) {
+    const result = this.queue.then(() => this.execute(code, options));
+    this.queue = result.catch(() => { });
+    return result;
+  }
+
+  /**
+   * Send one cell to the shell and wait for its sentinels
+   */
+  execute(code, options) {
+    if (!this.isAlive) {
+      const output = new StreamOutput();
+      output.append('stderr', `${this.label} has ended`);
+      return Promise.resolve(output.toResult(1));
+    }
+
+    return new Promise((resolve) => {
+      const marker = `RUNBOOK_${crypto.randomBytes(8).toString('hex')}`;
+      const current = { marker, output: options.output || new StreamOutput(), pending: { stdout: '', stderr: '' }, exitCode: null, stderrDone: false, onOutput: options.onOutput, timers: [], signalsSent: [], termination: null };
+      let cancellation = null;
+      current.finish = (result) => {
+        current.timers.forEach(clearTimeout);
+        // The session outlives the cell: no further signals once the cell is done
+        if (current.termination) {
+          current.termination.dispose();
+        }
+        if (cancellation) {
+          cancellation.dispose();
+        }
+        this.current = null;
+        resolve(result);
+      };
+      this.current = current;
+
+      // Stop the cell: SIGINT, then SIGTERM and SIGKILL after each grace period, which end the session if
+      // the cell does not stop (it is started again for the next cell)
+      const gracePeriod = (options.killGracePeriod === undefined ? DEFAULT_KILL_GRACE_PERIOD : options.killGracePeriod) * 1000;
+      const interrupt = () => {
+        if (this.process && !current.termination) {
+          current.termination = terminateProcessGroup(this.process, gracePeriod, (signal) => current.signalsSent.push(signal));
+        }
+      };
+      if (options.token) {
+        cancellation = options.token.onCancellationRequested(interrupt);
+      }
+
+      if (options.timeout && typeof options.timeout === 'number' && options.timeout > 0) {
+        current.timers.push(setTimeout(() => {
+          current.timedOut = options.timeout;
+          interrupt();
+        }, options.timeout * 1000));
+      }
+
+      this.process.stdin.write(this.formatRequest(code.replace(/\r\n/g, '\n').replace(/\r/g, '\n'), marker, options));
+    });
+  }
+
+  /**
+   * Build the text sent to the shell for one cell: the code as a here-document, then the sentinels
+   * @param {string} code - Code with LF line endings
+   * @param {string} marker - Sentinel marker of the cell
+   * @param {Object} options - Run options (cwd, environment)
+   * @returns {string} - Text to write to stdin
+   */
+  formatRequest(code, marker, options) {
+    // The session keeps its own working directory and environment; a cell's cwd and environment change them
+    // like `cd` and `export` would
+    const exports = Object.entries(options.environment || {})
+      .filter(([name]) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(name))
+      .map(([name, value]) => `export ${name}='${String(value).replace(/'/g, `'\\''`)}'\n`)
+      .join('');
+    const script = exports + (options.cwd ? `cd '${options.cwd.replace(/'/g, `'\\''`)}' || return\n${code}` : code);
+    return `__runbook_run <<'${marker}'\n${script}\n${marker}\n` +
+      `printf '\\n__${marker}_%s__\\n' "$?"; printf '\\n__${marker}__\\n' >&2\n`;
+  }
+
+  /**
+   * Collect output of the running cell and finish it once both sentinels have arrived
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {string} text - Received text
+   */
+  handleData(stream, text) {
+    const current = this.current;
+    if (!current) {
+      return;
+    }
+    // Text is passed on once it cannot be the start of a sentinel line
+    const done = stream === 'stdout' ? current.exitCode !== null : current.stderrDone;
+    if (done) {
+      return;
+    }
+    let pending = current.pending[stream] + text;
+    let visible;
+    if (stream === 'stdout') {
+      const match = pending.match(new RegExp(`\\n__${current.marker}_(\\d+)__\\n`));
+      if (match) {
+        current.exitCode = Number(match[1]);
+        visible = pending.slice(0, match.index);
+        pending = '';
+      }
+    } else {
+      const index = pending.indexOf(`\n__${current.marker}__\n`);
+      if (index !== -1) {
+        current.stderrDone = true;
+        visible = pending.slice(0, index);
+        pending = '';
+      }
+    }
+    if (visible === undefined) {
+      const length = sentinelStart(pending, stream, current.marker);
+      visible = pending.slice(0, length);
+      pending = pending.slice(length);
+    }
+    current.pending[stream] = pending;
+    this.commit(current, stream, visible);
+
+    if (current.exitCode !== null && current.stderrDone) {
+      current.finish(this.createResult(current, current.exitCode));
+    }
+  }
+
+  /**
+   * Add output of the running cell and pass it on
+   * @param {Object} current - The running cell
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {string} text - Output text
+   */
+  commit(current, stream, text) {
+    if (!text) {
+      return;
+    }
+    this.show(current, stream, current.output.receive(stream, text));
+  }
+
+  /**
+   * Pass text added to the output of the running cell on to its listener
+   * @param {Object} current - The running cell
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {Object} received - { text, truncated } as returned by the output
+   */
+  show(current, stream, { text, truncated }) {
+    if (text && current.onOutput) {
+      current.onOutput(stream, text, truncated);
+    }
+  }
+
+  /**
+   * Finish the running cell when the shell exits (e.g. the cell ran `exit`)
+   * @param {number|null} code - Exit code of the shell
+   * @param {Error} error - Spawn error, if the shell could not be started
+   * @param {string|null} signal - Signal that ended the shell
+   */
+  handleExit(code, error = null, signal = null) {
+    this.process = null;
+    const current = this.current;
+    if (current) {
+      // Whatever was held back cannot be a sentinel any more
+      for (const stream of ['stdout', 'stderr']) {
+        this.commit(current, stream, current.pending[stream]);
+      }
+      if (error) {
+        this.commit(current, 'stderr', error.message);
+      }
+      this.commit(current, 'stderr', (current.output.stderr ? '\n' : '') + `[${this.label} ended]`);
+      current.finish(this.createResult(current, code === null && !signal ? 1 : code, signal));
+    }
+  }
+
+  /**
+   * Build the result of a cell, reporting signals and timeouts the same way as cells run in their own process
+   * @param {Object} current - The finished cell
+   * @param {number|null} code - Exit code of the cell (null if the session was ended by a signal)
+   * @param {string|null} signal - Signal that ended the session
+   * @returns {Object} - Result with stdout, stderr, chunks and exitCode
+   */
+  createResult(current, code, signal = null) {
+    const { exitCode, note } = describeExit(code, signal, current.signalsSent);
+    if (note) {
+      this.commit(current, 'stderr', (current.output.stderr && !current.output.stderr.endsWith('\n') ? '\n' : '') + note);
+    }
+    if (current.timedOut) {
+      this.commit(current, 'stdout', '\n[Process timed out after ' + current.timedOut + ' seconds]');
+      this.commit(current, 'stderr', '\n[Process killed due to timeout]');
+    }
+    this.show(current, 'stdout', current.output.flushCommands('stdout'));
+    this.show(current, 'stderr', current.output.flushCommands('stderr'));
+    return current.output.toResult(current.timedOut ? 124 : exitCode);
+  }
+
+  /**
+   * End the shell process and everything it started
+   */
+  dispose() {
+    if (this.process) {
+      signalProcessGroup(this.process.pid, 'SIGKILL');
+    }
+  }
+}
+
+/**
+ * Find where a sentinel line may have started at the end of the output received so far
+ * @param {string} text - Output not passed on yet
+ * @param {string} stream - 'stdout' (sentinel with exit code) or 'stderr'
+ * @param {string} marker - Sentinel marker of the cell
+ * @returns {number} - Length of the text that cannot belong to a sentinel
+ */
+function sentinelStart(text, stream, marker) {
+  // A sentinel starts with a line break and has no other line break before its end
+  const start = text.lastIndexOf('\n');
+  if (start === -1) {
+    return text.length;
+  }
+  const rest = text.slice(start);
+  const partial = stream === 'stdout'
+    ? `\n__${marker}_`.startsWith(rest) || new RegExp(`^\\n__${marker}_\\d*_?_?$`).test(rest)
+    : `\n__${marker}__`.startsWith(rest);
+  return partial ? start : text.length;
+}
+
+/**
+ * Keeps the shell sessions of each notebook by name
+ */
+class SessionManager {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  /**
+   * Get a running session, starting it if needed
+   * @param {string} notebookKey - Notebook URI
+   * @param {string} name - Session name
+   * @param {Function} create - Creates a new ShellSession
+   * @returns {Promise<ShellSession>} - The running session
+   */
+  async getSession(notebookKey, name, create) {
+    const key = `${notebookKey}#${name}`;
+    let entry = this.sessions.get(key);
+    if (!entry || !entry.session.isAlive) {
+      const session = create();
+      entry = { notebookKey, session, ready: session.start() };
+      this.sessions.set(key, entry);
+    }
+    await entry.ready;
+    return entry.session;
+  }
+
+  /**
+   * Get the running sessions of a notebook
+   * @param {string} notebookKey - Notebook URI
+   * @returns {Array<Object>} - Entries with the session name and the session
+   */
+  getSessions(notebookKey) {
+    const sessions = [];
+    for (const [key, entry] of this.sessions) {
+      if (entry.notebookKey === notebookKey && entry.session.isAlive) {
+        sessions.push({ name: key.slice(notebookKey.length + 1), session: entry.session });
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * End the sessions of a notebook; they start fresh on the next cell
+   * @param {string} notebookKey - Notebook URI
+   * @returns {number} - Number of sessions ended
+   */
+  restart(notebookKey) {
+    let count = 0;
+    for (const [key, entry] of this.sessions) {
+      if (entry.notebookKey === notebookKey) {
+        entry.session.dispose();
+        this.sessions.delete(key);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * End all sessions
+   */
+  disposeAll() {
+    for (const entry of this.sessions.values()) {
+      entry.session.dispose();
+    }
+    this.sessions.clear();
+  }
+}
+
+module.exports = {
+  ShellSession,
+  SessionManager
+};
\ No newline at end of file
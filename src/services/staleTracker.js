@@ -0,0 +1,95 @@
+const vscode = require('../utils/vscodeApi');
+
+const { getVariableValues } = require('../utils/variableProcessor');
+
+/**
+ * Service class that remembers the variable values each cell run consumed, so cells whose output
+ * was computed from values that have since changed can be flagged as stale
+ */
+class StaleTracker {
+  constructor() {
+    // Keyed by cell object so records follow cells when cells are inserted or moved
+    this.runs = new WeakMap();
+    this.executionOrders = new Map();
+    this.listeners = [];
+  }
+
+  /**
+   * Get the next execution order number for a notebook
+   * @param {vscode.NotebookDocument} notebook - The notebook document
+   * @returns {number} - Execution order, starting at 1
+   */
+  nextExecutionOrder(notebook) {
+    const key = notebook && notebook.uri ? notebook.uri.toString() : '';
+    const order = (this.executionOrders.get(key) || 0) + 1;
+    this.executionOrders.set(key, order);
+    return order;
+  }
+
+  /**
+   * Record the variable values a cell run consumed
+   * @param {vscode.NotebookCell} cell - The cell that ran
+   * @param {Object<string, string>} variables - Values by variable name
+   * @param {number} executionOrder - Execution order of the run
+   */
+  recordRun(cell, variables, executionOrder) {
+    this.runs.set(cell, { variables: { ...variables }, executionOrder });
+    this.fireChange();
+  }
+
+  /**
+   * Get the variables whose value changed since a cell last ran
+   * @param {vscode.NotebookDocument} notebook - The notebook document
+   * @param {vscode.NotebookCell} cell - The cell
+   * @returns {Array<string>} - Names of the changed variables (empty if the cell is not stale or never ran)
+   */
+  getChangedVariables(notebook, cell) {
+    const run = this.runs.get(cell);
+    if (!run) {
+      return [];
+    }
+    const names = Object.keys(run.variables);
+    const current = getVariableValues(names, notebook, cell.index);
+    return names.filter(name => current[name] !== run.variables[name]);
+  }
+
+  /**
+   * Get the cells whose output is stale, in notebook order
+   * @param {vscode.NotebookDocument} notebook - The notebook document
+   * @returns {Array<vscode.NotebookCell>} - Stale cells
+   */
+  getStaleCells(notebook) {
+    return notebook.getCells().filter(cell =>
+      cell.kind === vscode.NotebookCellKind.Code && this.getChangedVariables(notebook, cell).length > 0);
+  }
+
+  /**
+   * Listen for recorded runs
+   * @param {Function} listener - Called after each recorded run
+   * @returns {Object} - Disposable that removes the listener
+   */
+  onDidChange(listener) {
+    this.listeners.push(listener);
+    return {
+      dispose: () => {
+        const index = this.listeners.indexOf(listener);
+        if (index !== -1) {
+          this.listeners.splice(index, 1);
+        }
+      }
+    };
+  }
+
+  /**
+   * Notify listeners of a change
+   */
+  fireChange() {
+    for (const listener of this.listeners.slice()) {
+      listener();
+    }
+  }
+}
+
+module.exports = {
+  StaleTracker
+};
\ No newline at end of file
@@ -0,0 +1,80 @@
+const { exportCellOutputs, restoreCellOutputs, onDidChangeCellOutputs } = require('../utils/variableProcessor');
+const { containsSecret } = require('../utils/secrets');
+
+/**
+ * workspaceState key the stored cell outputs are kept under
+ */
+const STATE_KEY = 'runbook-notebook.variables';
+
+/**
+ * Delay before changed outputs are written, so a cell setting many variables is saved once
+ */
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Service class that keeps stored cell outputs (the {{id}} variables of every runbook and the
+ * workspace-global ones) in the workspace state, so they survive a window reload
+ */
+class VariableStore {
+  /**
+   * @param {vscode.Memento} state - The extension's workspace state
+   */
+  constructor(state) {
+    this.state = state;
+    this.timer = null;
+  }
+
+  /**
+   * Restore the persisted outputs and save them again whenever they change
+   * @param {vscode.ExtensionContext} context - Extension context
+   */
+  activate(context) {
+    restoreCellOutputs(this.state.get(STATE_KEY, {}));
+    context.subscriptions.push(onDidChangeCellOutputs(() => this.scheduleSave()));
+    context.subscriptions.push({ dispose: () => this.flush() });
+  }
+
+  /**
+   * Save the outputs after a short delay
+   */
+  scheduleSave() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+  }
+
+  /**
+   * Save the outputs now, if a save is pending
+   * @returns {Thenable<void>} - Resolves when the state is written
+   */
+  flush() {
+    if (!this.timer) {
+      return Promise.resolve();
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+    return this.state.update(STATE_KEY, this.getPersistedOutputs());
+  }
+
+  /**
+   * Get the outputs to save: outputs holding a secret value (e.g. set from {{secret:name}} with ::set-var)
+   * are left out, since secrets are never saved
+   * @returns {Object} - Entries by ID, by scope, as from exportCellOutputs
+   */
+  getPersistedOutputs() {
+    const data = exportCellOutputs();
+    for (const entries of Object.values(data)) {
+      for (const [id, entry] of Object.entries(entries)) {
+        if (containsSecret(entry.value)) {
+          delete entries[id];
+        }
+      }
+    }
+    return data;
+  }
+}
+
+module.exports = {
+  VariableStore
+};
\ No newline at end of file
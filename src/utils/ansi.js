@@ -0,0 +1,205 @@
+/**
+ * Utility functions for terminal output: applies carriage returns, backspaces and cursor movements
+ * the way a terminal would, and keeps or drops ANSI colors
+ */
+
+// CSI sequences, OSC strings (hyperlinks, titles), other escape sequences, line breaks, backspaces and plain text
+const TOKEN_PATTERN = /\x1b\[([0-9;?]*)[ -/]*([@-~])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)?|\x1b[PX^_][^\x1b]*(?:\x1b\\)?|\x1b[ -/]*[0-~]?|\r\n|[\r\n\x08]|[^\x1b\r\n\x08]+/g;
+
+// SGR codes that turn attributes off, and the attributes they turn off
+const ATTRIBUTE_RESETS = { 22: ['1', '2'], 23: ['3'], 24: ['4'], 25: ['5'], 27: ['7'], 28: ['8'], 29: ['9'] };
+
+/**
+ * Apply an SGR (color/attribute) sequence to the current style
+ * @param {Object} style - Current style: { attributes: Array<string>, fg: string|null, bg: string|null }
+ * @param {string} params - Parameters of the sequence (e.g. "1;38;2;206;173;73")
+ * @returns {Object} - New style
+ */
+function applySgr(style, params) {
+  const codes = params === '' ? ['0'] : params.split(';');
+  let { attributes, fg, bg } = style;
+  for (let i = 0; i < codes.length; i++) {
+    const code = Number(codes[i] || 0);
+    if (code === 0) {
+      attributes = [];
+      fg = null;
+      bg = null;
+    } else if (code >= 1 && code <= 9) {
+      attributes = attributes.filter(a => a !== String(code)).concat(String(code));
+    } else if (ATTRIBUTE_RESETS[code]) {
+      attributes = attributes.filter(a => !ATTRIBUTE_RESETS[code].includes(a));
+    } else if (code === 38 || code === 48) {
+      // Extended colors: 38;5;n or 38;2;r;g;b
+      const length = codes[i + 1] === '5' ? 3 : codes[i + 1] === '2' ? 5 : 1;
+      const color = codes.slice(i, i + length).join(';');
+      i += length - 1;
+      if (code === 38) {
+        fg = color;
+      } else {
+        bg = color;
+      }
+    } else if ((code >= 30 && code <= 37) || (code >= 90 && code <= 97)) {
+      fg = String(code);
+    } else if ((code >= 40 && code <= 47) || (code >= 100 && code <= 107)) {
+      bg = String(code);
+    } else if (code === 39) {
+      fg = null;
+    } else if (code === 49) {
+      bg = null;
+    }
+  }
+  return { attributes, fg, bg };
+}
+
+/**
+ * Build the SGR sequence for a style
+ * @param {Object} style - Style from applySgr
+ * @returns {string} - Escape sequence, or an empty string for the default style
+ */
+function formatSgr(style) {
+  const codes = style.attributes.concat(style.fg ? [style.fg] : [], style.bg ? [style.bg] : []);
+  return codes.length > 0 ? `\x1b[${codes.join(';')}m` : '';
+}
+
+/**
+ * Check whether text contains anything a terminal would interpret
+ * @param {string} text - Output text
+ * @returns {boolean} - True if the text has escape sequences, bare carriage returns or backspaces
+ */
+function hasTerminalSequences(text) {
+  return /\x1b|\r(?!\n)|\x08/.test(text);
+}
+
+/**
+ * Render output the way a terminal shows it
+ * Progress lines redrawn with \r or cursor movements collapse to their final state; colors (SGR
+ * sequences) are kept unless `keepColors` is false; all other escape sequences are removed.
+ * @param {string} text - Raw output text
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.keepColors - Keep SGR color sequences (default true)
+ * @returns {string} - Rendered text with \n line endings
+ */
+function renderTerminalText(text, options = {}) {
+  if (!text || !hasTerminalSequences(text)) {
+    return text ? text.replace(/\r\n/g, '\n') : text;
+  }
+  const keepColors = options.keepColors !== false;
+
+  const lines = [[]];
+  let row = 0;
+  let col = 0;
+  let sgr = { attributes: [], fg: null, bg: null };
+  let style = '';
+
+  const line = () => {
+    while (lines.length <= row) {
+      lines.push([]);
+    }
+    return lines[row];
+  };
+  const write = (ch) => {
+    const cells = line();
+    while (cells.length < col) {
+      cells.push({ ch: ' ', style: '' });
+    }
+    cells[col] = { ch, style };
+    col++;
+  };
+  const count = (params, fallback = 1) => {
+    const value = parseInt(params, 10);
+    return Number.isNaN(value) || value < 1 ? fallback : value;
+  };
+
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    const token = match[0];
+    if (match[2] !== undefined) {
+      const params = match[1];
+      switch (match[2]) {
+        case 'm':
+          sgr = applySgr(sgr, params);
+          style = formatSgr(sgr);
+          break;
+        case 'A': row = Math.max(0, row - count(params)); break;
+        case 'B': row += count(params); break;
+        case 'C': col += count(params); break;
+        case 'D': col = Math.max(0, col - count(params)); break;
+        case 'E': row += count(params); col = 0; break;
+        case 'F': row = Math.max(0, row - count(params)); col = 0; break;
+        case 'G': col = count(params) - 1; break;
+        case 'H':
+        case 'f': {
+          const [r, c] = params.split(';');
+          row = count(r) - 1;
+          col = count(c) - 1;
+          break;
+        }
+        case 'K': {
+          const cells = line();
+          if (params === '' || params === '0') {
+            cells.length = Math.min(cells.length, col);
+          } else if (params === '1') {
+            for (let i = 0; i <= col && i < cells.length; i++) {
+              cells[i] = { ch: ' ', style: '' };
+            }
+          } else {
+            cells.length = 0;
+          }
+          break;
+        }
+        case 'J':
+          if (params === '' || params === '0') {
+            line().length = Math.min(line().length, col);
+            lines.length = row + 1;
+          } else {
+            lines.length = 0;
+          }
+          break;
+        default:
+          // Modes (cursor visibility, bracketed paste) and other sequences don't change the text
+          break;
+      }
+    } else if (token === '\n' || token === '\r\n') {
+      row++;
+      col = 0;
+    } else if (token === '\r') {
+      col = 0;
+    } else if (token === '\x08') {
+      col = Math.max(0, col - 1);
+    } else if (token[0] !== '\x1b') {
+      for (const ch of token) {
+        write(ch);
+      }
+    }
+  }
+  line();
+
+  return lines.map((cells) => {
+    let result = '';
+    let active = '';
+    for (const cell of cells) {
+      if (keepColors && cell.style !== active) {
+        result += (active ? '\x1b[0m' : '') + cell.style;
+        active = cell.style;
+      }
+      result += cell.ch;
+    }
+    return active ? result + '\x1b[0m' : result;
+  }).join('\n');
+}
+
+/**
+ * Render output as plain text (for saved runbooks, variables and comparisons)
+ * @param {string} text - Raw output text
+ * @returns {string} - Text without escape sequences
+ */
+function toPlainText(text) {
+  return renderTerminalText(text, { keepColors: false });
+}
+
+module.exports = {
+  hasTerminalSequences,
+  renderTerminalText,
+  toPlainText
+};
\ No newline at end of file
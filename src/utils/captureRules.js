@@ -0,0 +1,82 @@
+/**
+ * Utility functions for `capture` rules: regular expressions that pick variables out of a cell's output,
+ * e.g. @options {"capture": {"leader": "Leader: (\\S+)", "term": "term=(\\d+)"}}
+ */
+
+/**
+ * Named groups in a pattern: (?<name>...)
+ */
+const NAMED_GROUP_PATTERN = /\(\?<([A-Za-z_$][\w$]*)>/g;
+
+/**
+ * Check that a capture option maps variable names to patterns
+ * @param {*} rules - Value of the `capture` option
+ * @returns {boolean} - True for an object of rules
+ */
+function isCaptureRules(rules) {
+  return rules !== null && typeof rules === 'object' && !Array.isArray(rules);
+}
+
+/**
+ * Get the names of the variables capture rules can produce: the rule names and the named groups of their patterns
+ * @param {Object<string, string>} rules - Capture rules
+ * @returns {Array<string>} - Variable names
+ */
+function getCaptureNames(rules) {
+  if (!isCaptureRules(rules)) {
+    return [];
+  }
+  const names = [];
+  for (const [name, pattern] of Object.entries(rules)) {
+    names.push(name);
+    for (const match of String(pattern).matchAll(NAMED_GROUP_PATTERN)) {
+      names.push(match[1]);
+    }
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Apply capture rules to output text
+ * Each pattern is searched in the whole text (^ and $ match at line breaks). A rule's variable gets the
+ * first group of the match, or the whole match if the pattern has no groups; named groups are stored as
+ * variables of their own.
+ * @param {string} text - Output text (plain, without escape codes)
+ * @param {Object<string, string>} rules - Variable names mapped to patterns
+ * @returns {Object} - { values: Object<string, string>, warnings: Array<string> } (warnings for rules that did not match or are invalid)
+ */
+function applyCaptureRules(text, rules) {
+  const values = {};
+  const warnings = [];
+  if (!isCaptureRules(rules)) {
+    return { values, warnings: ['The capture option must map variable names to regular expressions'] };
+  }
+
+  for (const [name, pattern] of Object.entries(rules)) {
+    let regex;
+    try {
+      regex = new RegExp(pattern, 'm');
+    } catch (error) {
+      warnings.push(`Capture '${name}' has an invalid pattern: ${error.message}`);
+      continue;
+    }
+
+    const match = regex.exec(text);
+    if (!match) {
+      warnings.push(`Capture '${name}' did not match the output: /${pattern}/`);
+      continue;
+    }
+    values[name] = match.length > 1 ? match[1] || '' : match[0];
+    for (const [group, value] of Object.entries(match.groups || {})) {
+      if (value !== undefined) {
+        values[group] = value;
+      }
+    }
+  }
+  return { values, warnings };
+}
+
+module.exports = {
+  applyCaptureRules,
+  getCaptureNames
+};
\ No newline at end of file
@@ -0,0 +1,376 @@
+/**
+ * Utility functions to make substituted values safe literals in the code around them
+ * The code is scanned to find out where each {{ }} placeholder sits (outside strings, inside a quoted
+ * string, in a heredoc or in a comment), and the value is escaped for that place, so a value with
+ * spaces, quotes or `$` cannot break the script or inject commands.
+ */
+
+/**
+ * Languages whose cells get escaped values, by cell language
+ */
+const LANGUAGE_FAMILIES = {
+  bash: 'shell',
+  shell: 'shell',
+  sh: 'shell',
+  javascript: 'javascript',
+  js: 'javascript',
+  python: 'python',
+  py: 'python'
+};
+
+/**
+ * Filters whose output is already a literal in code (outside strings), so it is not escaped again
+ */
+const LITERAL_FILTERS = {
+  shell: ['shellquote'],
+  javascript: ['json'],
+  python: ['json']
+};
+
+/**
+ * Shell words that need no quoting
+ */
+const SAFE_SHELL_WORD = /^[\w@%+=:,./-]+$/;
+
+/**
+ * Get the language family of a cell language
+ * @param {string} languageId - Cell language
+ * @returns {string|null} - 'shell', 'javascript' or 'python', or null for languages whose values are not escaped
+ */
+function getLanguageFamily(languageId) {
+  return LANGUAGE_FAMILIES[languageId] || null;
+}
+
+/**
+ * Scan shell code for the context of each placeholder
+ * Command substitutions (`$(…)`, backticks) and parameter expansions (`${…}`) are code, even inside double
+ * quotes or a heredoc, since a value there could run commands; they are tracked on a stack of frames.
+ * @param {string} code - Shell code
+ * @param {Map<number, number>} placeholders - Length of each placeholder by its index in the code
+ * @returns {Map<number, Object>} - Context by placeholder index: { type: 'code'|'single'|'double'|'heredoc'|'quoted-heredoc'|'comment' }
+ */
+function scanShell(code, placeholders) {
+  const contexts = new Map();
+  let state = 'code';
+  const heredocs = []; // [{ delimiter, quoted, strip }] waiting for the end of the line
+  let heredoc = null;
+  let lineStart = true;
+  const frames = []; // [{ resume, heredoc, close, depth }] of the substitutions being read
+
+  // Start a substitution at i (`$(`, `${` or a backtick), to return to the current state at its end
+  const open = (i) => {
+    const close = code[i] === '`' ? '`' : code[i + 1] === '(' ? ')' : '}';
+    frames.push({ resume: state, heredoc, close, depth: 0 });
+    state = close === '}' ? 'param' : 'code';
+    heredoc = null;
+    return close === '`' ? i : i + 1;
+  };
+  const isOpening = (i) => code[i] === '`' || (code[i] === '$' && (code[i + 1] === '(' || code[i + 1] === '{'));
+
+  for (let i = 0; i < code.length; i++) {
+    if (placeholders.has(i)) {
+      const type = heredoc ? (heredoc.quoted ? 'quoted-heredoc' : 'heredoc') : state === 'param' ? 'code' : state;
+      contexts.set(i, { type });
+      i += placeholders.get(i) - 1;
+      lineStart = false;
+      continue;
+    }
+    const char = code[i];
+    const frame = frames[frames.length - 1];
+
+    if (heredoc) {
+      if (lineStart) {
+        const end = code.indexOf('\n', i);
+        const line = code.slice(i, end === -1 ? code.length : end).replace(/\r$/, '');
+        if ((heredoc.strip ? line.replace(/^\t+/, '') : line) === heredoc.delimiter) {
+          heredoc = heredocs.shift() || null;
+          i = end === -1 ? code.length : end;
+          lineStart = true;
+          continue;
+        }
+      }
+      lineStart = char === '\n';
+      if (!heredoc.quoted && char === '\\') {
+        i++;
+      } else if (!heredoc.quoted && isOpening(i)) {
+        i = open(i);
+      }
+      continue;
+    }
+    lineStart = char === '\n';
+
+    switch (state) {
+      case 'code':
+        if (char === '\\') {
+          i++;
+        } else if (char === '\'') {
+          state = 'single';
+        } else if (char === '"') {
+          state = 'double';
+        } else if (char === '#' && (i === 0 || /[\s;&|()]/.test(code[i - 1]))) {
+          state = 'comment';
+        } else if (char === '<' && code[i + 1] === '<' && code[i + 2] !== '<') {
+          const match = /^<<(-?)[ \t]*(['"]?)([A-Za-z_][\w.-]*)\2/.exec(code.slice(i));
+          if (match) {
+            heredocs.push({ delimiter: match[3], quoted: match[2] !== '', strip: match[1] === '-' });
+            i += match[0].length - 1;
+          }
+        } else if (frame && char === frame.close && (char === '`' || frame.depth === 0)) {
+          ({ resume: state, heredoc } = frames.pop());
+        } else if (isOpening(i)) {
+          i = open(i);
+        } else if (frame && frame.close === ')' && (char === '(' || char === ')')) {
+          frame.depth += char === '(' ? 1 : -1;
+        } else if (char === '\n' && heredocs.length > 0) {
+          heredoc = heredocs.shift();
+        }
+        break;
+      case 'param':
+        if (char === '\\') {
+          i++;
+        } else if (char === '}' && frame.depth === 0) {
+          ({ resume: state, heredoc } = frames.pop());
+        } else if (isOpening(i)) {
+          i = open(i);
+        } else if (char === '{' || char === '}') {
+          frame.depth += char === '{' ? 1 : -1;
+        }
+        break;
+      case 'single':
+        if (char === '\'') {
+          state = 'code';
+        }
+        break;
+      case 'double':
+        if (char === '\\') {
+          i++;
+        } else if (char === '"') {
+          state = 'code';
+        } else if (isOpening(i)) {
+          i = open(i);
+        }
+        break;
+      case 'comment':
+        if (char === '\n') {
+          state = 'code';
+          if (heredocs.length > 0) {
+            heredoc = heredocs.shift();
+          }
+        }
+        break;
+    }
+  }
+  return contexts;
+}
+
+/**
+ * Scan JavaScript or Python code for the context of each placeholder
+ * Expressions in JavaScript template literals (`${…}`) and Python f-strings (`{…}`) are code; they are tracked
+ * on a stack of frames.
+ * @param {string} code - Code
+ * @param {Map<number, number>} placeholders - Length of each placeholder by its index in the code
+ * @param {string} family - 'javascript' or 'python'
+ * @returns {Map<number, Object>} - Context by placeholder index: { type: 'code'|'string'|'comment', quote, prefix }
+ */
+function scanScript(code, placeholders, family) {
+  const contexts = new Map();
+  let state = 'code';
+  let quote = null; // Closing quote of the string being read: ', ", `, ''' or """
+  let prefix = ''; // Prefix of the Python string being read (lowercase), such as 'r' or 'f'
+  let interpolated = false; // Whether the string has expressions (template literal or f-string)
+  const frames = []; // [{ quote, prefix, depth }] of the strings whose expressions are being read
+
+  for (let i = 0; i < code.length; i++) {
+    if (placeholders.has(i)) {
+      contexts.set(i, { type: state === 'line-comment' || state === 'block-comment' ? 'comment' : state, quote, prefix });
+      i += placeholders.get(i) - 1;
+      continue;
+    }
+    const char = code[i];
+    const frame = frames[frames.length - 1];
+
+    switch (state) {
+      case 'code':
+        if (family === 'python' && (code.startsWith('\'\'\'', i) || code.startsWith('"""', i))) {
+          state = 'string';
+          quote = code.slice(i, i + 3);
+          prefix = getStringPrefix(code, i);
+          interpolated = prefix.includes('f');
+          i += 2;
+        } else if (char === '\'' || char === '"' || (char === '`' && family === 'javascript')) {
+          state = 'string';
+          quote = char;
+          prefix = family === 'python' ? getStringPrefix(code, i) : '';
+          interpolated = char === '`' || prefix.includes('f');
+        } else if (family === 'python' ? char === '#' : code.startsWith('//', i)) {
+          state = 'line-comment';
+        } else if (family === 'javascript' && code.startsWith('/*', i)) {
+          state = 'block-comment';
+          i++;
+        } else if (frame && char === '}' && frame.depth === 0) {
+          // End of the expression: back in its string
+          frames.pop();
+          state = 'string';
+          ({ quote, prefix } = frame);
+          interpolated = true;
+        } else if (frame && (char === '{' || char === '}')) {
+          frame.depth += char === '{' ? 1 : -1;
+        }
+        break;
+      case 'string':
+        if (char === '\\') {
+          i++;
+        } else if (code.startsWith(quote, i)) {
+          i += quote.length - 1;
+          state = 'code';
+          quote = null;
+          prefix = '';
+        } else if (interpolated && quote !== '`' && code.startsWith('{{', i)) {
+          // A literal brace in an f-string
+          i++;
+        } else if (interpolated && (quote === '`' ? code.startsWith('${', i) : char === '{')) {
+          i += quote === '`' ? 1 : 0;
+          frames.push({ quote, prefix, depth: 0 });
+          state = 'code';
+          quote = null;
+          prefix = '';
+        } else if (char === '\n' && quote.length === 1 && quote !== '`') {
+          // Unterminated string literal: the line ends it
+          state = 'code';
+          quote = null;
+          prefix = '';
+        }
+        break;
+      case 'line-comment':
+        if (char === '\n') {
+          state = 'code';
+        }
+        break;
+      case 'block-comment':
+        if (code.startsWith('*/', i)) {
+          state = 'code';
+          i++;
+        }
+        break;
+    }
+  }
+  return contexts;
+}
+
+/**
+ * Get the prefix of the Python string literal starting at a quote, such as 'f' for f-strings or 'r' for raw strings
+ * @param {string} code - Code
+ * @param {number} index - Index of the opening quote
+ * @returns {string} - Prefix in lowercase ('' if none)
+ */
+function getStringPrefix(code, index) {
+  const prefix = /(^|\W)([rRbBuUfF]{1,2})$/.exec(code.slice(Math.max(0, index - 3), index));
+  return prefix ? prefix[2].toLowerCase() : '';
+}
+
+/**
+ * Find where each placeholder sits in a cell's code
+ * @param {string} code - Cell code
+ * @param {Array<Object>} placeholders - Placeholders with index and length (their text is skipped while scanning)
+ * @param {string} family - Language family from getLanguageFamily
+ * @returns {Map<number, Object>} - Context by placeholder index
+ */
+function findLiteralContexts(code, placeholders, family) {
+  const lengths = new Map(placeholders.map(({ index, length }) => [index, length]));
+  return family === 'shell' ? scanShell(code, lengths) : scanScript(code, lengths, family);
+}
+
+/**
+ * Escape a value for a JavaScript or Python string literal
+ * Backslashes keep their meaning in Python raw strings, so a value that such a literal cannot hold is an error.
+ * @param {string} value - Value
+ * @param {string} quote - Closing quote of the literal
+ * @param {string} prefix - Prefix of a Python literal, in lowercase ('' if none)
+ * @returns {string} - Escaped text
+ * @throws {Error} - If the value cannot be put in a raw string
+ */
+function escapeStringLiteral(value, quote, prefix = '') {
+  // Braces of f-strings are expressions unless doubled
+  const text = prefix.includes('f') ? value.replace(/[{}]/g, '$&$&') : value;
+  if (prefix.includes('r')) {
+    if (text.includes(quote[0]) || /(^|[^\\])(\\\\)*\\$/.test(text) || (quote.length === 1 && /[\r\n]/.test(text))) {
+      throw new Error('a raw string cannot hold a value with its quote, a line break or a trailing backslash; drop the r prefix');
+    }
+    return text;
+  }
+  let escaped = text.replace(/\\/g, '\\\\').replace(new RegExp(quote[0], 'g'), `\\${quote[0]}`);
+  if (quote === '`') {
+    return escaped.replace(/\$\{/g, '\\${');
+  }
+  if (quote.length === 1) {
+    escaped = escaped.replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+  }
+  return escaped;
+}
+
+/**
+ * Escape a value for JavaScript or Python code outside strings: numbers stay as they are, JSON objects and
+ * arrays become objects (as they are in JavaScript, parsed with the json module in Python, whose literals
+ * differ), anything else becomes a string literal
+ * @param {string} value - Value
+ * @param {string} family - 'javascript' or 'python'
+ * @returns {string} - Literal
+ */
+function toScriptLiteral(value, family) {
+  const trimmed = value.trim();
+  if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(trimmed) || (family === 'javascript' && /^(true|false|null)$/.test(trimmed))) {
+    return trimmed;
+  }
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      JSON.parse(trimmed);
+      return family === 'javascript' ? trimmed : `__import__("json").loads(${JSON.stringify(trimmed)})`;
+    } catch (error) {
+      // Not JSON: a string like any other
+    }
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Escape a substituted value for where it sits in the code
+ * @param {string} value - Value after filters
+ * @param {Object} context - Context from findLiteralContexts
+ * @param {string} family - Language family
+ * @param {string|undefined} lastFilter - Name of the last filter applied, if any (`raw` turns escaping off)
+ * @returns {string} - Text to put in place of the placeholder
+ * @throws {Error} - If the value cannot be put in the string literal it sits in
+ */
+function escapeForContext(value, context, family, lastFilter) {
+  if (lastFilter === 'raw') {
+    return value;
+  }
+  switch (context.type) {
+    case 'comment':
+      return value.replace(/\r?\n/g, ' ');
+    case 'single':
+      return value.replace(/'/g, '\'\\\'\'');
+    case 'double':
+      return value.replace(/[\\"$`]/g, '\\$&');
+    case 'heredoc':
+      return value.replace(/[\\$`]/g, '\\$&');
+    case 'quoted-heredoc':
+      return value;
+    case 'string':
+      return escapeStringLiteral(value, context.quote, context.prefix);
+    default:
+      if (LITERAL_FILTERS[family].includes(lastFilter)) {
+        return value;
+      }
+      if (family === 'shell') {
+        return SAFE_SHELL_WORD.test(value) ? value : `'${value.replace(/'/g, '\'\\\'\'')}'`;
+      }
+      return toScriptLiteral(value, family);
+  }
+}
+
+module.exports = {
+  getLanguageFamily,
+  findLiteralContexts,
+  escapeForContext
+};
\ No newline at end of file
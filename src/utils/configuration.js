@@ -1,21 +1,18 @@
-// Lazy load vscode to handle test environment
-let vscode = null;
-try {
-  vscode = require('vscode');
-} catch (error) {
-  // vscode module not available, likely in test environment
-  if (process.env.NODE_ENV === 'test' || require.main?.filename?.includes('test')) {
-    vscode = require('../../tests/vscode-mock');
-  }
-}
+const vscode = require('./vscodeApi');
+
+const { getRunbookSettings, getNotebookFrontMatter } = require('./frontMatter');
 
 /**
  * Configuration manager for the Runbook Notebook Extension
  * Provides access to user-configurable settings with fallback defaults
  */
 class Configuration {
-  constructor() {
+  /**
+   * @param {Object} overrides - Per-runbook setting overrides keyed by setting name (e.g. "execution.defaultTimeout")
+   */
+  constructor(overrides = null) {
     this.extensionId = 'runbook-notebook';
+    this.overrides = overrides;
   }
 
   /**
@@ -23,7 +20,30 @@ class Configuration {
    * @returns {vscode.WorkspaceConfiguration}
    */
   getConfig() {
-    return vscode.workspace.getConfiguration(this.extensionId);
+    const config = vscode.workspace.getConfiguration(this.extensionId);
+    if (!this.overrides) {
+      return config;
+    }
+
+    // Runbook front matter takes priority over user and workspace settings
+    return {
+      get: (key, defaultValue) => {
+        return this.overrides[key] !== undefined ? this.overrides[key] : config.get(key, defaultValue);
+      }
+    };
+  }
+
+  /**
+   * Get the configuration as seen by a runbook, with its front-matter overrides applied
+   * @param {vscode.NotebookDocument} notebook - The notebook document
+   * @returns {Configuration} - Configuration scoped to the notebook
+   */
+  forNotebook(notebook) {
+    const frontMatter = getNotebookFrontMatter(notebook);
+    if (!frontMatter) {
+      return this;
+    }
+    return new Configuration(getRunbookSettings(frontMatter));
   }
 
   /**
@@ -129,6 +149,66 @@ class Configuration {
     return this.getConfig().get('execution.defaultTimeout', 30);
   }
 
+  /**
+   * Get how long a cell gets to exit after each signal when it is cancelled or times out
+   * @returns {number} - Grace period in seconds
+   */
+  getKillGracePeriod() {
+    return this.getConfig().get('execution.killGracePeriod', 2);
+  }
+
+  /**
+   * Get the shell used for bash/shell cells (empty to use the default terminal profile)
+   * @returns {string}
+   */
+  getShell() {
+    return this.getConfig().get('execution.shell', '');
+  }
+
+  /**
+   * Get the name of the persistent shell session bash/shell cells run in (empty to run each cell in a new process)
+   * @returns {string}
+   */
+  getSession() {
+    const session = this.getConfig().get('execution.session', '');
+    if (session === true) {
+      return 'default';
+    }
+    return session ? String(session) : '';
+  }
+
+  /**
+   * Get whether runbook variables are exported to cells as RUNBOOK_VAR_<NAME> environment variables
+   * @returns {boolean|Object} - True, false, or variable names mapped to environment variable names (exported as well)
+   */
+  getVariableEnvironment() {
+    return this.getConfig().get('execution.env', false);
+  }
+
+  /**
+   * Get the number of output lines shown in a cell and saved in the runbook (half from the beginning, half from the end)
+   * @returns {number} - Line limit, or 0 for no limit
+   */
+  getMaxOutputLines() {
+    return this.getConfig().get('output.maxLines', 1000);
+  }
+
+  /**
+   * Get the number of output characters of a cell kept in memory
+   * @returns {number} - Size limit, or 0 for no limit
+   */
+  getMaxOutputSize() {
+    return this.getConfig().get('output.maxSize', 1000000);
+  }
+
+  /**
+   * Get the directory (relative to the workspace root) for the full output of truncated cells
+   * @returns {string}
+   */
+  getArtifactsDirectory() {
+    return this.getConfig().get('output.artifactsDirectory', '.runbook-artifacts');
+  }
+
   /**
    * Get whether to enable markdown rendering in output
    * @returns {boolean}
@@ -145,6 +225,14 @@ class Configuration {
     return this.getConfig().get('output.autoPromptScrollableOutput', true);
   }
 
+  /**
+   * Get patterns of output lines ignored when verifying a runbook against its saved outputs
+   * @returns {Array<string>}
+   */
+  getVerifyIgnorePatterns() {
+    return this.getConfig().get('verify.ignorePatterns', []);
+  }
+
   /**
    * Get debug logging enabled state
    * @returns {boolean}
@@ -0,0 +1,152 @@
+const vscode = require('./vscodeApi');
+
+const { parseOptionsFromCode } = require('./optionsParser');
+const { getCellOutput, getCellOutputSource } = require('./variableProcessor');
+const { parseVariablePath } = require('./jsonOutput');
+const { getCaptureNames } = require('./captureRules');
+const { parseTemplateExpression } = require('./templateFilters');
+
+/**
+ * Get the variable reference of a {{ }} expression, without its default and filters
+ * @param {string} expression - Text between the braces
+ * @returns {string|null} - The reference, or null if the expression is invalid (reported when the cell runs)
+ */
+function getReference(expression) {
+  try {
+    return parseTemplateExpression(expression).reference;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the dependency graph of a notebook from `id` and `capture` producers and {{variable}} consumers
+ * @param {vscode.NotebookDocument} notebook - The notebook document
+ * @returns {Object} - { producers: Map<name, Array<cellIndex>>, produces: Map<cellIndex, Array<name>>, consumes: Map<cellIndex, Array<name>>, cells: Map<cellIndex, cell>, notebook }
+ */
+function buildDependencyGraph(notebook) {
+  const graph = { producers: new Map(), produces: new Map(), consumes: new Map(), cells: new Map(), notebook };
+  const variablePattern = /\{\{([^}]+)\}\}/g;
+
+  for (const cell of notebook.getCells()) {
+    if (cell.kind !== vscode.NotebookCellKind.Code) {
+      continue;
+    }
+
+    const attributes = (cell.metadata && cell.metadata.attributes) || {};
+    const { options, cleanedCode } = parseOptionsFromCode(cell.document.getText(), cell.document.languageId, attributes);
+    graph.cells.set(cell.index, cell);
+
+    const produced = [...new Set([...(options.id ? [String(options.id)] : []), ...getCaptureNames(options.capture)])];
+    if (produced.length > 0) {
+      graph.produces.set(cell.index, produced);
+      for (const name of produced) {
+        graph.producers.set(name, [...(graph.producers.get(name) || []), cell.index]);
+      }
+    }
+
+    // File inclusions ({{file.md}}) are not produced by cells; text piped to stdin can use variables too
+    const text = typeof options.stdin === 'string' ? `${cleanedCode}\n${options.stdin}` : cleanedCode;
+    const names = [];
+    let match;
+    while ((match = variablePattern.exec(text)) !== null) {
+      const reference = getReference(match[1]);
+      if (reference && !reference.endsWith('.md') && !names.includes(reference)) {
+        names.push(reference);
+      }
+    }
+    graph.consumes.set(cell.index, names);
+  }
+
+  return graph;
+}
+
+/**
+ * Check whether a producer cell has to run: one of its variables is missing, or was stored before the cell's code changed
+ * @param {Object} graph - Dependency graph
+ * @param {number} cellIndex - Index of the producer cell
+ * @returns {boolean} - True if an output is missing or stale
+ */
+function isOutputMissingOrStale(graph, cellIndex) {
+  const code = graph.cells.get(cellIndex).document.getText();
+  return (graph.produces.get(cellIndex) || []).some(name => {
+    if (getCellOutput(name, graph.notebook) === undefined) {
+      return true;
+    }
+    const source = getCellOutputSource(name, graph.notebook);
+    return source !== undefined && source !== code;
+  });
+}
+
+/**
+ * Get the cells producing a variable a cell refers to ({{pods.items[0]}} is produced by the `pods` cell)
+ * @param {Object} graph - Dependency graph
+ * @param {string} reference - Text between the braces
+ * @returns {Array<number>} - Indices of the producer cells
+ */
+function getProducers(graph, reference) {
+  if (graph.producers.has(reference)) {
+    return graph.producers.get(reference);
+  }
+  const path = parseVariablePath(reference);
+  return (path && graph.producers.get(path.name)) || [];
+}
+
+/**
+ * Work out which cells to run, in order, so that a cell has all the variables it needs
+ * Producers run when their output is missing or stale, or when one of their own producers runs
+ * Variables without a producer cell are left to the VARIABLES tables and front matter
+ * @param {Object} graph - Dependency graph from buildDependencyGraph
+ * @param {number} cellIndex - Index of the requested cell
+ * @param {Function} needsRun - Returns true if a producer cell has to run (defaults to missing or stale output)
+ * @returns {Array<number>} - Cell indices to run, ending with the requested cell
+ * @throws {Error} - On dependency cycles and variables produced by more than one cell
+ */
+function resolveExecutionOrder(graph, cellIndex, needsRun = (index) => isOutputMissingOrStale(graph, index)) {
+  const order = [];
+  const state = new Map(); // cellIndex -> 'visiting' | 'done'
+  const willRun = new Set();
+  const stack = []; // [{ cellIndex, name }] - the path being resolved
+
+  const visit = (index) => {
+    if (state.get(index) === 'done') {
+      return willRun.has(index);
+    }
+    if (state.get(index) === 'visiting') {
+      const cycle = stack.slice(stack.findIndex(entry => entry.cellIndex === index));
+      const path = cycle.map(entry => `Cell ${entry.cellIndex + 1} needs {{${entry.name}}}`).join(' → ');
+      throw new Error(`Dependency cycle: ${path} → Cell ${index + 1}`);
+    }
+    state.set(index, 'visiting');
+
+    let upstreamRuns = false;
+    for (const name of graph.consumes.get(index) || []) {
+      const producers = getProducers(graph, name);
+      if (producers.length > 1) {
+        const cells = producers.map(producer => `Cell ${producer + 1}`).join(', ');
+        throw new Error(`Variable '${name}' needed by Cell ${index + 1} is produced by more than one cell: ${cells}. Give each cell a unique id.`);
+      }
+      if (producers.length === 1) {
+        stack.push({ cellIndex: index, name });
+        upstreamRuns = visit(producers[0]) || upstreamRuns;
+        stack.pop();
+      }
+    }
+
+    state.set(index, 'done');
+    if (index === cellIndex || upstreamRuns || needsRun(index)) {
+      willRun.add(index);
+      order.push(index);
+    }
+    return willRun.has(index);
+  };
+
+  visit(cellIndex);
+  return order;
+}
+
+module.exports = {
+  buildDependencyGraph,
+  isOutputMissingOrStale,
+  resolveExecutionOrder
+};
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * Utility functions for the environment variables a cell runs with: the runbook's variables
+ * (RUNBOOK_VAR_<NAME>, when enabled) and the runbook context (RUNBOOK_PATH, RUNBOOK_CELL_INDEX,
+ * RUNBOOK_RUN_ID, RUNBOOK_STEP)
+ */
+
+const vscode = require('./vscodeApi');
+
+/**
+ * Prefix of the environment variables holding runbook variables
+ */
+const VARIABLE_PREFIX = 'RUNBOOK_VAR_';
+
+/**
+ * Get the environment variable name for a runbook variable
+ * @param {string} name - Variable name, e.g. "db-host"
+ * @returns {string} - e.g. "RUNBOOK_VAR_DB_HOST"
+ */
+function toEnvironmentName(name) {
+  return VARIABLE_PREFIX + String(name).toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+}
+
+/**
+ * Build the environment variables for runbook variables
+ * Every variable is exported as RUNBOOK_VAR_<NAME>; a mapping exports variables under names of its own as well.
+ * @param {Map<string, string>} variables - Values by variable name
+ * @param {boolean|Object<string, string>} mode - The `env` option: true, or variable names mapped to environment variable names
+ * @returns {Object<string, string>} - Environment variables (empty if the mode is off)
+ */
+function getVariableEnvironment(variables, mode) {
+  const environment = {};
+  if (!mode) {
+    return environment;
+  }
+  for (const [name, value] of variables) {
+    environment[toEnvironmentName(name)] = value;
+  }
+  if (typeof mode === 'object') {
+    const lookup = new Map([...variables].map(([name, value]) => [name.toLowerCase(), value]));
+    for (const [name, environmentName] of Object.entries(mode)) {
+      const value = variables.has(name) ? variables.get(name) : lookup.get(name.toLowerCase());
+      if (value !== undefined && environmentName) {
+        environment[String(environmentName)] = value;
+      }
+    }
+  }
+  return environment;
+}
+
+/**
+ * Find the heading of the step a cell belongs to: the last markdown heading above it
+ * @param {vscode.NotebookDocument} notebook - The notebook document
+ * @param {number} cellIndex - Index of the cell
+ * @returns {string} - Heading text without the leading #, or an empty string if there is none
+ */
+function findStepHeading(notebook, cellIndex) {
+  const cells = notebook && notebook.getCells ? notebook.getCells() : [];
+  for (let index = Math.min(cellIndex, cells.length) - 1; index >= 0; index--) {
+    if (cells[index].kind !== vscode.NotebookCellKind.Markup) {
+      continue;
+    }
+    const headings = cells[index].document.getText().split('\n')
+      .map(line => /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/.exec(line))
+      .filter(Boolean);
+    if (headings.length > 0) {
+      return headings[headings.length - 1][1];
+    }
+  }
+  return '';
+}
+
+/**
+ * Build the environment variables describing where a cell runs
+ * @param {vscode.NotebookDocument} notebook - The notebook document
+ * @param {number} cellIndex - Index of the cell
+ * @param {string} runId - Id shared by the cells run together (Run All, a dependency chain, a CLI run)
+ * @returns {Object<string, string>} - RUNBOOK_PATH, RUNBOOK_CELL_INDEX, RUNBOOK_RUN_ID and RUNBOOK_STEP
+ */
+function getContextEnvironment(notebook, cellIndex, runId) {
+  return {
+    RUNBOOK_PATH: (notebook && notebook.uri && notebook.uri.fsPath) || '',
+    RUNBOOK_CELL_INDEX: String(cellIndex),
+    RUNBOOK_RUN_ID: runId,
+    RUNBOOK_STEP: findStepHeading(notebook, cellIndex)
+  };
+}
+
+module.exports = {
+  toEnvironmentName,
+  getVariableEnvironment,
+  getContextEnvironment
+};
\ No newline at end of file
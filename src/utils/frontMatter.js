@@ -0,0 +1,426 @@
+/**
+ * Utility functions for the YAML front-matter block at the top of a runbook
+ *
+ * Example:
+ * ---
+ * title: Database failover
+ * owner: dba-oncall
+ * tags: [postgres, paging]
+ * requires: [psql, jq]
+ * timeout: 120
+ * parameters:
+ *   env: staging
+ *   region:
+ *     default: us-east-1
+ *     description: AWS region to fail over in
+ * settings:
+ *   output.enableMarkdownRendering: false
+ * ---
+ *
+ * Only the subset of YAML needed for front matter is supported: block mappings and sequences,
+ * flow [lists] and {maps}, quoted and plain scalars, and | / > block scalars.
+ */
+
+/**
+ * Front-matter keys that are shorthands for runbook-notebook.* settings
+ */
+const SETTING_SHORTHANDS = {
+  timeout: 'execution.defaultTimeout',
+  shell: 'execution.shell',
+  session: 'execution.session',
+  env: 'execution.env'
+};
+
+/**
+ * Split a leading front-matter block off the lines of a file
+ * @param {string[]} lines - All lines of the file
+ * @returns {Object|null} - Object with the raw block text, the parsed data and the number of lines it spans, or null if there is none
+ */
+function extractFrontMatter(lines) {
+  if (lines.length < 2 || lines[0] !== '---') {
+    return null;
+  }
+
+  let end = 1;
+  while (end < lines.length && lines[end] !== '---' && lines[end] !== '...') {
+    end++;
+  }
+  if (end === lines.length) {
+    return null; // Never closed - it's a horizontal rule, not front matter
+  }
+
+  const raw = lines.slice(0, end + 1).join('\n') + '\n';
+  let data = {};
+  let error = null;
+  try {
+    data = parseYaml(lines.slice(1, end).join('\n')) || {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Front matter must be a mapping of keys to values');
+    }
+  } catch (e) {
+    error = e.message;
+  }
+
+  return { raw, data, error, lineCount: end + 1 };
+}
+
+/**
+ * Parse a YAML document (front-matter subset)
+ * @param {string} text - YAML text
+ * @returns {*} - Parsed value
+ * @throws {Error} - If the text cannot be parsed
+ */
+function parseYaml(text) {
+  const lines = text.split('\n').map((line, index) => ({
+    number: index + 1,
+    indent: line.length - line.trimStart().length,
+    raw: line,
+    text: stripComment(line).trim()
+  }));
+
+  const state = { lines, index: 0 };
+  skipBlankLines(state);
+  if (state.index >= lines.length) {
+    return null;
+  }
+
+  const value = parseBlock(state, lines[state.index].indent);
+  skipBlankLines(state);
+  if (state.index < lines.length) {
+    throw new Error(`Unexpected content on line ${lines[state.index].number}: ${lines[state.index].raw.trim()}`);
+  }
+  return value;
+}
+
+/**
+ * Remove a trailing # comment that is not inside quotes
+ * @param {string} line - The line
+ * @returns {string} - Line without the comment
+ */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.substring(0, i);
+    }
+  }
+  return line;
+}
+
+function skipBlankLines(state) {
+  while (state.index < state.lines.length && state.lines[state.index].text === '') {
+    state.index++;
+  }
+}
+
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+/**
+ * Parse a block mapping or sequence whose entries start at the given indentation
+ */
+function parseBlock(state, indent) {
+  const line = state.lines[state.index];
+  return isSequenceItem(line.text) ? parseSequence(state, indent) : parseMapping(state, indent);
+}
+
+function parseMapping(state, indent) {
+  const result = {};
+
+  while (true) {
+    skipBlankLines(state);
+    const line = state.lines[state.index];
+    if (!line || line.indent < indent || isSequenceItem(line.text)) {
+      break;
+    }
+    if (line.indent > indent) {
+      throw new Error(`Unexpected indentation on line ${line.number}`);
+    }
+
+    const match = line.text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+    if (!match) {
+      throw new Error(`Expected "key: value" on line ${line.number}`);
+    }
+
+    const key = parseScalar(match[1]);
+    state.index++;
+    result[key] = parseValue(state, match[2] || '', indent, true);
+  }
+
+  return result;
+}
+
+function parseSequence(state, indent) {
+  const result = [];
+
+  while (true) {
+    skipBlankLines(state);
+    const line = state.lines[state.index];
+    if (!line || line.indent !== indent || !isSequenceItem(line.text)) {
+      break;
+    }
+
+    const rest = line.text.substring(1).trim();
+    if (/^[^"'[{][^:]*:(\s|$)/.test(rest)) {
+      // "- key: value" starts a mapping nested in the sequence
+      const offset = line.raw.indexOf(rest);
+      state.lines[state.index] = { ...line, indent: offset, text: rest };
+      result.push(parseMapping(state, offset));
+    } else {
+      state.index++;
+      result.push(parseValue(state, rest, indent, false));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse the value after "key:" or "- ", which may continue on the following (more indented) lines
+ * A sequence may sit at the same indentation as its key (allowSiblingSequence)
+ */
+function parseValue(state, text, indent, allowSiblingSequence) {
+  if (/^[|>][-+]?$/.test(text)) {
+    return parseBlockScalar(state, text, indent);
+  }
+  if (text !== '') {
+    return parseFlow(text);
+  }
+
+  skipBlankLines(state);
+  const next = state.lines[state.index];
+  if (next && (next.indent > indent || (allowSiblingSequence && next.indent === indent && isSequenceItem(next.text)))) {
+    return parseBlock(state, next.indent);
+  }
+  return null;
+}
+
+function parseBlockScalar(state, header, indent) {
+  const lines = [];
+  let blockIndent = null;
+
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+    if (line.raw.trim() !== '' && line.indent <= indent) {
+      break;
+    }
+    if (blockIndent === null && line.raw.trim() !== '') {
+      blockIndent = line.indent;
+    }
+    lines.push(line.raw.substring(blockIndent || 0));
+    state.index++;
+  }
+
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+  }
+
+  const text = header[0] === '|'
+    ? lines.join('\n')
+    : lines.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ');
+  return header.endsWith('-') ? text : text + '\n';
+}
+
+/**
+ * Parse a flow value: [list], {map} or scalar
+ */
+function parseFlow(text) {
+  const state = { text, index: 0 };
+  const value = parseFlowValue(state, true);
+  if (state.text.substring(state.index).trim() !== '') {
+    throw new Error(`Unexpected "${state.text.substring(state.index).trim()}" in "${text}"`);
+  }
+  return value;
+}
+
+function parseFlowValue(state, topLevel = false) {
+  skipFlowWhitespace(state);
+  const char = state.text[state.index];
+
+  if (char === '[') {
+    state.index++;
+    const result = [];
+    while (!consumeFlowChar(state, ']')) {
+      result.push(parseFlowValue(state));
+      consumeFlowChar(state, ',');
+      if (state.index >= state.text.length) {
+        throw new Error(`Unterminated list in "${state.text}"`);
+      }
+    }
+    return result;
+  }
+
+  if (char === '{') {
+    state.index++;
+    const result = {};
+    while (!consumeFlowChar(state, '}')) {
+      const key = parseFlowValue(state);
+      if (!consumeFlowChar(state, ':')) {
+        throw new Error(`Expected ":" after "${key}" in "${state.text}"`);
+      }
+      result[key] = parseFlowValue(state);
+      consumeFlowChar(state, ',');
+      if (state.index >= state.text.length) {
+        throw new Error(`Unterminated map in "${state.text}"`);
+      }
+    }
+    return result;
+  }
+
+  if (char === '"' || char === '\'') {
+    const pattern = char === '"' ? /^"(?:[^"\\]|\\.)*"/ : /^'(?:[^']|'')*'/;
+    const match = state.text.substring(state.index).match(pattern);
+    if (!match) {
+      throw new Error(`Unterminated string in "${state.text}"`);
+    }
+    state.index += match[0].length;
+    return parseScalar(match[0]);
+  }
+
+  // Plain scalar: at the top level it runs to the end, inside a collection up to the next separator
+  const rest = state.text.substring(state.index);
+  const match = topLevel ? [rest] : rest.match(/^[^,\]}]*?(?=\s*(?:[,\]}]|:\s|:$))|^[^,\]}]*/);
+  state.index += match[0].length;
+  return parseScalar(match[0].trim());
+}
+
+function skipFlowWhitespace(state) {
+  while (state.index < state.text.length && /\s/.test(state.text[state.index])) {
+    state.index++;
+  }
+}
+
+function consumeFlowChar(state, char) {
+  skipFlowWhitespace(state);
+  if (state.text[state.index] === char) {
+    state.index++;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Convert a scalar to a string, number, boolean or null
+ * @param {string} text - Scalar text
+ * @returns {*} - Typed value
+ */
+function parseScalar(text) {
+  if (text.startsWith('"') && text.endsWith('"') && text.length >= 2) {
+    return JSON.parse(text.replace(/\\'/g, '\''));
+  }
+  if (text.startsWith('\'') && text.endsWith('\'') && text.length >= 2) {
+    return text.slice(1, -1).replace(/''/g, '\'');
+  }
+  if (text === '' || text === '~' || /^null$/i.test(text)) {
+    return null;
+  }
+  if (/^(true|false)$/i.test(text)) {
+    return text.toLowerCase() === 'true';
+  }
+  if (/^[-+]?\d+$/.test(text)) {
+    return parseInt(text, 10);
+  }
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) {
+    return parseFloat(text);
+  }
+  return text;
+}
+
+/**
+ * Collect runbook-notebook.* setting overrides from front matter
+ * Accepts the shorthands in SETTING_SHORTHANDS and a `settings` map keyed by setting name
+ * (with or without the "runbook-notebook." prefix, dotted or nested)
+ * @param {Object} data - Parsed front matter
+ * @returns {Object} - Overrides keyed by setting name (e.g. "execution.defaultTimeout")
+ */
+function getRunbookSettings(data) {
+  const overrides = {};
+  if (!data || typeof data !== 'object') {
+    return overrides;
+  }
+
+  for (const [shorthand, setting] of Object.entries(SETTING_SHORTHANDS)) {
+    if (data[shorthand] !== undefined && data[shorthand] !== null) {
+      overrides[setting] = data[shorthand];
+    }
+  }
+
+  const settings = data.settings;
+  if (settings && typeof settings === 'object') {
+    const nested = settings['runbook-notebook'];
+    flattenSettings(nested && typeof nested === 'object' ? nested : {}, '', overrides);
+    for (const [key, value] of Object.entries(settings)) {
+      if (key !== 'runbook-notebook') {
+        flattenSettings({ [key.replace(/^runbook-notebook\./, '')]: value }, '', overrides);
+      }
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Flatten nested setting maps into dotted keys, keeping object values for settings that are objects themselves
+ */
+function flattenSettings(settings, prefix, overrides) {
+  for (const [key, value] of Object.entries(settings)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    overrides[name] = value;
+    // Also register nested entries, e.g. { execution: { defaultTimeout: 5 } } -> execution.defaultTimeout
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenSettings(value, name, overrides);
+    }
+  }
+}
+
+/**
+ * Get declared runbook parameters with their default values
+ * Accepts `parameters: {name: value}`, `parameters: {name: {default: value}}` or `parameters: [{name, default}]`
+ * @param {Object} data - Parsed front matter
+ * @returns {Map<string, string>} - Map of parameter names (lowercase) to default values
+ */
+function getRunbookParameters(data) {
+  const parameters = new Map();
+  const declared = data && data.parameters;
+  if (!declared || typeof declared !== 'object') {
+    return parameters;
+  }
+
+  const entries = Array.isArray(declared)
+    ? declared.filter(p => p && typeof p === 'object' && p.name).map(p => [p.name, p])
+    : Object.entries(declared);
+
+  for (const [name, spec] of entries) {
+    const value = spec && typeof spec === 'object' && !Array.isArray(spec) ? spec.default : spec;
+    if (value !== undefined && value !== null) {
+      parameters.set(String(name).toLowerCase(), typeof value === 'string' ? value : JSON.stringify(value));
+    }
+  }
+
+  return parameters;
+}
+
+/**
+ * Get the parsed front matter of a notebook document
+ * @param {vscode.NotebookDocument} notebook - The notebook document
+ * @returns {Object|null} - Parsed front matter, or null if the runbook has none
+ */
+function getNotebookFrontMatter(notebook) {
+  return (notebook && notebook.metadata && notebook.metadata.runbook) || null;
+}
+
+module.exports = {
+  extractFrontMatter,
+  parseYaml,
+  getRunbookSettings,
+  getRunbookParameters,
+  getNotebookFrontMatter
+};
\ No newline at end of file
@@ -0,0 +1,259 @@
+/**
+ * Utility functions for JSON cell outputs: detecting them, showing them as a collapsible tree, and
+ * reaching into them with paths like {{pods.items[0].metadata.name}}
+ */
+
+const vscode = require('./vscodeApi');
+
+/**
+ * One step of a variable path: `.key`, `["key"]`, `[0]`, `[-1]`, `[*]` / `[]` / `.*`, or `..key` (any depth)
+ */
+const SEGMENT_PATTERN = /^(?:\.\.([^.[\]\s]+)|\.([^.[\]\s]+)|\[\s*(-?\d+)\s*\]|\[\s*(['"])(.*?)\4\s*\]|\[\s*\*?\s*\])/;
+
+/**
+ * Parse output text as JSON, if it is a JSON object or array
+ * @param {string} text - Output text (plain, without escape codes)
+ * @returns {*} - The parsed value, or undefined if the text is not a JSON object or array
+ */
+function parseJsonOutput(text) {
+  const trimmed = (text || '').trim();
+  if (!/^[[{]/.test(trimmed)) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a JSON value as nested <details> elements (the top level is expanded)
+ * @param {*} value - JSON value
+ * @param {string|null} key - Property name or array index of the value (null for the root)
+ * @param {number} depth - Nesting depth
+ * @returns {string} - HTML
+ */
+function renderJsonNode(value, key, depth) {
+  const label = key === null ? '' : `<span style="color: var(--vscode-debugTokenExpression-name)">${escapeHtml(key)}</span>: `;
+  if (value === null || typeof value !== 'object') {
+    const color = typeof value === 'string' ? 'var(--vscode-debugTokenExpression-string)'
+      : typeof value === 'number' ? 'var(--vscode-debugTokenExpression-number)'
+        : 'var(--vscode-debugTokenExpression-boolean)';
+    return `<div>${label}<span style="color: ${color}">${escapeHtml(JSON.stringify(value))}</span></div>`;
+  }
+
+  const entries = Array.isArray(value) ? value.map((item, index) => [String(index), item]) : Object.entries(value);
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+  if (entries.length === 0) {
+    return `<div>${label}${open}${close}</div>`;
+  }
+  const size = `${entries.length} ${Array.isArray(value) ? 'item' : 'key'}${entries.length === 1 ? '' : 's'}`;
+  const children = entries.map(([childKey, child]) => renderJsonNode(child, childKey, depth + 1)).join('');
+  return `<details${depth === 0 ? ' open' : ''}><summary>${label}${open} ${size} ${close}</summary>` +
+    `<div style="padding-left: 1.2em">${children}</div></details>`;
+}
+
+/**
+ * Render a JSON value as a collapsible tree
+ * @param {*} value - JSON value
+ * @returns {string} - HTML
+ */
+function renderJsonTree(value) {
+  return '<div style="font-family: var(--vscode-editor-font-family, monospace); font-size: var(--vscode-editor-font-size, 13px)">' +
+    renderJsonNode(value, null, 0) + '</div>';
+}
+
+/**
+ * Build the cell output for a JSON value: a collapsible tree, with the JSON text as plain text
+ * (what is saved in the runbook, compared by verify and printed by the CLI)
+ * @param {*} value - JSON value
+ * @param {Object} metadata - Output metadata (e.g. the execution record)
+ * @param {string} text - JSON text as printed (defaults to indented JSON)
+ * @returns {vscode.NotebookCellOutput} - Output marked with format "json"
+ */
+function createJsonOutput(value, metadata, text = JSON.stringify(value, null, 2) + '\n') {
+  return new vscode.NotebookCellOutput([
+    vscode.NotebookCellOutputItem.text(text, 'text/plain'),
+    vscode.NotebookCellOutputItem.text(renderJsonTree(value), 'text/html')
+  ], { ...metadata, format: 'json' });
+}
+
+/**
+ * Check whether a cell output shows a JSON value
+ * @param {vscode.NotebookCellOutput} output - Cell output
+ * @returns {boolean} - True for outputs built by createJsonOutput
+ */
+function isJsonOutput(output) {
+  return Boolean(output && output.metadata && output.metadata.format === 'json');
+}
+
+/**
+ * Split a variable reference into the variable name and a path into its JSON value
+ * @param {string} expression - Text between the braces, e.g. "pods.items[0].metadata.name"
+ * @returns {Object|null} - { name, segments }, or null if the path is not valid syntax
+ */
+function parseVariablePath(expression) {
+  const match = /^([^.[\]]+)(.*)$/.exec(expression.trim());
+  if (!match) {
+    return null;
+  }
+
+  const segments = [];
+  let rest = match[2];
+  while (rest) {
+    const segment = SEGMENT_PATTERN.exec(rest);
+    if (!segment) {
+      return null;
+    }
+    if (segment[1] !== undefined) {
+      segments.push({ type: 'descendant', key: segment[1] });
+    } else if (segment[2] !== undefined) {
+      segments.push(segment[2] === '*' ? { type: 'all' } : { type: 'key', key: segment[2] });
+    } else if (segment[3] !== undefined) {
+      segments.push({ type: 'index', index: Number(segment[3]) });
+    } else if (segment[5] !== undefined) {
+      segments.push({ type: 'key', key: segment[5] });
+    } else {
+      segments.push({ type: 'all' });
+    }
+    rest = rest.slice(segment[0].length);
+  }
+  return { name: match[1].trim(), segments };
+}
+
+/**
+ * Format a path segment the way it is written
+ * @param {Object} segment - Path segment
+ * @returns {string} - e.g. ".name", "[0]", "[*]"
+ */
+function formatSegment(segment) {
+  switch (segment.type) {
+    case 'key':
+      return /^[\w-]+$/.test(segment.key) ? `.${segment.key}` : `[${JSON.stringify(segment.key)}]`;
+    case 'index':
+      return `[${segment.index}]`;
+    case 'all':
+      return '[*]';
+    default:
+      return `..${segment.key}`;
+  }
+}
+
+/**
+ * Describe the type of a JSON value for error messages
+ * @param {*} value - JSON value
+ * @returns {string} - "an array", "an object", "a string", ...
+ */
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+}
+
+/**
+ * Collect the values of a property at any depth (JSONPath `..key`)
+ * @param {*} value - JSON value to search
+ * @param {string} key - Property name
+ * @param {Array} found - Values found so far
+ * @returns {Array} - Values found, in document order
+ */
+function findDescendants(value, key, found = []) {
+  if (value !== null && typeof value === 'object') {
+    if (!Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, key)) {
+      found.push(value[key]);
+    }
+    for (const child of Array.isArray(value) ? value : Object.values(value)) {
+      findDescendants(child, key, found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Follow a path into a JSON value
+ * Wildcards and `..key` give an array of everything they match.
+ * @param {*} value - JSON value
+ * @param {Array<Object>} segments - Path segments from parseVariablePath
+ * @param {string} path - Path followed so far, for error messages (starts with the variable name)
+ * @returns {*} - The value at the path
+ * @throws {Error} - Naming the segment that could not be followed
+ */
+function resolveJsonPath(value, segments, path) {
+  if (segments.length === 0) {
+    return value;
+  }
+  const [segment, ...rest] = segments;
+  const next = path + formatSegment(segment);
+
+  switch (segment.type) {
+    case 'key': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        const hint = Array.isArray(value) ? ' (use an index like [0], or [*] for every item)' : '';
+        throw new Error(`Cannot read '${segment.key}' of ${path}: it is ${describeType(value)}${hint}`);
+      }
+      if (!Object.prototype.hasOwnProperty.call(value, segment.key)) {
+        const keys = Object.keys(value);
+        const available = keys.length > 0 ? ` (available: ${keys.slice(0, 10).join(', ')}${keys.length > 10 ? ', ...' : ''})` : '';
+        throw new Error(`'${segment.key}' not found in ${path}${available}`);
+      }
+      return resolveJsonPath(value[segment.key], rest, next);
+    }
+    case 'index': {
+      if (!Array.isArray(value)) {
+        throw new Error(`Cannot index ${path} with [${segment.index}]: it is ${describeType(value)}`);
+      }
+      const index = segment.index < 0 ? value.length + segment.index : segment.index;
+      if (index < 0 || index >= value.length) {
+        throw new Error(`Index [${segment.index}] is out of range for ${path} (${value.length} item${value.length === 1 ? '' : 's'})`);
+      }
+      return resolveJsonPath(value[index], rest, next);
+    }
+    case 'all': {
+      if (value === null || typeof value !== 'object') {
+        throw new Error(`Cannot take every item of ${path}: it is ${describeType(value)}`);
+      }
+      const items = Array.isArray(value) ? value : Object.values(value);
+      return items.map((item, index) => resolveJsonPath(item, rest, `${path}[${index}]`));
+    }
+    default: {
+      const found = findDescendants(value, segment.key);
+      if (found.length === 0) {
+        throw new Error(`'${segment.key}' not found anywhere in ${path}`);
+      }
+      return found.map(item => resolveJsonPath(item, rest, next));
+    }
+  }
+}
+
+/**
+ * Format a JSON value for substitution: strings as they are, everything else as compact JSON
+ * @param {*} value - JSON value
+ * @returns {string} - Text to substitute
+ */
+function formatJsonValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+module.exports = {
+  parseJsonOutput,
+  renderJsonTree,
+  createJsonOutput,
+  isJsonOutput,
+  parseVariablePath,
+  resolveJsonPath,
+  formatJsonValue
+};
\ No newline at end of file
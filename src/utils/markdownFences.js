@@ -0,0 +1,106 @@
+/**
+ * Utility functions for recognizing fenced code blocks following the CommonMark rules
+ * https://spec.commonmark.org/0.31.2/#fenced-code-blocks
+ */
+
+/**
+ * Parse an opening code fence (``` or ~~~, three or more characters)
+ * @param {string} line - The line to check
+ * @returns {Object|null} - Object with indent, marker and info string, or null if the line is not a fence
+ */
+function parseOpeningFence(line) {
+  const match = line.match(/^( *)(`{3,}|~{3,})(.*)$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, indent, marker, info] = match;
+
+  // The info string of a backtick fence may not contain backticks (that's inline code)
+  if (marker[0] === '`' && info.includes('`')) {
+    return null;
+  }
+
+  return { indent: indent.length, marker, info };
+}
+
+/**
+ * Check whether a line closes the given fence: same character, at least as long, nothing but whitespace after it
+ * @param {string} line - The line to check
+ * @param {Object} fence - The opening fence (as returned by parseOpeningFence)
+ * @param {number} maxIndent - Maximum indentation of the closing fence
+ * @returns {boolean} - True if the line closes the fence
+ */
+function isClosingFence(line, fence, maxIndent = 3) {
+  const match = line.match(/^( *)(`{3,}|~{3,})[ \t]*$/);
+  return !!match &&
+    match[1].length <= maxIndent &&
+    match[2][0] === fence.marker[0] &&
+    match[2].length >= fence.marker.length;
+}
+
+/**
+ * Find the index of the line closing a fence
+ * A fence that is never closed ends with its container: the document, or the list item whose content is
+ * indented by containerIndent (it ends before the first non-blank line indented less).
+ * @param {string[]} lines - All lines
+ * @param {number} start - Index of the first line after the opening fence
+ * @param {Object} fence - The opening fence
+ * @param {number} maxIndent - Maximum indentation of the closing fence
+ * @param {number} containerIndent - Content indentation of the list item the fence is in (0 for none)
+ * @returns {number} - Index of the closing fence, or of the first line after the container if the fence is
+ *   never closed (lines.length at the end of the file)
+ */
+function findClosingFence(lines, start, fence, maxIndent = 3, containerIndent = 0) {
+  let end = start;
+  while (end < lines.length && !isClosingFence(lines[end], fence, maxIndent)) {
+    const line = lines[end];
+    if (line.trim() !== '' && line.length - line.trimStart().length < containerIndent) {
+      break;
+    }
+    end++;
+  }
+  return end;
+}
+
+/**
+ * Remove up to `indent` leading spaces from a line (fenced content is relative to the fence indentation)
+ * @param {string} line - The line to strip
+ * @param {number} indent - Number of spaces to remove
+ * @returns {string} - The stripped line
+ */
+function stripIndent(line, indent) {
+  let count = 0;
+  while (count < indent && line[count] === ' ') {
+    count++;
+  }
+  return line.substring(count);
+}
+
+/**
+ * Choose a fence long enough that no line of the content can close it
+ * @param {string} content - The content to wrap
+ * @param {string} preferred - Preferred fence marker (e.g. ``` or ~~~)
+ * @returns {string} - The fence marker to use
+ */
+function chooseFence(content, preferred = '```') {
+  const char = preferred[0];
+  let length = preferred.length;
+
+  for (const line of content.split('\n')) {
+    const match = line.match(/^ *(`{3,}|~{3,})/);
+    if (match && match[1][0] === char && match[1].length >= length) {
+      length = match[1].length + 1;
+    }
+  }
+
+  return char.repeat(length);
+}
+
+module.exports = {
+  parseOpeningFence,
+  isClosingFence,
+  findClosingFence,
+  stripIndent,
+  chooseFence
+};
\ No newline at end of file
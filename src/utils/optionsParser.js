@@ -1,13 +1,26 @@
-const vscode = require('vscode');
+const vscode = require('./vscodeApi');
 const { getCommentStyles } = require('../constants');
 
 /**
  * Parse @options from the first line of code based on language-appropriate comment syntax
+ * Options from the fenced block info string (if any) are used as defaults; @options wins on conflicts
  * @param {string} code - The code content
  * @param {string} languageId - The language identifier
+ * @param {Object} attributes - Options parsed from the fenced block info string
  * @returns {Object} - Object containing parsed options and cleaned code
  */
-function parseOptionsFromCode(code, languageId) {
+function parseOptionsFromCode(code, languageId, attributes = {}) {
+  const { options, cleanedCode } = parseInlineOptions(code, languageId);
+  return { options: { ...attributes, ...options }, cleanedCode };
+}
+
+/**
+ * Parse the @options comment on the first line of code
+ * @param {string} code - The code content
+ * @param {string} languageId - The language identifier
+ * @returns {Object} - Object containing parsed options and cleaned code
+ */
+function parseInlineOptions(code, languageId) {
   const lines = code.split('\n');
   if (lines.length === 0) {
     return { options: {}, cleanedCode: code };
@@ -48,6 +61,88 @@ function parseOptionsFromCode(code, languageId) {
   return { options, cleanedCode };
 }
 
+/**
+ * Parse the info string of a fenced code block, e.g. `bash {id=pods timeout=60 .slow}`
+ * Supported attributes: `key=value`, `key="quoted value"`, `#id` and `.tag` (collected into `tags`)
+ * @param {string} info - Text following the opening fence
+ * @returns {Object} - Object containing languageId and parsed attributes
+ */
+function parseFenceInfo(info) {
+  const trimmed = info.trim();
+  const match = trimmed.match(/^([^\s{]*)\s*(?:\{(.*)\})?$/);
+  if (!match) {
+    // Unknown info string format - keep the first word as the language
+    return { languageId: trimmed.split(/\s+/)[0], attributes: {} };
+  }
+
+  return { languageId: match[1], attributes: parseAttributes(match[2] || '') };
+}
+
+/**
+ * Parse the attribute list between the braces of an info string
+ * @param {string} text - Attribute list, e.g. `id=pods timeout=60 .slow`
+ * @returns {Object} - Parsed attributes
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  const attributePattern = /([#.])([^\s=]+)|([^\s=]+)=(?:"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S*))/g;
+
+  let match;
+  while ((match = attributePattern.exec(text)) !== null) {
+    if (match[1] === '#') {
+      attributes.id = match[2];
+    } else if (match[1] === '.') {
+      attributes.tags = [...(attributes.tags || []), match[2]];
+    } else if (match[4] !== undefined) {
+      attributes[match[3]] = match[4].replace(/\\(.)/g, '$1');
+    } else if (match[5] !== undefined) {
+      attributes[match[3]] = match[5];
+    } else {
+      attributes[match[3]] = parseAttributeValue(match[6]);
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Convert an unquoted attribute value to a number or boolean where it looks like one
+ * @param {string} value - Raw attribute value
+ * @returns {string|number|boolean} - Typed value
+ */
+function parseAttributeValue(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Format attributes back into an info string attribute list (inverse of parseAttributes)
+ * @param {Object} attributes - Attributes to format
+ * @returns {string} - Attribute list including braces, or an empty string if there are none
+ */
+function formatAttributes(attributes) {
+  const parts = [];
+  for (const [key, value] of Object.entries(attributes || {})) {
+    if (key === 'tags' && Array.isArray(value)) {
+      parts.push(...value.map(tag => `.${tag}`));
+    } else if (typeof value === 'number' || typeof value === 'boolean') {
+      parts.push(`${key}=${value}`);
+    } else if (typeof value === 'string') {
+      // Quote strings that would otherwise be read back differently
+      const needsQuotes = value === '' || /[\s"'{}]/.test(value) || parseAttributeValue(value) !== value;
+      parts.push(`${key}=${needsQuotes ? JSON.stringify(value) : value}`);
+    }
+  }
+  return parts.length > 0 ? `{${parts.join(' ')}}` : '';
+}
+
 module.exports = {
-  parseOptionsFromCode
+  parseOptionsFromCode,
+  parseFenceInfo,
+  formatAttributes
 };
\ No newline at end of file
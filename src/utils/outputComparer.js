@@ -0,0 +1,151 @@
+/**
+ * Utility functions for comparing fresh cell output with the output saved in a runbook
+ */
+
+const { toPlainText } = require('./ansi');
+const { STDOUT_MIME, STDERR_MIME } = require('./outputStreams');
+const { isAnnotationOutput } = require('./workflowCommands');
+
+/**
+ * Get the text of cell outputs as it appears in a saved **Output:** block
+ * Stderr is left out unless asked for; it is then put after a "STDERR:" line, as runbooks saved
+ * before stderr got its own block have it
+ * @param {Array<vscode.NotebookCellOutput>} outputs - Cell outputs
+ * @param {Object} options - Options
+ * @param {boolean} options.stderr - Include stderr
+ * @returns {string} - Output text (without the trailing double spaces added for markdown line breaks)
+ */
+function getOutputText(outputs, options = {}) {
+  let stdout = '';
+  let errors = '';
+  let stderr = '';
+  // Annotations are not part of the output text (they are saved in the execution record)
+  for (const output of (outputs || []).filter(output => !isAnnotationOutput(output))) {
+    for (const item of output.items) {
+      const text = new TextDecoder().decode(item.data);
+      if (item.mime === 'text/plain' || item.mime === 'text/markdown') {
+        stdout += text.replace(/ {2}$/gm, '');
+      } else if (item.mime === STDOUT_MIME) {
+        stdout += text;
+      } else if (item.mime === STDERR_MIME) {
+        stderr += text;
+      } else if (item.mime === 'application/vnd.code.notebook.error') {
+        const errorData = JSON.parse(text);
+        errors += `Error: ${errorData.message}\n`;
+        if (errorData.stack) {
+          errors += errorData.stack + '\n';
+        }
+      }
+    }
+  }
+  // Saved blocks always end with a line break
+  const content = (stdout && !stdout.endsWith('\n') ? stdout + '\n' : stdout) + errors;
+  return options.stderr && stderr ? content + '\nSTDERR:\n' + stderr : content;
+}
+
+/**
+ * Normalize output text for comparison
+ * Colors, line endings and trailing whitespace are ignored, as are lines matching any ignore pattern
+ * @param {string} text - Output text
+ * @param {Array<RegExp>} ignorePatterns - Patterns of lines to leave out
+ * @returns {Array<string>} - Normalized lines
+ */
+function normalizeOutput(text, ignorePatterns = []) {
+  const lines = toPlainText(text).split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .filter(line => !ignorePatterns.some(pattern => pattern.test(line)));
+
+  while (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compile regular expressions given as strings
+ * @param {string|Array<string>} patterns - Pattern or list of patterns
+ * @returns {Array<RegExp>} - Compiled patterns
+ * @throws {Error} - If a pattern is not a valid regular expression
+ */
+function compilePatterns(patterns) {
+  const list = patterns === undefined || patterns === null ? [] : [].concat(patterns);
+  return list.map(pattern => {
+    try {
+      return new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid pattern /${pattern}/: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Line diff of expected and actual output, "-" for expected lines and "+" for actual lines
+ * @param {Array<string>} expected - Expected lines
+ * @param {Array<string>} actual - Actual lines
+ * @returns {Array<string>} - Diff lines (unchanged lines are prefixed with two spaces)
+ */
+function diffLines(expected, actual) {
+  // Longest common subsequence table, built from the end
+  const lcs = Array.from({ length: expected.length + 1 }, () => new Array(actual.length + 1).fill(0));
+  for (let i = expected.length - 1; i >= 0; i--) {
+    for (let j = actual.length - 1; j >= 0; j--) {
+      lcs[i][j] = expected[i] === actual[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < expected.length || j < actual.length) {
+    if (i < expected.length && j < actual.length && expected[i] === actual[j]) {
+      diff.push('  ' + expected[i++]);
+      j++;
+    } else if (i < expected.length && (j === actual.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      diff.push('- ' + expected[i++]);
+    } else {
+      diff.push('+ ' + actual[j++]);
+    }
+  }
+  return diff;
+}
+
+/**
+ * Compare fresh output with the saved output of a cell
+ * @param {string} expected - Saved output text
+ * @param {string} actual - Fresh output text
+ * @param {Object} options - Comparison options
+ * @param {string|Array<string>} options.ignore - Patterns of lines to ignore on both sides
+ * @param {string} options.expect - Pattern the fresh output must match, instead of the saved output
+ * @returns {Object} - { passed, reason, diff }
+ */
+function compareOutput(expected, actual, options = {}) {
+  const ignorePatterns = compilePatterns(options.ignore);
+  const actualLines = normalizeOutput(actual, ignorePatterns);
+
+  if (options.expect !== undefined) {
+    const [pattern] = compilePatterns(options.expect);
+    const matched = new RegExp(pattern.source, 'm').test(actualLines.join('\n'));
+    return {
+      passed: matched,
+      reason: matched ? null : `Output does not match /${options.expect}/`,
+      diff: matched ? [] : actualLines.map(line => '+ ' + line)
+    };
+  }
+
+  const expectedLines = normalizeOutput(expected, ignorePatterns);
+  const passed = expectedLines.length === actualLines.length &&
+    expectedLines.every((line, index) => line === actualLines[index]);
+  return {
+    passed,
+    reason: passed ? null : 'Output differs from the saved output',
+    diff: passed ? [] : diffLines(expectedLines, actualLines)
+  };
+}
+
+module.exports = {
+  getOutputText,
+  normalizeOutput,
+  compilePatterns,
+  diffLines,
+  compareOutput
+};
\ No newline at end of file
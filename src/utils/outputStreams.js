@@ -0,0 +1,323 @@
+/**
+ * Utility functions for keeping the stdout and stderr of a cell apart while remembering the order
+ * the output arrived in, and for showing it as VS Code stdout/stderr outputs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const vscode = require('./vscodeApi');
+const { renderTerminalText, toPlainText } = require('./ansi');
+const { containsMarkdownPatterns } = require('./markdownDetector');
+const { parseJsonOutput, createJsonOutput } = require('./jsonOutput');
+
+/**
+ * Output item types VS Code shows as terminal output (stderr is styled as an error stream)
+ */
+const STDOUT_MIME = 'application/vnd.code.notebook.stdout';
+const STDERR_MIME = 'application/vnd.code.notebook.stderr';
+
+/**
+ * Output of a running cell: the chunks of both streams in arrival order
+ * Consecutive text of the same stream is kept in one chunk. Once the output grows past the line or size
+ * limit, only its beginning and end are kept, and the full output is written to a log file.
+ */
+class StreamOutput {
+  /**
+   * @param {Object} options - Output limits
+   * @param {number} options.maxLines - Lines to keep (half from the beginning, half from the end); 0 for no limit
+   * @param {number} options.maxSize - Characters to keep; 0 for no limit
+   * @param {Function} options.createLogFile - Returns the path of a new file for the full output (no log file if not given)
+   * @param {WorkflowCommandFilter} options.commands - Takes workflow commands out of received output (see receive)
+   */
+  constructor(options = {}) {
+    this.maxLines = options.maxLines || 0;
+    this.maxSize = options.maxSize || 0;
+    this.createLogFile = options.createLogFile || null;
+    this.commands = options.commands || null;
+    this.head = null; // Chunks before the truncated part, once output was truncated
+    this.chunks = []; // All chunks, or the chunks after the truncated part
+    this.lines = 0;
+    this.size = 0;
+    this.truncatedLines = 0;
+    this.logFile = null;
+    this.logFd = null;
+  }
+
+  /**
+   * Text of stdout that is kept
+   * @returns {string}
+   */
+  get stdout() {
+    return this.getText('stdout');
+  }
+
+  /**
+   * Text of stderr that is kept
+   * @returns {string}
+   */
+  get stderr() {
+    return this.getText('stderr');
+  }
+
+  /**
+   * Get the kept text of a stream
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @returns {string} - Text of the stream's chunks
+   */
+  getText(stream) {
+    return (this.head || []).concat(this.chunks).filter(chunk => chunk.stream === stream).map(chunk => chunk.text).join('');
+  }
+
+  /**
+   * Add output text
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {string} text - Received text
+   * @returns {boolean} - True if earlier output was dropped to stay within the limits
+   */
+  append(stream, text) {
+    if (!text) {
+      return false;
+    }
+    if (this.logFd !== null) {
+      fs.writeSync(this.logFd, text);
+    }
+    const last = this.chunks[this.chunks.length - 1];
+    if (last && last.stream === stream) {
+      last.text += text;
+    } else {
+      this.chunks.push({ stream, text });
+    }
+    this.lines += countLines(text);
+    this.size += text.length;
+
+    const overLimit = (this.maxLines > 0 && this.lines > this.maxLines) || (this.maxSize > 0 && this.size > this.maxSize);
+    if (overLimit) {
+      this.truncate();
+    }
+    return overLimit;
+  }
+
+  /**
+   * Add received output text, after taking out workflow commands and hiding masked values
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {string} text - Received text
+   * @returns {Object} - { text: the text that was added, truncated: true if earlier output was dropped }
+   */
+  receive(stream, text) {
+    const visible = this.commands ? this.commands.filter(stream, text) : text;
+    return { text: visible, truncated: this.append(stream, visible) };
+  }
+
+  /**
+   * Add the text held back as a possible workflow command (or the start of a masked value), once no more output follows
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @returns {Object} - { text: the text that was added to the stream, truncated }
+   */
+  flushCommands(stream = 'stdout') {
+    const text = this.commands ? this.commands.flush(stream) : '';
+    return { text, truncated: this.append(stream, text) };
+  }
+
+  /**
+   * Drop output from the middle: the first half of the limits is kept as the head, and the rest is cut
+   * from the front until it fits in the other half
+   */
+  truncate() {
+    const maxLines = Math.floor(this.maxLines / 2);
+    const maxSize = Math.floor(this.maxSize / 2);
+
+    if (!this.head) {
+      this.startLog();
+      const end = Math.min(maxLines > 0 ? findLineEnd(this.chunks, maxLines) : Infinity, maxSize > 0 ? maxSize : Infinity);
+      [this.head, this.chunks] = splitChunks(this.chunks, end);
+    }
+
+    // Cut after a line break where possible, so the kept end starts at the beginning of a line
+    const lines = this.chunks.reduce((total, chunk) => total + countLines(chunk.text), 0);
+    const size = this.chunks.reduce((total, chunk) => total + chunk.text.length, 0);
+    const start = Math.max(
+      maxLines > 0 && lines > maxLines ? findLineEnd(this.chunks, lines - maxLines) : 0,
+      maxSize > 0 && size > maxSize ? size - maxSize : 0);
+    const [dropped, kept] = splitChunks(this.chunks, start);
+    this.truncatedLines += dropped.reduce((total, chunk) => total + countLines(chunk.text), 0);
+    this.chunks = kept;
+
+    const all = this.head.concat(kept);
+    this.lines = all.reduce((total, chunk) => total + countLines(chunk.text), 0);
+    this.size = all.reduce((total, chunk) => total + chunk.text.length, 0);
+  }
+
+  /**
+   * Open the log file and write the output received so far
+   */
+  startLog() {
+    if (!this.createLogFile || this.logFd !== null) {
+      return;
+    }
+    try {
+      this.logFile = this.createLogFile();
+      fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+      this.logFd = fs.openSync(this.logFile, 'w');
+      fs.writeSync(this.logFd, this.chunks.map(chunk => chunk.text).join(''));
+    } catch (error) {
+      console.error('Failed to write the full output log:', error);
+      this.logFile = null;
+    }
+  }
+
+  /**
+   * Get the kept chunks, with a note where output was truncated
+   * @returns {Array<Object>} - Chunks with stream and text, in arrival order
+   */
+  getChunks() {
+    const chunks = this.chunks.map(chunk => ({ ...chunk }));
+    if (!this.head) {
+      return chunks;
+    }
+    const head = this.head.map(chunk => ({ ...chunk }));
+    const last = head[head.length - 1];
+    const newline = last && !last.text.endsWith('\n') ? '\n' : '';
+    const link = this.logFile ? ` \u2014 open full log: ${pathToFileURL(this.logFile).href}` : '';
+    return [...head, { stream: 'stdout', text: `${newline}[... ${this.truncatedLines} lines truncated${link}]\n` }, ...chunks];
+  }
+
+  /**
+   * Finish the output: close the log file
+   */
+  close() {
+    if (this.logFd !== null) {
+      fs.closeSync(this.logFd);
+      this.logFd = null;
+    }
+  }
+
+  /**
+   * Finish the output and build an execution result
+   * @param {number} exitCode - Exit code
+   * @returns {Object} - Execution result with stdout, stderr, chunks, exitCode and the full log file (if output was truncated),
+   *   plus the variables and annotations set by workflow commands (if commands are read)
+   */
+  toResult(exitCode) {
+    this.close();
+    const result = { stdout: this.stdout, stderr: this.stderr, chunks: this.getChunks(), exitCode, logFile: this.logFile };
+    return this.commands ? { ...result, ...this.commands.getResult() } : result;
+  }
+}
+
+/**
+ * Count the lines a text ends (its line breaks)
+ * @param {string} text - Text
+ * @returns {number} - Number of line breaks
+ */
+function countLines(text) {
+  let count = 0;
+  for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Find where the given number of lines ends in a list of chunks
+ * @param {Array<Object>} chunks - Chunks with stream and text
+ * @param {number} lines - Number of lines
+ * @returns {number} - Offset (in the joined text) just after the line break ending that line, or the total length
+ */
+function findLineEnd(chunks, lines) {
+  let offset = 0;
+  let remaining = lines;
+  for (const { text } of chunks) {
+    for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) {
+      if (--remaining === 0) {
+        return offset + index + 1;
+      }
+    }
+    offset += text.length;
+  }
+  return offset;
+}
+
+/**
+ * Split chunks at an offset in their joined text (a chunk is split in two if needed)
+ * @param {Array<Object>} chunks - Chunks with stream and text
+ * @param {number} offset - Offset in the joined text
+ * @returns {Array<Array<Object>>} - Chunks before and after the offset
+ */
+function splitChunks(chunks, offset) {
+  const before = [];
+  const after = [];
+  let position = 0;
+  for (const chunk of chunks) {
+    const cut = Math.min(Math.max(offset - position, 0), chunk.text.length);
+    if (cut > 0) {
+      before.push({ stream: chunk.stream, text: chunk.text.slice(0, cut) });
+    }
+    if (cut < chunk.text.length) {
+      after.push({ stream: chunk.stream, text: chunk.text.slice(cut) });
+    }
+    position += chunk.text.length;
+  }
+  return [before, after];
+}
+
+/**
+ * Add trailing double spaces to every line but the last, so markdown keeps the line breaks
+ * @param {string} text - Markdown text
+ * @returns {string} - Text with markdown line breaks
+ */
+function addMarkdownLineBreaks(text) {
+  const lines = text.split('\n');
+  return lines.map((line, index) => index < lines.length - 1 ? line + '  ' : line).join('\n');
+}
+
+/**
+ * Build the cell outputs for stdout and stderr chunks
+ * Each chunk becomes a stdout or stderr output, so warnings appear where they happened. Stdout that
+ * is a JSON object or array is shown as a collapsible tree, and stdout that looks like markdown (and
+ * has no colors) is shown rendered; either is followed by all of stderr.
+ * @param {Array<Object>} chunks - Chunks with stream and text, in arrival order
+ * @param {Object} metadata - Metadata for the first output (e.g. the execution record)
+ * @param {string} format - Output format of the cell: "json", "text" (never a JSON tree), or undefined to detect JSON
+ * @returns {Array<vscode.NotebookCellOutput>} - Cell outputs (at least one, so the metadata is kept)
+ */
+function createStreamOutputs(chunks, metadata, format) {
+  const join = (stream) => chunks.filter(chunk => chunk.stream === stream).map(chunk => chunk.text).join('');
+  const stdout = renderTerminalText(join('stdout'));
+
+  const json = format === 'text' ? undefined : parseJsonOutput(toPlainText(stdout));
+  if (json !== undefined) {
+    const stderr = join('stderr');
+    const outputs = [createJsonOutput(json, metadata, toPlainText(stdout))];
+    if (stderr) {
+      outputs.push(new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem.stderr(renderTerminalText(stderr))]));
+    }
+    return outputs;
+  }
+
+  let items;
+  if (stdout && !stdout.includes('\x1b') && containsMarkdownPatterns(stdout)) {
+    const stderr = join('stderr');
+    items = [vscode.NotebookCellOutputItem.text(addMarkdownLineBreaks(stdout), 'text/markdown')];
+    if (stderr) {
+      items.push(vscode.NotebookCellOutputItem.stderr(renderTerminalText(stderr)));
+    }
+  } else {
+    // Progress lines collapse to their final state; colors are kept for display
+    items = chunks.map(chunk => vscode.NotebookCellOutputItem[chunk.stream](renderTerminalText(chunk.text)));
+  }
+  if (items.length === 0) {
+    items.push(vscode.NotebookCellOutputItem.stdout(''));
+  }
+
+  return items.map((item, index) => new vscode.NotebookCellOutput([item], index === 0 ? metadata : undefined));
+}
+
+module.exports = {
+  StreamOutput,
+  STDOUT_MIME,
+  STDERR_MIME,
+  addMarkdownLineBreaks,
+  createStreamOutputs
+};
\ No newline at end of file
@@ -0,0 +1,139 @@
+const { spawn } = require('child_process');
+const os = require('os');
+
+/**
+ * Signals sent, in order, to stop a cell that is cancelled or times out
+ */
+const ESCALATION_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGKILL'];
+
+// Process groups started for cells, so they can be cleaned up when the extension or CLI shuts down
+const processGroups = new Set();
+
+/**
+ * Spawn a process in its own process group, so signals reach everything it starts
+ * (pipelines, `tail -f`, background jobs of the login shell)
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - Options for child_process.spawn
+ * @returns {ChildProcess} - The spawned process
+ */
+function spawnProcessGroup(command, args, options = {}) {
+  const child = spawn(command, args, { ...options, detached: process.platform !== 'win32' });
+  if (child.pid) {
+    processGroups.add(child.pid);
+    // Forget the group once nothing of it is left (a background job may outlive the leader)
+    child.on('exit', () => signalProcessGroup(child.pid, 0));
+  }
+  return child;
+}
+
+/**
+ * Send a signal to a process group
+ * @param {number} pid - Process id of the group leader
+ * @param {string|number} signal - Signal to send (0 only checks whether the group still exists)
+ * @returns {boolean} - False if no process of the group is left
+ */
+function signalProcessGroup(pid, signal) {
+  try {
+    if (process.platform === 'win32') {
+      process.kill(pid, signal);
+    } else {
+      process.kill(-pid, signal);
+    }
+    return true;
+  } catch (error) {
+    if (error.code === 'ESRCH') {
+      processGroups.delete(pid);
+    }
+    return false;
+  }
+}
+
+/**
+ * Stop a process group: SIGINT, then SIGTERM, then SIGKILL, waiting the grace period between signals
+ * Escalation continues while any process of the group is left, even after the group leader exited
+ * @param {ChildProcess} child - Process started with spawnProcessGroup
+ * @param {number} gracePeriod - Milliseconds to wait for the group to exit before the next signal
+ * @param {Function} onSignal - Called with the name of each signal sent
+ * @param {Function} interrupt - Sends the interrupt in place of SIGINT (e.g. Ctrl-C typed into a pseudo-terminal)
+ * @returns {Object} - Disposable that stops the escalation
+ */
+function terminateProcessGroup(child, gracePeriod, onSignal = () => { }, interrupt = null) {
+  let timer = null;
+
+  if (process.platform === 'win32') {
+    // No process groups on Windows: taskkill ends the process tree
+    spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' }).on('error', () => { });
+    onSignal('SIGKILL');
+    return { dispose: () => { } };
+  }
+
+  const sendSignal = (index) => {
+    timer = null;
+    if (!signalProcessGroup(child.pid, 0)) {
+      return;
+    }
+    if (index === 0 && interrupt) {
+      interrupt();
+    } else {
+      signalProcessGroup(child.pid, ESCALATION_SIGNALS[index]);
+    }
+    onSignal(ESCALATION_SIGNALS[index]);
+    if (index < ESCALATION_SIGNALS.length - 1) {
+      timer = setTimeout(() => sendSignal(index + 1), gracePeriod);
+    }
+  };
+  sendSignal(0);
+
+  return {
+    dispose: () => {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    }
+  };
+}
+
+/**
+ * Work out the exit code of a finished process, and a note on the signal that ended it
+ * @param {number|null} code - Exit code (null if the process was ended by a signal)
+ * @param {string|null} signal - Signal that ended the process
+ * @param {Array<string>} signalsSent - Signals sent to stop the process, in order
+ * @returns {Object} - { exitCode, note } (note is null if no signal was involved)
+ */
+function describeExit(code, signal, signalsSent) {
+  if (signal) {
+    // Shell convention: 128 + signal number
+    return { exitCode: 128 + (os.constants.signals[signal] || 0), note: `[Process ended by ${signal}]` };
+  }
+  if (signalsSent.length > 0) {
+    // The process handled the signal (e.g. Python's KeyboardInterrupt) and exited by itself
+    return { exitCode: code, note: `[Process exited with code ${code} after ${signalsSent[signalsSent.length - 1]}]` };
+  }
+  return { exitCode: code, note: null };
+}
+
+/**
+ * Kill every process group started for cells that is still running
+ * Used on shutdown, so cancelled or backgrounded commands are not left behind as orphans
+ * @returns {number} - Number of process groups that were still running
+ */
+function killAllProcessGroups() {
+  let count = 0;
+  for (const pid of Array.from(processGroups)) {
+    if (signalProcessGroup(pid, 'SIGKILL')) {
+      count++;
+    }
+  }
+  processGroups.clear();
+  return count;
+}
+
+module.exports = {
+  spawnProcessGroup,
+  signalProcessGroup,
+  terminateProcessGroup,
+  describeExit,
+  killAllProcessGroups
+};
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * Utility functions for secret variables: `{{secret:name}}` references (or a `secret:name` value in a
+ * VARIABLES table) take their value from the secret store, and every secret value that was loaded is
+ * hidden wherever output is shown, saved or logged, as are values a cell masked with `::add-mask::`
+ */
+
+/**
+ * Text shown in place of secret and masked values
+ */
+const MASK = '***';
+
+/**
+ * Secret values loaded from the secret store, by name (lowercase)
+ */
+const secretValues = new Map();
+
+/**
+ * Values masked by cells with `::add-mask::`, hidden for the rest of the session
+ */
+const maskedValues = new Set();
+
+/**
+ * Get the secret a reference or table value refers to
+ * @param {string} text - e.g. "secret:api-key"
+ * @returns {string|null} - Secret name (lowercase), or null if the text is not a secret reference
+ */
+function parseSecretReference(text) {
+  const match = /^secret:\s*([\w.-]+)$/i.exec(String(text).trim());
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Remember a secret value loaded from the secret store, so references resolve and output hides it
+ * @param {string} name - Secret name
+ * @param {string} value - Secret value
+ */
+function setSecretValue(name, value) {
+  secretValues.set(name.toLowerCase(), value);
+}
+
+/**
+ * Get a loaded secret value
+ * @param {string} name - Secret name
+ * @returns {string|undefined} - The value, or undefined if it was not loaded
+ */
+function getSecretValue(name) {
+  return secretValues.get(name.toLowerCase());
+}
+
+/**
+ * Forget a loaded secret value (after the secret was deleted)
+ * @param {string} name - Secret name
+ */
+function forgetSecretValue(name) {
+  secretValues.delete(name.toLowerCase());
+}
+
+/**
+ * Hide a value in all later output, as secret values are
+ * @param {string} value - Value to mask
+ */
+function addMaskedValue(value) {
+  if (value) {
+    maskedValues.add(value);
+  }
+}
+
+/**
+ * Hide loaded secret values and masked values in text
+ * @param {string} text - Text to show, save or log
+ * @returns {string} - Text with every secret and masked value replaced by ***
+ */
+function maskSecrets(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  // Longer values first, so a value containing another one is hidden completely
+  const values = getSecretValues().sort((a, b) => b.length - a.length);
+  return values.reduce((masked, value) => masked.split(value).join(MASK), text);
+}
+
+/**
+ * Get the loaded secret values and masked values, to hide them in output that arrives in pieces
+ * @returns {Array<string>} - Secret and masked values
+ */
+function getSecretValues() {
+  return [...new Set([...secretValues.values(), ...maskedValues])].filter(Boolean);
+}
+
+/**
+ * Check whether text contains a loaded secret value or a masked value
+ * @param {string} text - Text to save or share
+ * @returns {boolean} - True if any secret or masked value appears in the text
+ */
+function containsSecret(text) {
+  return typeof text === 'string' && getSecretValues().some(value => text.includes(value));
+}
+
+module.exports = {
+  MASK,
+  parseSecretReference,
+  setSecretValue,
+  getSecretValue,
+  forgetSecretValue,
+  addMaskedValue,
+  maskSecrets,
+  containsSecret,
+  getSecretValues
+};
\ No newline at end of file
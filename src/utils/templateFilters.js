@@ -0,0 +1,144 @@
+/**
+ * Utility functions for {{ }} expressions with a default and filters:
+ *   {{region ?? "us-east-1"}}          default when the variable is not defined
+ *   {{host | shellquote}}              filters, applied left to right
+ *   {{payload | json}}, {{token | base64}}, {{name | trim | upper}}
+ */
+
+/**
+ * Filters by name; each takes the value (a string) and returns the filtered string
+ */
+const FILTERS = {
+  shellquote: (value) => `'${value.replace(/'/g, '\'\\\'\'')}'`,
+  json: (value) => JSON.stringify(value),
+  base64: (value) => Buffer.from(value, 'utf8').toString('base64'),
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  trim: (value) => value.trim(),
+  // Substitute the value as it is, without the language-aware escaping
+  raw: (value) => value
+};
+
+/**
+ * Split an expression at a separator, outside quotes and brackets
+ * @param {string} text - Expression text
+ * @param {string} separator - Separator ('|' or '??'); '|' does not match inside '||'
+ * @returns {Array<string>} - Parts, not trimmed
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let quote = null;
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === ')') {
+      depth--;
+    } else if (depth === 0 && text.startsWith(separator, i) &&
+      (separator !== '|' || (text[i + 1] !== '|' && text[i - 1] !== '|'))) {
+      parts.push(text.slice(start, i));
+      start = i + separator.length;
+      i += separator.length - 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Parse a literal: a double-quoted (JSON) or single-quoted string, or a bare word or number taken as text
+ * @param {string} text - Literal text
+ * @returns {string} - The literal's value
+ * @throws {Error} - If a quoted string is not closed
+ */
+function parseLiteral(text) {
+  const literal = text.trim();
+  if (literal.startsWith('"')) {
+    try {
+      return String(JSON.parse(literal));
+    } catch (error) {
+      throw new Error(`Invalid string ${literal}`);
+    }
+  }
+  if (literal.startsWith('\'')) {
+    if (literal.length < 2 || !literal.endsWith('\'')) {
+      throw new Error(`Invalid string ${literal}`);
+    }
+    return literal.slice(1, -1).replace(/\\(['\\])/g, '$1');
+  }
+  return literal;
+}
+
+/**
+ * Parse the text between the braces into the variable reference, its filters and a default
+ * `a ?? "x"` is the same as `a | default("x")`.
+ * @param {string} expression - Text between the braces, e.g. 'region ?? "us-east-1" | upper'
+ * @returns {Object} - { reference, filters: Array<{ name, argument }> }
+ * @throws {Error} - For unknown filters and invalid defaults
+ */
+function parseTemplateExpression(expression) {
+  const [head, ...filterTexts] = splitTopLevel(expression, '|');
+  const [reference, ...fallbacks] = splitTopLevel(head, '??');
+  const filters = fallbacks.map(fallback => ({ name: 'default', argument: parseLiteral(fallback) }));
+
+  for (const filterText of filterTexts) {
+    const match = /^\s*([A-Za-z_]\w*)\s*(?:\(([\s\S]*)\))?\s*$/.exec(filterText);
+    if (!match) {
+      throw new Error(`Invalid filter '${filterText.trim()}'`);
+    }
+    const [, name, argument] = match;
+    if (name === 'default') {
+      if (argument === undefined) {
+        throw new Error('The default filter needs a value, e.g. default("us-east-1")');
+      }
+      filters.push({ name, argument: parseLiteral(argument) });
+    } else if (!FILTERS[name]) {
+      throw new Error(`Unknown filter '${name}' (available: default, ${Object.keys(FILTERS).join(', ')})`);
+    } else if (argument !== undefined) {
+      throw new Error(`The ${name} filter takes no arguments`);
+    } else {
+      filters.push({ name });
+    }
+  }
+  return { reference: reference.trim(), filters };
+}
+
+/**
+ * Apply filters to a value
+ * @param {string|undefined} value - Value of the variable (undefined if it is not defined)
+ * @param {Array<Object>} filters - Filters from parseTemplateExpression
+ * @returns {string|undefined} - The filtered value (undefined if the variable is not defined and there is no default)
+ */
+function applyFilters(value, filters) {
+  return filters.reduce((current, filter) => {
+    if (filter.name === 'default') {
+      return current === undefined ? filter.argument : current;
+    }
+    return current === undefined ? undefined : FILTERS[filter.name](current);
+  }, value);
+}
+
+/**
+ * Check whether an expression has a default for when its variable is not defined
+ * @param {Array<Object>} filters - Filters from parseTemplateExpression
+ * @returns {boolean} - True if one of the filters is a default
+ */
+function hasDefault(filters) {
+  return filters.some(filter => filter.name === 'default');
+}
+
+module.exports = {
+  parseTemplateExpression,
+  applyFilters,
+  hasDefault
+};
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * Utility functions for listing the variables a cell can use and where each one comes from
+ * (stored cell outputs, VARIABLES tables, front-matter parameters and secrets), for the Runbook Variables view
+ */
+
+const vscode = require('./vscodeApi');
+const {
+  parseVariableRows,
+  parseVariableTable,
+  getSecretNames,
+  getCellOutputScopes,
+  getOutputScope,
+  GLOBAL_SCOPE
+} = require('./variableProcessor');
+const { getRunbookParameters, getNotebookFrontMatter } = require('./frontMatter');
+const { buildDependencyGraph } = require('./dependencyGraph');
+const { parseSecretReference, getSecretValue } = require('./secrets');
+
+/**
+ * Find the cell that produced a stored output: the producer whose code is the stored source, or else the first producer
+ * @param {Object} graph - Dependency graph of the notebook
+ * @param {string} name - Variable name
+ * @param {string|null} source - Source code stored with the output
+ * @returns {number|null} - Cell index, or null if no cell of the notebook produces the variable
+ */
+function findProducer(graph, name, source) {
+  const producers = graph.producers.get(name) || [];
+  const exact = producers.find(index => graph.cells.get(index).document.getText() === source);
+  if (exact !== undefined) {
+    return exact;
+  }
+  return producers.length > 0 ? producers[0] : null;
+}
+
+/**
+ * Describe every variable a cell can use
+ * Lower-priority definitions of a name that is also defined with higher priority are included, marked as shadowed
+ * (cell outputs > VARIABLES tables > parameters; a runbook's own outputs > workspace-global ones).
+ * Secret values are never included.
+ * @param {vscode.NotebookDocument} notebook - The notebook document
+ * @param {number} cellIndex - Index of the selected cell (tables and parameters above it are visible)
+ * @returns {Object} - Lists of variables:
+ *   outputs: { name, value, global, storedAt, size, producerIndex, shadowed }
+ *   tables: { name, value (undefined until a prompt is answered, and for secret rows), raw, cellIndex, line, column, section, shadowed }
+ *   parameters: { name, value, shadowed }
+ *   secrets: { name, set }
+ */
+function describeVariables(notebook, cellIndex) {
+  const graph = buildDependencyGraph(notebook);
+  const scope = getOutputScope(notebook);
+  const stored = new Map(getCellOutputScopes().map(entry => [entry.scope, entry.entries]));
+  const defined = new Set();
+
+  const outputs = [];
+  for (const outputScope of scope === GLOBAL_SCOPE ? [GLOBAL_SCOPE] : [scope, GLOBAL_SCOPE]) {
+    for (const [name, entry] of stored.get(outputScope) || []) {
+      const global = outputScope === GLOBAL_SCOPE;
+      outputs.push({
+        name,
+        value: entry.value,
+        global,
+        storedAt: entry.storedAt,
+        size: Buffer.byteLength(entry.value),
+        producerIndex: findProducer(graph, name, entry.source),
+        shadowed: defined.has(name.toLowerCase())
+      });
+      defined.add(name.toLowerCase());
+    }
+  }
+
+  const values = parseVariableTable(notebook, cellIndex);
+  const tables = [...parseVariableRows(notebook, cellIndex)].map(([key, row]) => ({
+    name: row.name,
+    value: isSecretValue(row.value) ? undefined : values.get(key),
+    raw: row.value,
+    cellIndex: row.cellIndex,
+    line: row.line,
+    column: row.column,
+    section: row.section,
+    shadowed: defined.has(key)
+  }));
+  tables.forEach(row => defined.add(row.name.toLowerCase()));
+
+  const parameters = [...getRunbookParameters(getNotebookFrontMatter(notebook))].map(([name, value]) => ({
+    name,
+    value,
+    shadowed: defined.has(name.toLowerCase())
+  }));
+
+  // Secrets referenced by the cells up to the selected one, and by VARIABLES table rows above it
+  const cells = notebook.getCells().slice(0, cellIndex + 1).filter(cell => cell.kind === vscode.NotebookCellKind.Code);
+  const names = getSecretNames(cells.map(cell => cell.document.getText()).join('\n'), notebook, cellIndex);
+  const secrets = names.sort().map(name => ({ name, set: getSecretValue(name) !== undefined }));
+
+  return { outputs, tables, parameters, secrets };
+}
+
+/**
+ * Replace the value in a VARIABLES table row, keeping the spacing around it
+ * @param {string} line - The table row, e.g. "region | eu-west-1 | notes"
+ * @param {number} column - Index of the value column (as found by splitting the header at |)
+ * @param {string} value - New value (must not contain | or line breaks)
+ * @returns {string} - The row with the new value
+ */
+function replaceTableValue(line, column, value) {
+  if (/[|\r\n]/.test(value)) {
+    throw new Error('A table value cannot contain | or line breaks');
+  }
+  const cells = line.split('|');
+  if (column >= cells.length) {
+    throw new Error('The row has no value column');
+  }
+  const [, before, after] = /^(\s*)[\s\S]*?(\s*)$/.exec(cells[column]);
+  cells[column] = (before || ' ') + value + (after || (column < cells.length - 1 ? ' ' : ''));
+  return cells.join('|');
+}
+
+/**
+ * Check whether a table value is a `secret:name` reference (its value is shown masked)
+ * @param {string} raw - Value as written in the table
+ * @returns {boolean} - True for secret references
+ */
+function isSecretValue(raw) {
+  return parseSecretReference(raw) !== null;
+}
+
+module.exports = {
+  describeVariables,
+  replaceTableValue,
+  isSecretValue
+};
\ No newline at end of file
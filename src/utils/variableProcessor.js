@@ -1,39 +1,64 @@
 const path = require('path');
 const fs = require('fs');
+const { getRunbookParameters, getNotebookFrontMatter } = require('./frontMatter');
+const { parseVariablePath, resolveJsonPath, formatJsonValue } = require('./jsonOutput');
+const { parseTemplateExpression, applyFilters, hasDefault } = require('./templateFilters');
+const { getLanguageFamily, findLiteralContexts, escapeForContext } = require('./codeLiterals');
+const { parseSecretReference, getSecretValue } = require('./secrets');
 
-// Lazy load vscode to handle test environment
-let vscode = null;
-try {
-  vscode = require('vscode');
-} catch (error) {
-  // vscode module not available, likely in test environment
-  if (process.env.NODE_ENV === 'test' || require.main?.filename?.includes('test')) {
-    vscode = require('../../tests/vscode-mock');
-  }
-}
+const vscode = require('./vscodeApi');
+
+/**
+ * Scope of the workspace-global cell outputs (cells with @options {"global": true}, and values stored without a notebook)
+ */
+const GLOBAL_SCOPE = '';
 
 /**
- * Global storage for cell execution outputs indexed by their IDs
+ * Stored cell outputs by scope (the URI of the notebook that produced them, or GLOBAL_SCOPE), then by ID
+ * Each entry holds the value, the source code of the cell that produced it (to tell when it is stale) and when it was stored.
  */
 const cellOutputs = new Map();
 
 /**
- * Parse variable definitions from markdown tables in the notebook
- * Searches for tables under "## VARIABLES" headings and extracts name/value pairs
+ * Listeners called when stored cell outputs change
+ */
+const cellOutputListeners = [];
+
+/**
+ * Answers given to prompted variables, by notebook and variable name (lowercase)
+ */
+const promptedValues = new Map();
+
+/**
+ * Check whether a VARIABLES table row is left for the user to fill in when a cell needs it:
+ * its value is `?` or a `<placeholder>`, or it is empty and the row has choices
+ * @param {string} value - Value column of the row
+ * @param {Array<string>} choices - Choices of the row
+ * @returns {boolean} - True if the row is prompted for
+ */
+function isPromptedValue(value, choices) {
+  return value === '?' || /^<[^<>]*>$/.test(value) || (value === '' && choices.length > 0);
+}
+
+/**
+ * Parse the rows of the markdown tables under "## VARIABLES" headings in the notebook
  * @param {vscode.NotebookDocument} notebook - The notebook document to search
  * @param {number} currentCellIndex - Index of the current cell being evaluated
- * @returns {Map<string, string>} - Map of variable names (lowercase) to values
+ * @returns {Map<string, Object>} - Rows by variable name (lowercase): { name, value, choices, description }, and where
+ *   the row is: cellIndex, line (in the cell), column (of the value) and section (the heading the VARIABLES table belongs to)
  */
-function parseVariableTable(notebook, currentCellIndex) {
-  const variables = new Map();
+function parseVariableRows(notebook, currentCellIndex) {
+  const rows = new Map();
 
   if (!notebook || !notebook.getCells) {
-    return variables;
+    return rows;
   }
 
   // Iterate through all cells up to (but not including) the current cell
   const cells = notebook.getCells();
   const endIndex = currentCellIndex !== undefined ? currentCellIndex : cells.length;
+  // Last heading other than a VARIABLES heading
+  let section = '';
 
   for (let i = 0; i < endIndex; i++) {
     const cell = cells[i];
@@ -52,6 +77,10 @@ function parseVariableTable(notebook, currentCellIndex) {
 
       // Check if this is a VARIABLES heading
       if (!/^\s*#{1,6}\s+variables\s*$/i.test(line)) {
+        const heading = /^#{1,6}\s+(.*?)\s*#*$/.exec(line);
+        if (heading) {
+          section = heading[1];
+        }
         continue;
       }
 
@@ -73,6 +102,9 @@ function parseVariableTable(notebook, currentCellIndex) {
 
       const nameColIndex = headers.findIndex(h => h === 'name');
       const valueColIndex = headers.findIndex(h => h === 'value');
+      // Optional columns for prompted rows
+      const choicesColIndex = headers.findIndex(h => h === 'choices');
+      const descriptionColIndex = headers.findIndex(h => h === 'description' || h === 'notes');
 
       if (nameColIndex === -1 || valueColIndex === -1) {
         continue; // Required columns not found
@@ -99,20 +131,148 @@ function parseVariableTable(notebook, currentCellIndex) {
         if (cells.length > Math.max(nameColIndex, valueColIndex)) {
           const name = cells[nameColIndex];
           const value = cells[valueColIndex];
+          const choices = choicesColIndex !== -1 && cells[choicesColIndex]
+            ? cells[choicesColIndex].split(',').map(choice => choice.trim()).filter(Boolean)
+            : [];
+          const description = descriptionColIndex !== -1 ? cells[descriptionColIndex] || '' : '';
 
           if (name) {
             // Store with lowercase key for case-insensitive lookup
             // Last definition wins (we're iterating in order, so later definitions overwrite)
-            variables.set(name.toLowerCase(), value);
+            rows.set(name.toLowerCase(), { name, value, choices, description, cellIndex: i, line: rowIndex, column: valueColIndex, section });
           }
         }
       }
     }
   }
 
+  return rows;
+}
+
+/**
+ * Parse variable definitions from markdown tables in the notebook
+ * Searches for tables under "## VARIABLES" headings and extracts name/value pairs
+ * Prompted rows (see isPromptedValue) have the value entered for them, and are left out until one is entered;
+ * rows with a `secret:name` value have the value of that secret, once it is loaded.
+ * @param {vscode.NotebookDocument} notebook - The notebook document to search
+ * @param {number} currentCellIndex - Index of the current cell being evaluated
+ * @returns {Map<string, string>} - Map of variable names (lowercase) to values
+ */
+function parseVariableTable(notebook, currentCellIndex) {
+  const variables = new Map();
+  for (const [key, { value, choices }] of parseVariableRows(notebook, currentCellIndex)) {
+    const secret = parseSecretReference(value);
+    if (secret) {
+      // The value comes from the secret store (left out until the secret is loaded)
+      if (getSecretValue(secret) !== undefined) {
+        variables.set(key, getSecretValue(secret));
+      }
+    } else if (!isPromptedValue(value, choices)) {
+      variables.set(key, value);
+    } else if (promptedValues.has(getPromptKey(notebook, key))) {
+      variables.set(key, promptedValues.get(getPromptKey(notebook, key)));
+    }
+  }
   return variables;
 }
 
+/**
+ * Get the key an answer to a prompted variable is remembered under
+ * @param {vscode.NotebookDocument} notebook - The notebook document
+ * @param {string} name - Variable name
+ * @returns {string} - Key of the notebook and the variable
+ */
+function getPromptKey(notebook, name) {
+  const uri = notebook && notebook.uri ? notebook.uri.toString() : '';
+  return `${uri}\n${name.toLowerCase()}`;
+}
+
+/**
+ * Get the prompted variables a cell needs that have no value yet
+ * A variable is needed when the code refers to it (or, with `all`, when it is defined above the cell),
+ * unless a cell output of that name takes priority over the table.
+ * @param {string} code - Code of the cell (and text piped to its stdin)
+ * @param {vscode.NotebookDocument} notebook - The notebook document
+ * @param {number} currentCellIndex - Index of the cell
+ * @param {boolean} all - Include every prompted variable above the cell (for cells reading variables from their environment)
+ * @returns {Array<Object>} - Rows to prompt for: { name, value, choices, description }
+ */
+function getPendingPrompts(code, notebook, currentCellIndex, all = false) {
+  const referenced = new Set();
+  for (const match of code.matchAll(/\{\{([^}]+)\}\}/g)) {
+    try {
+      const { reference } = parseTemplateExpression(match[1]);
+      const path = parseVariablePath(reference);
+      referenced.add(reference.toLowerCase());
+      if (path) {
+        referenced.add(path.name.toLowerCase());
+      }
+    } catch (error) {
+      // Invalid expressions are reported when the code is substituted
+    }
+  }
+
+  const pending = [];
+  for (const [key, row] of parseVariableRows(notebook, currentCellIndex)) {
+    if (isPromptedValue(row.value, row.choices) && !promptedValues.has(getPromptKey(notebook, key)) &&
+      !findCellOutput(row.name, notebook) && (all || referenced.has(key))) {
+      pending.push(row);
+    }
+  }
+  return pending;
+}
+
+/**
+ * Get the secrets a cell needs: those it references as {{secret:name}}, and those VARIABLES table rows above it
+ * take their value from
+ * @param {string} code - Code of the cell (and text piped to its stdin)
+ * @param {vscode.NotebookDocument} notebook - The notebook document
+ * @param {number} currentCellIndex - Index of the cell
+ * @returns {Array<string>} - Secret names (lowercase)
+ */
+function getSecretNames(code, notebook, currentCellIndex) {
+  const names = new Set();
+  for (const match of code.matchAll(/\{\{([^}]+)\}\}/g)) {
+    try {
+      const secret = parseSecretReference(parseTemplateExpression(match[1]).reference);
+      if (secret) {
+        names.add(secret);
+      }
+    } catch (error) {
+      // Invalid expressions are reported when the code is substituted
+    }
+  }
+  for (const { value } of parseVariableRows(notebook, currentCellIndex).values()) {
+    const secret = parseSecretReference(value);
+    if (secret) {
+      names.add(secret);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Remember the value entered for a prompted variable
+ * @param {vscode.NotebookDocument} notebook - The notebook document
+ * @param {string} name - Variable name
+ * @param {string} value - Entered value
+ */
+function setPromptedValue(notebook, name, value) {
+  promptedValues.set(getPromptKey(notebook, name), value);
+}
+
+/**
+ * Forget the values entered for prompted variables, so they are asked for again
+ * @param {vscode.NotebookDocument} notebook - Only forget the values of this notebook (all if not given)
+ * @returns {number} - Number of values forgotten
+ */
+function clearPromptedValues(notebook = null) {
+  const prefix = notebook ? getPromptKey(notebook, '') : '';
+  const keys = [...promptedValues.keys()].filter(key => key.startsWith(prefix));
+  keys.forEach(key => promptedValues.delete(key));
+  return keys.length;
+}
+
 /**
  * Read file content from workspace relative path
  * @param {string} filePath - The relative file path
@@ -151,88 +311,404 @@ function readFileContent(filePath, notebook) {
   return content;
 }
 
+/**
+ * Look up a variable in the stored cell outputs, the VARIABLES tables and the front-matter parameters,
+ * or a loaded secret
+ * @param {string} variableName - Variable name
+ * @param {Map<string, string>} tableVariables - Variables from the VARIABLES tables
+ * @param {Map<string, string>} parameters - Parameters from the front matter
+ * @param {vscode.NotebookDocument} notebook - Notebook whose cell outputs are used (besides workspace-global ones)
+ * @returns {string|undefined} - The value, or undefined if the variable is not defined
+ */
+function lookupVariable(variableName, tableVariables, parameters, notebook) {
+  // Secrets have names of their own ({{secret:name}})
+  const secret = parseSecretReference(variableName);
+  if (secret) {
+    return getSecretValue(secret);
+  }
+  // Priority 1: Look for output in stored cell outputs (from @options {id: "var"} or ::set-var var=value:: lines),
+  // the notebook's own before workspace-global ones
+  const output = findCellOutput(variableName, notebook);
+  if (output) {
+    return output.value;
+  }
+  // Priority 2: Look for variable in markdown tables
+  if (tableVariables.has(variableName.toLowerCase())) {
+    return tableVariables.get(variableName.toLowerCase());
+  }
+  // Priority 3: Fall back to parameter defaults from the front matter
+  if (parameters.has(variableName.toLowerCase())) {
+    return parameters.get(variableName.toLowerCase());
+  }
+  return undefined;
+}
+
+/**
+ * Resolve a variable reference: a variable name, or a path into a variable holding JSON
+ * ({{pods.items[0].metadata.name}}, {{pods.items[*].metadata.name}}, {{pods..name}})
+ * A variable whose name itself contains dots or brackets is found before paths are tried.
+ * @param {string} expression - Text between the braces
+ * @param {Map<string, string>} tableVariables - Variables from the VARIABLES tables
+ * @param {Map<string, string>} parameters - Parameters from the front matter
+ * @param {vscode.NotebookDocument} notebook - Notebook whose cell outputs are used
+ * @returns {Object} - { value } (undefined if the variable is not defined), or { error } if the path cannot be followed;
+ *   `name` is the variable the expression refers to
+ */
+function resolveVariable(expression, tableVariables, parameters, notebook) {
+  const value = lookupVariable(expression, tableVariables, parameters, notebook);
+  const path = value === undefined ? parseVariablePath(expression) : null;
+  if (!path || path.segments.length === 0) {
+    return { value, name: expression };
+  }
+
+  const text = lookupVariable(path.name, tableVariables, parameters, notebook);
+  if (text === undefined) {
+    return { value: undefined, name: path.name };
+  }
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    return { error: `Variable '${path.name}' is not JSON, so {{${expression}}} cannot be resolved`, name: path.name };
+  }
+  try {
+    return { value: formatJsonValue(resolveJsonPath(json, path.segments, path.name)), name: path.name };
+  } catch (error) {
+    return { error: `Cannot resolve {{${expression}}}: ${error.message}`, name: path.name };
+  }
+}
+
+/**
+ * Get the current values of variables as a cell would see them
+ * @param {Array<string>} names - Variable names
+ * @param {vscode.NotebookDocument} notebook - The notebook document
+ * @param {number} currentCellIndex - Index of the cell
+ * @returns {Object<string, string|undefined>} - Values by variable name (undefined if not defined)
+ */
+function getVariableValues(names, notebook, currentCellIndex) {
+  const tableVariables = parseVariableTable(notebook, currentCellIndex);
+  const parameters = getRunbookParameters(getNotebookFrontMatter(notebook));
+  const values = {};
+  for (const name of names) {
+    values[name] = resolveVariable(name, tableVariables, parameters, notebook).value;
+  }
+  return values;
+}
+
+/**
+ * Get every variable a cell can use, with the same priority as {{variable}} lookups
+ * @param {vscode.NotebookDocument} notebook - The notebook document
+ * @param {number} currentCellIndex - Index of the cell
+ * @returns {Map<string, string>} - Values by variable name (table variables and parameters with lowercase names)
+ */
+function getAllVariables(notebook, currentCellIndex) {
+  const variables = new Map([
+    ...getRunbookParameters(getNotebookFrontMatter(notebook)),
+    ...parseVariableTable(notebook, currentCellIndex)
+  ]);
+  // Workspace-global outputs, then the notebook's own
+  for (const scope of new Set([GLOBAL_SCOPE, getOutputScope(notebook)])) {
+    for (const [name, { value }] of cellOutputs.get(scope) || []) {
+      variables.delete(name.toLowerCase());
+      variables.set(name, value);
+    }
+  }
+  return variables;
+}
+
+/**
+ * Get the text for one {{ }} placeholder
+ * @param {string} expression - Text between the braces
+ * @param {Object} state - notebook, tableVariables, parameters, errors and variables (both added to), and the
+ *   language family and literal context of the placeholder (if its value is escaped)
+ * @returns {string|undefined} - Replacement text, or undefined if the placeholder stays (with an error)
+ */
+function substituteExpression(expression, state) {
+  const { notebook, tableVariables, parameters, errors, variables, family, context } = state;
+  let parsed;
+  try {
+    parsed = parseTemplateExpression(expression);
+  } catch (error) {
+    errors.push(`Invalid expression {{${expression}}}: ${error.message}`);
+    return undefined;
+  }
+  const { reference, filters } = parsed;
+
+  // Check if variable name looks like a file path ending with .md (included as it is)
+  if (reference.endsWith('.md')) {
+    try {
+      return applyFilters(readFileContent(reference, notebook), filters);
+    } catch (error) {
+      errors.push(`Failed to read file '${reference}': ${error.message}`);
+      return undefined;
+    }
+  }
+
+  const { value, error, name } = resolveVariable(reference, tableVariables, parameters, notebook);
+  if (error && !hasDefault(filters)) {
+    errors.push(error);
+    return undefined;
+  }
+  variables[reference] = value;
+  const filtered = applyFilters(value, filters);
+  // Not found anywhere
+  if (filtered === undefined && parseSecretReference(reference)) {
+    errors.push(`Secret '${parseSecretReference(reference)}' is not set.`);
+    return undefined;
+  }
+  if (filtered === undefined) {
+    errors.push(`Variable '${name}' not found. Define it in a VARIABLES table, run a cell with @options {"id": "${name}"}, print ::set-var ${name}=value:: from a cell, or give a default with {{${name} ?? "value"}}.`);
+    return undefined;
+  }
+  const lastFilter = filters.length > 0 ? filters[filters.length - 1].name : undefined;
+  try {
+    return context ? escapeForContext(filtered, context, family, lastFilter) : filtered;
+  } catch (error) {
+    errors.push(`Cannot substitute {{${expression}}}: ${error.message}`);
+    return undefined;
+  }
+}
+
 /**
  * Process variable substitution in code
- * Replaces {{variable}} with outputs from cells that have matching @options.id
+ * Replaces {{variable}} with outputs from cells that have matching @options.id, or that set the variable
+ * with a `::set-var variable=value::` line; {{variable.path[0].key}} reaches into JSON values
  * For {{*.md}} patterns, reads file content from workspace relative path
- * Also checks for variables defined in markdown tables under "## VARIABLES" headings
+ * Also checks for variables defined in markdown tables under "## VARIABLES" headings,
+ * and for parameter defaults declared in the runbook front matter
+ * Expressions can have a default and filters: {{region ?? "us-east-1"}}, {{host | shellquote}}
+ * In bash, python and javascript cells, values are escaped to be safe literals where they are placed
+ * (unless the last filter is `raw`); other code and text get the values as they are.
  * @param {string} code - The code content
  * @param {vscode.NotebookDocument} notebook - The notebook document to search for cell IDs
  * @param {number} currentCellIndex - Index of the current cell being evaluated
- * @returns {Object} - Object containing processed code and any errors
+ * @param {string} languageId - Language of the code, for escaping values (none if not given)
+ * @returns {Object} - Object containing processed code, any errors, and the variable values used
  */
-function processVariableSubstitution(code, notebook, currentCellIndex) {
+function processVariableSubstitution(code, notebook, currentCellIndex, languageId) {
   const variablePattern = /\{\{([^}]+)\}\}/g;
   const errors = [];
-  let processedCode = code;
+  const variables = {};
 
   // Parse variable table from markdown cells (only cells before the current one)
   const tableVariables = parseVariableTable(notebook, currentCellIndex);
-
-  let match;
-  while ((match = variablePattern.exec(code)) !== null) {
-    const variableName = match[1];
-    const placeholder = match[0]; // {{variableName}}
-
-    // Check if variable name looks like a file path ending with .md
-    if (variableName.endsWith('.md')) {
-      try {
-        const replacement = readFileContent(variableName, notebook);
-        processedCode = processedCode.replace(placeholder, replacement);
-      } catch (error) {
-        errors.push(`Failed to read file '${variableName}': ${error.message}`);
-      }
-    } else {
-      // Priority 1: Look for output in stored cell outputs (from @options {id: "var"})
-      if (cellOutputs.has(variableName)) {
-        const output = cellOutputs.get(variableName);
-        processedCode = processedCode.replace(placeholder, output);
-      }
-      // Priority 2: Look for variable in markdown tables
-      else if (tableVariables.has(variableName.toLowerCase())) {
-        const value = tableVariables.get(variableName.toLowerCase());
-        processedCode = processedCode.replace(placeholder, value);
-      }
-      // Not found anywhere
-      else {
-        errors.push(`Variable '${variableName}' not found. Define it in a VARIABLES table or run a cell with @options {"id": "${variableName}"}.`);
-      }
-    }
+  const parameters = getRunbookParameters(getNotebookFrontMatter(notebook));
+
+  const placeholders = [...code.matchAll(variablePattern)].map(match => ({ index: match.index, length: match[0].length, expression: match[1] }));
+  const family = getLanguageFamily(languageId);
+  const contexts = family ? findLiteralContexts(code, placeholders, family) : new Map();
+
+  let processedCode = '';
+  let position = 0;
+  for (const { index, length, expression } of placeholders) {
+    const replacement = substituteExpression(expression, {
+      notebook, tableVariables, parameters, errors, variables, family, context: contexts.get(index)
+    });
+    processedCode += code.slice(position, index) + (replacement === undefined ? code.slice(index, index + length) : replacement);
+    position = index + length;
   }
+  processedCode += code.slice(position);
+
+  return { processedCode, errors, variables };
+}
 
-  return { processedCode, errors };
+/**
+ * Get the scope a notebook's cell outputs are stored in
+ * @param {vscode.NotebookDocument} notebook - The notebook document (null for the workspace-global scope)
+ * @returns {string} - Notebook URI, or GLOBAL_SCOPE for no notebook
+ */
+function getOutputScope(notebook) {
+  return notebook && notebook.uri ? notebook.uri.toString() : GLOBAL_SCOPE;
+}
+
+/**
+ * Find a stored cell output: the notebook's own output, or else a workspace-global one
+ * @param {string} id - The variable ID
+ * @param {vscode.NotebookDocument} notebook - The notebook document
+ * @returns {Object|undefined} - Entry with value, source and storedAt, or undefined if not found
+ */
+function findCellOutput(id, notebook) {
+  const scoped = cellOutputs.get(getOutputScope(notebook));
+  const global = cellOutputs.get(GLOBAL_SCOPE);
+  return (scoped && scoped.get(id)) || (global && global.get(id));
+}
+
+/**
+ * Call the listeners of stored cell output changes
+ */
+function fireCellOutputsChanged() {
+  cellOutputListeners.slice().forEach(listener => listener());
 }
 
 /**
  * Store output for variable substitution
  * @param {string} id - The variable ID
  * @param {string} output - The output to store
+ * @param {string} source - Source code of the cell that produced the output, if it came from a cell
+ * @param {vscode.NotebookDocument} notebook - Notebook the output belongs to (workspace-global if not given)
  */
-function storeCellOutput(id, output) {
-  cellOutputs.set(id, output);
+function storeCellOutput(id, output, source = null, notebook = null) {
+  const scope = getOutputScope(notebook);
+  if (!cellOutputs.has(scope)) {
+    cellOutputs.set(scope, new Map());
+  }
+  cellOutputs.get(scope).set(id, { value: output, source, storedAt: new Date().toISOString() });
+  fireCellOutputsChanged();
 }
 
 /**
  * Get stored cell output
  * @param {string} id - The variable ID
+ * @param {vscode.NotebookDocument} notebook - The notebook document (only workspace-global outputs if not given)
  * @returns {string|undefined} - The stored output or undefined if not found
  */
-function getCellOutput(id) {
-  return cellOutputs.get(id);
+function getCellOutput(id, notebook = null) {
+  const entry = findCellOutput(id, notebook);
+  return entry ? entry.value : undefined;
 }
 
 /**
- * Clear all stored cell outputs
+ * Get the source code of the cell that produced a stored output
+ * @param {string} id - The variable ID
+ * @param {vscode.NotebookDocument} notebook - The notebook document (only workspace-global outputs if not given)
+ * @returns {string|undefined} - The cell source, or undefined if the output did not come from a cell
+ */
+function getCellOutputSource(id, notebook = null) {
+  const entry = findCellOutput(id, notebook);
+  return entry && entry.source !== null ? entry.source : undefined;
+}
+
+/**
+ * Forget one stored cell output
+ * @param {string} id - The variable ID
+ * @param {vscode.NotebookDocument} notebook - Notebook the output belongs to (null for a workspace-global output)
+ * @returns {boolean} - True if the output was stored
+ */
+function deleteCellOutput(id, notebook = null) {
+  const entries = cellOutputs.get(getOutputScope(notebook));
+  if (!entries || !entries.delete(id)) {
+    return false;
+  }
+  fireCellOutputsChanged();
+  return true;
+}
+
+/**
+ * Get the stored cell outputs of every scope
+ * @returns {Array<Object>} - { scope: notebook URI or GLOBAL_SCOPE, entries: Map<id, {value, source, storedAt}> }
+ */
+function getCellOutputScopes() {
+  return [...cellOutputs].filter(([, entries]) => entries.size > 0).map(([scope, entries]) => ({ scope, entries: new Map(entries) }));
+}
+
+/**
+ * Copy the stored cell outputs of another scope into a notebook (existing outputs of the same ID are replaced)
+ * @param {string} scope - Scope to copy from (a notebook URI)
+ * @param {vscode.NotebookDocument} notebook - Notebook to copy to
+ * @returns {number} - Number of outputs copied
+ */
+function importCellOutputs(scope, notebook) {
+  const entries = cellOutputs.get(scope);
+  const target = getOutputScope(notebook);
+  if (!entries || entries.size === 0 || scope === target) {
+    return 0;
+  }
+  if (!cellOutputs.has(target)) {
+    cellOutputs.set(target, new Map());
+  }
+  for (const [id, entry] of entries) {
+    cellOutputs.get(target).set(id, { ...entry });
+  }
+  fireCellOutputsChanged();
+  return entries.size;
+}
+
+/**
+ * Clear stored cell outputs
+ * @param {vscode.NotebookDocument} notebook - Only clear this notebook's outputs (null for the workspace-global ones);
+ *   all outputs if not given
+ * @returns {number} - Number of outputs cleared
  */
-function clearCellOutputs() {
-  cellOutputs.clear();
+function clearCellOutputs(notebook = undefined) {
+  const scopes = notebook === undefined ? [...cellOutputs.keys()] : [getOutputScope(notebook)];
+  let count = 0;
+  for (const scope of scopes) {
+    count += cellOutputs.has(scope) ? cellOutputs.get(scope).size : 0;
+    cellOutputs.delete(scope);
+  }
+  if (count > 0) {
+    fireCellOutputsChanged();
+  }
+  return count;
+}
+
+/**
+ * Get the stored cell outputs as plain data, to persist them
+ * @returns {Object} - Entries ({value, source, storedAt}) by ID, by scope
+ */
+function exportCellOutputs() {
+  const data = {};
+  for (const { scope, entries } of getCellOutputScopes()) {
+    data[scope] = Object.fromEntries(entries);
+  }
+  return data;
+}
+
+/**
+ * Restore cell outputs persisted with exportCellOutputs (outputs stored since are kept)
+ * @param {Object} data - Entries by ID, by scope
+ */
+function restoreCellOutputs(data) {
+  for (const [scope, entries] of Object.entries(data || {})) {
+    const stored = cellOutputs.get(scope) || new Map();
+    for (const [id, entry] of Object.entries(entries || {})) {
+      if (!stored.has(id) && entry && typeof entry.value === 'string') {
+        stored.set(id, { value: entry.value, source: entry.source === undefined ? null : entry.source, storedAt: entry.storedAt || null });
+      }
+    }
+    cellOutputs.set(scope, stored);
+  }
+  fireCellOutputsChanged();
+}
+
+/**
+ * Listen for changes of the stored cell outputs
+ * @param {Function} listener - Called after outputs were stored, cleared, imported or restored
+ * @returns {Object} - Disposable that removes the listener
+ */
+function onDidChangeCellOutputs(listener) {
+  cellOutputListeners.push(listener);
+  return {
+    dispose: () => {
+      const index = cellOutputListeners.indexOf(listener);
+      if (index !== -1) {
+        cellOutputListeners.splice(index, 1);
+      }
+    }
+  };
 }
 
 module.exports = {
   processVariableSubstitution,
   parseVariableTable,
+  parseVariableRows,
+  getVariableValues,
+  getAllVariables,
+  getPendingPrompts,
+  getSecretNames,
+  setPromptedValue,
+  clearPromptedValues,
+  GLOBAL_SCOPE,
+  getOutputScope,
   storeCellOutput,
+  deleteCellOutput,
   getCellOutput,
+  getCellOutputSource,
+  getCellOutputScopes,
+  importCellOutputs,
   clearCellOutputs,
+  exportCellOutputs,
+  restoreCellOutputs,
+  onDidChangeCellOutputs,
   readFileContent
 };
\ No newline at end of file
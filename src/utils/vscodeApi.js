@@ -0,0 +1,20 @@
+/**
+ * Access to the vscode API for modules shared between the extension and the headless CLI
+ *
+ * Inside VS Code this is the real `vscode` module. Outside of it (the `runbook` CLI) a headless
+ * implementation of the small part of the API these modules use is returned instead.
+ */
+
+let vscode = null;
+try {
+  vscode = require('vscode');
+} catch (error) {
+  // vscode module not available - running in the test environment (NODE_ENV=test) or from the CLI
+  if (process.env.NODE_ENV === 'test') {
+    vscode = require('../../tests/vscode-mock');
+  } else {
+    vscode = require('../cli/headlessVscode');
+  }
+}
+
+module.exports = vscode;
\ No newline at end of file
@@ -0,0 +1,249 @@
+/**
+ * Utility functions for workflow commands: special stdout lines a cell prints to talk back to the notebook,
+ * in the style of GitHub Actions workflow commands
+ *   ::set-var name=value::         store a variable for {{name}} substitution
+ *   ::progress 40 Draining nodes::  report progress (percent and message)
+ *   ::warning::text, ::error::text  show an annotation on the cell
+ *   ::add-mask::secret              hide a value in all later output (of this and later cells, and saved runbooks)
+ */
+
+const vscode = require('./vscodeApi');
+const { MASK, maskSecrets, getSecretValues, addMaskedValue } = require('./secrets');
+
+/**
+ * Parse a line of stdout as a workflow command
+ * Both `::command params::` and `::command params::message` are accepted; lines that are not a known
+ * command are left to the output.
+ * @param {string} line - Output line (with or without its line break)
+ * @returns {Object|null} - { command: 'set-var', name, value }, { command: 'progress', percent, message },
+ *   { command: 'warning'|'error', message } or { command: 'add-mask', value }, or null for other lines
+ */
+function parseWorkflowCommand(line) {
+  const match = /^::([a-z][a-z-]*)(.*)$/.exec(line.replace(/\r?\n$/, '').replace(/\r$/, ''));
+  if (!match) {
+    return null;
+  }
+
+  const [, command, rest] = match;
+  let params;
+  let message;
+  if (rest.startsWith('::')) {
+    params = '';
+    message = rest.slice(2);
+  } else if (/^[ \t]/.test(rest) && rest.endsWith('::')) {
+    params = rest.slice(0, -2).trim();
+    message = '';
+  } else if (/^[ \t]/.test(rest) && rest.includes('::')) {
+    params = rest.slice(0, rest.indexOf('::')).trim();
+    message = rest.slice(rest.indexOf('::') + 2);
+  } else {
+    return null;
+  }
+
+  switch (command) {
+    case 'set-var': {
+      // ::set-var name=value:: or ::set-var name=NAME::value
+      if (message && params.startsWith('name=')) {
+        const name = params.slice('name='.length).trim();
+        return name ? { command, name, value: message } : null;
+      }
+      const equals = params.indexOf('=');
+      const name = equals > 0 ? params.slice(0, equals).trim() : '';
+      return name ? { command, name, value: params.slice(equals + 1) } : null;
+    }
+    case 'progress': {
+      const progress = /^(\d+(?:\.\d+)?)%?(?:\s+(.*))?$/.exec(params || message.trim());
+      if (!progress) {
+        return null;
+      }
+      return { command, percent: Math.min(Number(progress[1]), 100), message: (progress[2] || '').trim() };
+    }
+    case 'warning':
+    case 'error':
+      return { command, message: (message || params).trim() };
+    case 'add-mask': {
+      const value = message || params;
+      return value.trim() ? { command, value: value.trim() } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether the start of an unfinished line may still turn out to be a workflow command
+ * @param {string} text - Text since the last line break
+ * @returns {boolean} - True if the text starts like a command
+ */
+function mayBeCommand(text) {
+  return text.startsWith('::') || text === ':';
+}
+
+/**
+ * Takes workflow commands out of a cell's stdout and collects what they set
+ * Commands are only recognized on lines of their own. The start of a line that may be a command is held
+ * back until the line is complete; other text passes through right away, so prompts still show.
+ */
+class WorkflowCommandFilter {
+  /**
+   * @param {Object} options - Filter options
+   * @param {Function} options.onProgress - Called with the percent and message of each progress command
+   */
+  constructor(options = {}) {
+    this.onProgress = options.onProgress || (() => { });
+    this.variables = {};
+    this.annotations = [];
+    this.pending = '';
+    this.lineStart = true;
+    this.held = { stdout: '', stderr: '' }; // Ends of shown text that may be the start of a masked value
+  }
+
+  /**
+   * Filter received output text
+   * @param {string} stream - 'stdout' or 'stderr' (commands are only read from stdout)
+   * @param {string} text - Received text
+   * @returns {string} - Text to show, without commands and with masked values hidden
+   */
+  filter(stream, text) {
+    if (stream !== 'stdout') {
+      return this.release(stream, text);
+    }
+
+    let visible = '';
+    let rest = this.pending + text;
+    this.pending = '';
+    let index;
+    while ((index = rest.indexOf('\n')) !== -1) {
+      const line = rest.slice(0, index + 1);
+      rest = rest.slice(index + 1);
+      if (!this.lineStart || !this.handleLine(line)) {
+        visible += line;
+      }
+      this.lineStart = true;
+    }
+    if (rest) {
+      if (this.lineStart && mayBeCommand(rest)) {
+        this.pending = rest;
+      } else {
+        visible += rest;
+        this.lineStart = false;
+      }
+    }
+    return this.release(stream, visible);
+  }
+
+  /**
+   * Mask text to show, holding back its end while it may be the start of a masked value whose rest is
+   * still to come (a value split across two reads would otherwise not be found in either)
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {string} text - Text to show
+   * @returns {string} - Masked text that can be shown now
+   */
+  release(stream, text) {
+    const masked = this.mask(this.held[stream] + text);
+    let keep = 0;
+    for (const value of getSecretValues()) {
+      for (let length = Math.min(value.length - 1, masked.length); length > keep; length--) {
+        if (value.startsWith(masked.slice(masked.length - length))) {
+          keep = length;
+          break;
+        }
+      }
+    }
+    this.held[stream] = masked.slice(masked.length - keep);
+    return masked.slice(0, masked.length - keep);
+  }
+
+  /**
+   * Finish the output of a stream: the text held back is shown after all, and on stdout a held-back line
+   * without a line break is handled as a command first
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @returns {string} - Text to show
+   */
+  flush(stream = 'stdout') {
+    let rest = '';
+    if (stream === 'stdout' && this.pending && !this.handleLine(this.pending)) {
+      rest = this.pending;
+      this.lineStart = false;
+    }
+    if (stream === 'stdout') {
+      this.pending = '';
+    }
+    const text = this.mask(this.held[stream] + rest);
+    this.held[stream] = '';
+    return text;
+  }
+
+  /**
+   * Run the command on a line
+   * @param {string} line - Complete output line
+   * @returns {boolean} - True if the line was a command (and is not shown)
+   */
+  handleLine(line) {
+    const command = parseWorkflowCommand(line);
+    if (!command) {
+      return false;
+    }
+    switch (command.command) {
+      case 'set-var':
+        this.variables[command.name] = command.value;
+        break;
+      case 'progress':
+        this.onProgress(command.percent, this.mask(command.message));
+        break;
+      case 'warning':
+      case 'error':
+        this.annotations.push({ level: command.command, message: this.mask(command.message) });
+        break;
+      case 'add-mask':
+        addMaskedValue(command.value);
+        break;
+    }
+    return true;
+  }
+
+  /**
+   * Hide masked values and secret values in text
+   * @param {string} text - Output text
+   * @returns {string} - Text with every masked value replaced by ***
+   */
+  mask(text) {
+    return maskSecrets(text);
+  }
+
+  /**
+   * Get what the commands set
+   * @returns {Object} - { variables: Object<string, string>, annotations: Array<{level, message}> }
+   */
+  getResult() {
+    return { variables: { ...this.variables }, annotations: this.annotations.slice() };
+  }
+}
+
+/**
+ * Build the cell outputs that show warning and error annotations
+ * @param {Array<Object>} annotations - Annotations with level ('warning' or 'error') and message
+ * @returns {Array<vscode.NotebookCellOutput>} - One error-styled output per annotation, marked as annotation
+ */
+function createAnnotationOutputs(annotations) {
+  return (annotations || []).map(({ level, message }) => new vscode.NotebookCellOutput([
+    vscode.NotebookCellOutputItem.error({ name: level === 'error' ? 'Error' : 'Warning', message, stack: '' })
+  ], { annotation: level }));
+}
+
+/**
+ * Check whether a cell output shows an annotation (these are saved in the execution record, not the output block)
+ * @param {vscode.NotebookCellOutput} output - Cell output
+ * @returns {boolean} - True for annotation outputs
+ */
+function isAnnotationOutput(output) {
+  return Boolean(output && output.metadata && output.metadata.annotation);
+}
+
+module.exports = {
+  MASK,
+  WorkflowCommandFilter,
+  parseWorkflowCommand,
+  createAnnotationOutputs,
+  isAnnotationOutput
+};
\ No newline at end of file
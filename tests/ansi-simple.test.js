@@ -0,0 +1,100 @@
+/**
+ * Simple tests for terminal output rendering and pseudo-terminal execution
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const vscode = require('./vscode-mock');
+const { renderTerminalText, toPlainText, hasTerminalSequences } = require('../src/utils/ansi');
+const { NotebookSerializer } = require('../src/core/notebookSerializer');
+const { CodeExecutor } = require('../src/services/codeExecutor');
+const { CellExecutor } = require('../src/core/cellExecutor');
+
+console.log('Running ANSI tests...\n');
+
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+const ESC = '\x1b';
+
+async function runAll() {
+  // Test 1: Ordinary output is left alone (apart from CRLF line endings)
+  await runTest('Leave plain output unchanged', () => {
+    assert.equal(hasTerminalSequences('line 1\r\nline 2\n'), false);
+    assert.equal(renderTerminalText('line 1\r\nline 2\n'), 'line 1\nline 2\n');
+    assert.equal(renderTerminalText(''), '');
+  });
+
+  // Test 2: Carriage-return progress lines and cursor movements collapse to what a terminal shows
+  await runTest('Apply carriage returns and cursor movements', () => {
+    assert.equal(toPlainText('Downloading 10%\rDownloading 55%\rDownloading 100%\ndone\n'), 'Downloading 100%\ndone\n');
+    assert.equal(toPlainText(`step 1\nworking...${ESC}[1A\r${ESC}[2Kstep 1 ok\n`), 'step 1 ok\nworking...');
+    assert.equal(toPlainText(`abc\x08\x08X\n${ESC}]8;;https://example.com${ESC}\\link${ESC}]8;;${ESC}\\${ESC}[?25l`), 'aXc\nlink');
+  });
+
+  // Test 3: Colors are kept (normalized) for display and dropped for plain text
+  await runTest('Keep or strip colors', () => {
+    const raw = `${ESC}[90m0s${ESC}[39m${ESC}[0m ${ESC}[38;2;206;173;73m┃ ${ESC}[1mUser${ESC}[22m${ESC}[39m\n`;
+    assert.equal(toPlainText(raw), '0s ┃ User\n');
+    assert.equal(renderTerminalText(raw),
+      `${ESC}[90m0s${ESC}[0m ${ESC}[38;2;206;173;73m┃ ${ESC}[0m${ESC}[1;38;2;206;173;73mUser${ESC}[0m\n`);
+  });
+
+  // Test 4: Saved runbooks get plain text
+  await runTest('Strip escape codes when saving outputs', () => {
+    const serializer = new NotebookSerializer();
+    const cell = new vscode.NotebookCellData(vscode.NotebookCellKind.Code, 'ls --color', 'bash');
+    cell.outputs = [new vscode.NotebookCellOutput([
+      vscode.NotebookCellOutputItem.text(`${ESC}[1;34mdocs${ESC}[0m\n50%\r100%\n`, 'text/plain')
+    ])];
+    const markdown = serializer.serializeCodeCell(cell);
+    assert.ok(!markdown.includes(ESC));
+    assert.ok(markdown.includes('docs  \n100%  \n'));
+  });
+
+  // Test 5: tty cells run under a pseudo-terminal
+  await runTest('Run a cell under a pseudo-terminal', async () => {
+    if (process.platform === 'win32') {
+      return; // No pseudo-terminals on Windows
+    }
+    const executor = new CodeExecutor();
+    const result = await executor.executeCode('[ -t 1 ] && echo "tty $(tput cols)"\nexit 3', 'bash', null, { tty: true, timeout: 10 });
+    assert.equal(result.exitCode, 3);
+    assert.ok(toPlainText(result.stdout).includes('tty 120'), result.stdout);
+
+    const plain = await executor.executeCode('[ -t 1 ] || echo "no tty"', 'bash', null, { timeout: 10 });
+    assert.ok(plain.stdout.includes('no tty'));
+  });
+
+  // Test 6: tty cells run in their own process, also in runbooks that use shell sessions and kernels
+  await runTest('Run tty cells outside sessions', () => {
+    const executor = new CellExecutor();
+    const settings = { getSession: () => 'default' };
+    assert.equal(executor.getSessionName('bash', {}, settings), 'default');
+    assert.equal(executor.getSessionName('bash', { tty: true }, settings), '');
+    assert.equal(executor.getSessionName('python', { tty: true, session: 'etl' }, settings), '');
+  });
+
+  console.log('\n✅ All ANSI tests passed!');
+}
+
+runAll().catch(() => {
+  process.exit(1);
+});
\ No newline at end of file
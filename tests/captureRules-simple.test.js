@@ -0,0 +1,155 @@
+/**
+ * Simple tests for `capture` rules (regular expressions that set variables from a cell's output)
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('./vscode-mock');
+const { applyCaptureRules, getCaptureNames } = require('../src/utils/captureRules');
+const { buildDependencyGraph, resolveExecutionOrder } = require('../src/utils/dependencyGraph');
+const { RunbookRunner } = require('../src/cli/runner');
+const { clearCellOutputs, getCellOutput, storeCellOutput } = require('../src/utils/variableProcessor');
+
+console.log('Running CaptureRules tests...\n');
+
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Writable stream stand-in that collects what is written
+ */
+function createCapture() {
+  const capture = { text: '' };
+  capture.write = (chunk) => {
+    capture.text += chunk;
+  };
+  return capture;
+}
+
+/**
+ * Create a mock notebook from bash cell sources
+ */
+function createNotebook(sources) {
+  const cells = sources.map((source, index) => ({
+    index,
+    kind: vscode.NotebookCellKind.Code,
+    metadata: {},
+    document: { languageId: 'bash', getText: () => source }
+  }));
+  return { getCells: () => cells };
+}
+
+const status = 'Cluster status\nLeader: node-2 term=17\nFollowers: node-1, node-3\nendpoint 10.0.0.5:2379\n';
+
+async function runAll() {
+  // Test 1: Each rule sets its variable from the first group (or the whole match); named groups are variables too
+  await runTest('Apply capture rules', () => {
+    const { values, warnings } = applyCaptureRules(status, {
+      leader: 'Leader: (\\S+)',
+      term: 'term=(\\d+)',
+      followers: '^Followers: .*$',
+      endpoint: 'endpoint (?<host>[\\d.]+):(?<port>\\d+)'
+    });
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(values, {
+      leader: 'node-2',
+      term: '17',
+      followers: 'Followers: node-1, node-3',
+      endpoint: '10.0.0.5',
+      host: '10.0.0.5',
+      port: '2379'
+    });
+  });
+
+  // Test 2: Rules that do not match or do not compile are warnings; the other rules still apply
+  await runTest('Warn about rules that do not match', () => {
+    const { values, warnings } = applyCaptureRules(status, { leader: 'Leader: (\\S+)', learner: 'Learner: (\\S+)', bad: 'term=(\\d+' });
+    assert.deepEqual(values, { leader: 'node-2' });
+    assert.equal(warnings.length, 2);
+    assert.equal(warnings[0], "Capture 'learner' did not match the output: /Learner: (\\S+)/");
+    assert.ok(warnings[1].startsWith("Capture 'bad' has an invalid pattern: "), warnings[1]);
+
+    assert.deepEqual(applyCaptureRules(status, ['Leader: (\\S+)']).warnings, ['The capture option must map variable names to regular expressions']);
+  });
+
+  // Test 3: Captured variables have the cell as their producer
+  await runTest('Run the cell capturing a variable first', () => {
+    clearCellOutputs();
+    assert.deepEqual(getCaptureNames({ endpoint: '(?<host>\\S+):(?<port>\\d+)' }), ['endpoint', 'host', 'port']);
+
+    const producer = '# @options {"id": "status", "capture": {"leader": "Leader: (\\\\S+)", "endpoint": "(?<host>\\\\S+):2379"}}\netcdctl endpoint status';
+    const notebook = createNotebook([producer, 'ssh {{leader}} uptime', 'curl {{host}}']);
+    const graph = buildDependencyGraph(notebook);
+    assert.deepEqual(graph.produces.get(0), ['status', 'leader', 'endpoint', 'host']);
+    assert.deepEqual(resolveExecutionOrder(graph, 1), [0, 1]);
+
+    // The producer runs again while any of its variables is missing
+    for (const name of ['status', 'leader', 'endpoint']) {
+      storeCellOutput(name, 'x', producer);
+    }
+    assert.deepEqual(resolveExecutionOrder(graph, 2), [0, 2]);
+    storeCellOutput('host', '10.0.0.5', producer);
+    assert.deepEqual(resolveExecutionOrder(graph, 2), [2]);
+    clearCellOutputs();
+  });
+
+  // Test 4: After a successful run the captures are stored; a rule that did not match is a warning on the cell
+  await runTest('Store captures of a running cell', async () => {
+    clearCellOutputs();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runbook-capture-'));
+    const file = path.join(dir, 'failover.runbook.md');
+    try {
+      fs.writeFileSync(file, [
+        '```javascript',
+        '// @options {"capture": {"leader": "Leader: (\\\\S+)", "term": "term=(\\\\d+)", "learner": "Learner: (\\\\S+)"}}',
+        'console.log("Leader: node-2 term=17");',
+        '```',
+        '',
+        '```javascript',
+        'console.log("stepping down {{leader}} at term {{term}}");',
+        '```',
+        ''
+      ].join('\n'));
+      const stdout = createCapture();
+      const stderr = createCapture();
+      const result = await new RunbookRunner({ stdout, stderr }).run(file);
+
+      assert.equal(result.success, true);
+      assert.equal(getCellOutput('term', { uri: { toString: () => `file://${file}` } }), '17');
+      assert.equal(stdout.text, 'Leader: node-2 term=17\nstepping down node-2 at term 17\n');
+      assert.ok(stderr.text.includes("Warning: Capture 'learner' did not match the output: /Learner: (\\S+)/\n"), stderr.text);
+
+      const saved = fs.readFileSync(file, 'utf8');
+      assert.ok(saved.includes(`"annotations":[{"level":"warning","message":"Capture 'learner' did not match the output: /Learner: (\\\\S+)/"}]`), saved);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+      clearCellOutputs();
+    }
+  });
+
+  console.log('\n✅ All CaptureRules tests passed!');
+}
+
+runAll().catch(() => {
+  process.exit(1);
+});
\ No newline at end of file
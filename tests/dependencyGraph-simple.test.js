@@ -0,0 +1,112 @@
+/**
+ * Simple unit tests for dependency-aware cell execution
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const vscode = require('./vscode-mock');
+const { buildDependencyGraph, resolveExecutionOrder } = require('../src/utils/dependencyGraph');
+const { storeCellOutput, clearCellOutputs } = require('../src/utils/variableProcessor');
+
+console.log('Running DependencyGraph tests...\n');
+
+function runTest(testName, testFn) {
+  try {
+    testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Create a mock notebook from cell sources (strings are bash cells, objects give kind and language)
+ */
+function createNotebook(sources) {
+  const cells = sources.map((source, index) => ({
+    index,
+    kind: source.markdown ? vscode.NotebookCellKind.Markup : vscode.NotebookCellKind.Code,
+    metadata: {},
+    document: {
+      languageId: source.markdown ? 'markdown' : 'bash',
+      getText: () => source.markdown || source
+    }
+  }));
+  return { getCells: () => cells };
+}
+
+const notebook = createNotebook([
+  { markdown: '## Pods {{not_a_variable}}' },
+  '# @options {"id": "namespace"}\necho default',
+  '# @options {"id": "pods"}\nkubectl get pods -n {{namespace}}',
+  'echo "{{pods}} in {{namespace}} ({{env}}) {{notes.md}}"'
+]);
+
+// Test 1: Producers and consumers are collected from code cells only
+runTest('Build the dependency graph', () => {
+  const graph = buildDependencyGraph(notebook);
+  assert.deepEqual([...graph.producers], [['namespace', [1]], ['pods', [2]]]);
+  assert.deepEqual(graph.consumes.get(2), ['namespace']);
+  assert.deepEqual(graph.consumes.get(3), ['pods', 'namespace', 'env']);
+  assert.equal(graph.consumes.has(0), false);
+});
+
+// Test 2: Missing producers run first, in dependency order
+runTest('Run missing producers in order', () => {
+  clearCellOutputs();
+  assert.deepEqual(resolveExecutionOrder(buildDependencyGraph(notebook), 3), [1, 2, 3]);
+});
+
+// Test 3: Producers with a stored output are skipped, unless their code changed since
+runTest('Skip fresh producers and re-run stale ones', () => {
+  clearCellOutputs();
+  const cells = notebook.getCells();
+  storeCellOutput('namespace', 'default', cells[1].document.getText());
+  storeCellOutput('pods', 'pod-a', cells[2].document.getText());
+  assert.deepEqual(resolveExecutionOrder(buildDependencyGraph(notebook), 3), [3]);
+
+  // The namespace cell changed - it and everything downstream of it runs again
+  storeCellOutput('namespace', 'default', 'echo old');
+  assert.deepEqual(resolveExecutionOrder(buildDependencyGraph(notebook), 3), [1, 2, 3]);
+
+  // Values that did not come from a cell (e.g. set on the command line) are never stale
+  storeCellOutput('namespace', 'prod');
+  assert.deepEqual(resolveExecutionOrder(buildDependencyGraph(notebook), 3), [3]);
+});
+
+// Test 4: Cycles are reported with the path
+runTest('Report dependency cycles', () => {
+  clearCellOutputs();
+  const cyclic = createNotebook([
+    '# @options {"id": "a"}\necho {{b}}',
+    '# @options {"id": "b"}\necho {{a}}',
+    'echo {{a}}'
+  ]);
+  assert.throws(() => resolveExecutionOrder(buildDependencyGraph(cyclic), 2),
+    /Dependency cycle: Cell 1 needs \{\{b\}\} → Cell 2 needs \{\{a\}\} → Cell 1/);
+});
+
+// Test 5: A variable produced by more than one cell is ambiguous
+runTest('Report ambiguous producers', () => {
+  clearCellOutputs();
+  const ambiguous = createNotebook([
+    '# @options {"id": "host"}\necho a',
+    '# @options {"id": "host"}\necho b',
+    'ping {{host}}'
+  ]);
+  assert.throws(() => resolveExecutionOrder(buildDependencyGraph(ambiguous), 2),
+    /Variable 'host' needed by Cell 3 is produced by more than one cell: Cell 1, Cell 2/);
+});
+
+console.log('\n✅ All DependencyGraph tests passed!');
\ No newline at end of file
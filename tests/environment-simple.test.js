@@ -0,0 +1,164 @@
+/**
+ * Simple tests for environment variables of cells (RUNBOOK_VAR_<NAME> and the runbook context)
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('./vscode-mock');
+const { toEnvironmentName, getVariableEnvironment, getContextEnvironment } = require('../src/utils/environment');
+const { RunbookRunner } = require('../src/cli/runner');
+const { clearCellOutputs } = require('../src/utils/variableProcessor');
+
+console.log('Running Environment tests...\n');
+
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Writable stream stand-in that collects what is written
+ */
+function createCapture() {
+  const capture = { text: '' };
+  capture.write = (chunk) => {
+    capture.text += chunk;
+  };
+  return capture;
+}
+
+/**
+ * Write a runbook to a temporary directory and run it with the CLI runner
+ */
+async function runRunbook(lines) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runbook-env-'));
+  const file = path.join(dir, 'env.runbook.md');
+  try {
+    fs.writeFileSync(file, lines.join('\n'));
+    const stdout = createCapture();
+    const stderr = createCapture();
+    const result = await new RunbookRunner({ stdout, stderr }).run(file);
+    return { result, stdout: stdout.text, stderr: stderr.text, file };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAll() {
+  // Test 1: Variables are exported as RUNBOOK_VAR_<NAME>, and under mapped names as well
+  await runTest('Build variable environment', () => {
+    assert.equal(toEnvironmentName('db-host.primary'), 'RUNBOOK_VAR_DB_HOST_PRIMARY');
+    const variables = new Map([['region', 'eu-west-1'], ['token', 's3cret']]);
+    assert.deepEqual(getVariableEnvironment(variables, false), {});
+    assert.deepEqual(getVariableEnvironment(variables, true), { RUNBOOK_VAR_REGION: 'eu-west-1', RUNBOOK_VAR_TOKEN: 's3cret' });
+    assert.deepEqual(getVariableEnvironment(variables, { Region: 'AWS_REGION', missing: 'NOPE' }),
+      { RUNBOOK_VAR_REGION: 'eu-west-1', RUNBOOK_VAR_TOKEN: 's3cret', AWS_REGION: 'eu-west-1' });
+  });
+
+  // Test 2: The context names the runbook, the cell, the run and the heading of the step
+  await runTest('Build context environment', () => {
+    const cells = [
+      { kind: vscode.NotebookCellKind.Markup, document: { getText: () => '# Failover\n\n## Step 2: Promote replica ##\ntext' } },
+      { kind: vscode.NotebookCellKind.Code, document: { getText: () => '# not a heading' } },
+      { kind: vscode.NotebookCellKind.Code, document: { getText: () => 'echo' } }
+    ];
+    const notebook = { uri: { fsPath: '/runbooks/failover.md' }, getCells: () => cells };
+    assert.deepEqual(getContextEnvironment(notebook, 2, 'abc'), {
+      RUNBOOK_PATH: '/runbooks/failover.md',
+      RUNBOOK_CELL_INDEX: '2',
+      RUNBOOK_RUN_ID: 'abc',
+      RUNBOOK_STEP: 'Step 2: Promote replica'
+    });
+    assert.equal(getContextEnvironment({ getCells: () => cells }, 0, 'abc').RUNBOOK_STEP, '');
+  });
+
+  // Test 3: With `env` on, cells read variables from their environment; the code itself does not change
+  await runTest('Export variables to cells', async () => {
+    clearCellOutputs();
+    const { result, stdout } = await runRunbook([
+      '---',
+      'env: {region: AWS_REGION}',
+      '---',
+      '',
+      '## VARIABLES',
+      '',
+      'name | value',
+      '-|-',
+      'region | eu-west-1',
+      'greeting | it\'s "quoted" $HOME',
+      '',
+      '## Check region',
+      '',
+      '```bash {id=zone}',
+      'echo "$AWS_REGION-b"',
+      '```',
+      '',
+      '```bash',
+      'printf "%s|%s|%s|%s|%s\\n" "$RUNBOOK_VAR_REGION" "$RUNBOOK_VAR_ZONE" "$RUNBOOK_VAR_GREETING" "$RUNBOOK_STEP" "$RUNBOOK_CELL_INDEX"',
+      '```',
+      '',
+      '```bash {env=false}',
+      'echo "${RUNBOOK_VAR_REGION:-off} $(basename "$RUNBOOK_PATH")"',
+      '```',
+      '',
+      '```javascript',
+      'console.log(process.env.RUNBOOK_VAR_ZONE, process.env.RUNBOOK_RUN_ID.length);',
+      '```',
+      ''
+    ]);
+    assert.equal(result.success, true);
+    assert.equal(stdout, 'eu-west-1-b\neu-west-1|eu-west-1-b|it\'s "quoted" $HOME|Check region|2\noff env.runbook.md\neu-west-1-b 16\n');
+    clearCellOutputs();
+  });
+
+  // Test 4: Shell sessions and kernels get the variables of each cell too
+  await runTest('Export variables to sessions', async () => {
+    clearCellOutputs();
+    const { result, stdout } = await runRunbook([
+      '---',
+      'env: true',
+      'session: true',
+      '---',
+      '',
+      '```bash {id=node}',
+      'echo "node-3"',
+      '```',
+      '',
+      '```bash',
+      'echo "draining $RUNBOOK_VAR_NODE from cell ${RUNBOOK_CELL_INDEX}"',
+      '```',
+      '',
+      '```javascript',
+      'console.log(`kernel sees ${process.env.RUNBOOK_VAR_NODE}`);',
+      '```',
+      ''
+    ]);
+    assert.equal(result.success, true);
+    assert.equal(stdout, 'node-3\ndraining node-3 from cell 2\nkernel sees node-3\n');
+    clearCellOutputs();
+  });
+
+  console.log('\n✅ All Environment tests passed!');
+}
+
+runAll().catch(() => {
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Simple tests for JSON outputs and {{variable.path}} access
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const vscode = require('./vscode-mock');
+const { parseVariablePath, resolveJsonPath, renderJsonTree } = require('../src/utils/jsonOutput');
+const { processVariableSubstitution, storeCellOutput, clearCellOutputs } = require('../src/utils/variableProcessor');
+const { buildDependencyGraph, resolveExecutionOrder } = require('../src/utils/dependencyGraph');
+const { createStreamOutputs, STDERR_MIME } = require('../src/utils/outputStreams');
+const { NotebookSerializer } = require('../src/core/notebookSerializer');
+const { getOutputText } = require('../src/utils/outputComparer');
+
+console.log('Running JsonOutput tests...\n');
+
+function runTest(testName, testFn) {
+  try {
+    testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Create a mock notebook from bash cell sources
+ */
+function createNotebook(sources) {
+  const cells = sources.map((source, index) => ({
+    index,
+    kind: vscode.NotebookCellKind.Code,
+    metadata: {},
+    document: { languageId: 'bash', getText: () => source }
+  }));
+  return { getCells: () => cells };
+}
+
+const pods = {
+  kind: 'PodList',
+  items: [
+    { metadata: { name: 'web-1', labels: { 'app.kubernetes.io/name': 'web' } }, status: { phase: 'Running' } },
+    { metadata: { name: 'db-1' }, status: { phase: 'Pending' } }
+  ]
+};
+
+// Test 1: Paths are split into the variable name and segments
+runTest('Parse variable paths', () => {
+  assert.deepEqual(parseVariablePath('pods.items[0].metadata.name'), {
+    name: 'pods',
+    segments: [{ type: 'key', key: 'items' }, { type: 'index', index: 0 }, { type: 'key', key: 'metadata' }, { type: 'key', key: 'name' }]
+  });
+  assert.deepEqual(parseVariablePath('pods.items[*]["status"]..phase').segments,
+    [{ type: 'key', key: 'items' }, { type: 'all' }, { type: 'key', key: 'status' }, { type: 'descendant', key: 'phase' }]);
+  assert.deepEqual(parseVariablePath('target'), { name: 'target', segments: [] });
+  assert.equal(parseVariablePath('pods.items[0'), null);
+});
+
+// Test 2: Paths follow keys, indices and wildcards; errors name the segment that is missing
+runTest('Resolve paths in JSON values', () => {
+  const resolve = (path) => resolveJsonPath(pods, parseVariablePath(path).segments, 'pods');
+  assert.equal(resolve('pods.items[-1].metadata.name'), 'db-1');
+  assert.equal(resolve('pods.items[0].metadata.labels["app.kubernetes.io/name"]'), 'web');
+  assert.deepEqual(resolve('pods.items[*].metadata.name'), ['web-1', 'db-1']);
+  assert.deepEqual(resolve('pods..phase'), ['Running', 'Pending']);
+
+  assert.throws(() => resolve('pods.items[0].metadata.nmae'), /'nmae' not found in pods\.items\[0\]\.metadata \(available: name, labels\)/);
+  assert.throws(() => resolve('pods.items[5]'), /Index \[5\] is out of range for pods\.items \(2 items\)/);
+  assert.throws(() => resolve('pods.items.metadata'), /Cannot read 'metadata' of pods\.items: it is an array/);
+});
+
+// Test 3: {{id.path}} substitutes values from JSON outputs; strings as they are, the rest as JSON
+runTest('Substitute paths into JSON outputs', () => {
+  clearCellOutputs();
+  storeCellOutput('pods', JSON.stringify(pods));
+  storeCellOutput('text', 'not json');
+  const notebook = createNotebook([]);
+
+  const result = processVariableSubstitution('kubectl logs {{pods.items[0].metadata.name}} # {{pods.items[1].status}}', notebook, 0);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.processedCode, 'kubectl logs web-1 # {"phase":"Pending"}');
+  assert.deepEqual(result.variables, { 'pods.items[0].metadata.name': 'web-1', 'pods.items[1].status': '{"phase":"Pending"}' });
+
+  const errors = processVariableSubstitution('{{pods.items[0].meta}} {{text.length}} {{nodes.items}}', notebook, 0).errors;
+  assert.equal(errors.length, 3);
+  assert.ok(errors[0].startsWith("Cannot resolve {{pods.items[0].meta}}: 'meta' not found in pods.items[0]"), errors[0]);
+  assert.equal(errors[1], "Variable 'text' is not JSON, so {{text.length}} cannot be resolved");
+  assert.ok(errors[2].startsWith("Variable 'nodes' not found."));
+  clearCellOutputs();
+});
+
+// Test 4: A path depends on the cell producing its variable
+runTest('Run the producer of a JSON path first', () => {
+  clearCellOutputs();
+  const notebook = createNotebook([
+    '# @options {"id": "pods", "format": "json"}\nkubectl get pods -o json',
+    'kubectl logs {{pods.items[0].metadata.name}}'
+  ]);
+  assert.deepEqual(resolveExecutionOrder(buildDependencyGraph(notebook), 1), [0, 1]);
+});
+
+// Test 5: JSON stdout is shown as a tree and saved as a json block with the text as printed
+runTest('Show and save JSON outputs', () => {
+  const text = '{"items": [{"name": "web-1"}], "kind": "<List>"}\n';
+  const outputs = createStreamOutputs([{ stream: 'stdout', text }, { stream: 'stderr', text: 'deprecated flag\n' }], { execution: { exitCode: 0 } });
+  assert.deepEqual(outputs[0].items.map(item => item.mime), ['text/plain', 'text/html']);
+  assert.deepEqual(outputs[0].metadata, { execution: { exitCode: 0 }, format: 'json' });
+  assert.equal(outputs[1].items[0].mime, STDERR_MIME);
+  assert.equal(createStreamOutputs([{ stream: 'stdout', text }], undefined, 'text')[0].items[0].mime, 'application/vnd.code.notebook.stdout');
+
+  const html = renderJsonTree(JSON.parse(text));
+  assert.ok(html.includes('<details open><summary>{ 2 keys }</summary>'));
+  assert.ok(html.includes('&quot;&lt;List&gt;&quot;'));
+
+  const serializer = new NotebookSerializer();
+  const cell = new vscode.NotebookCellData(vscode.NotebookCellKind.Code, 'kubectl get pods -o json', 'bash');
+  cell.outputs = createStreamOutputs([{ stream: 'stdout', text }]);
+  const markdown = serializer.serializeCodeCell(cell);
+  assert.equal(markdown, '```bash\nkubectl get pods -o json\n```\n\n**Output:**\n```json\n' + text.replace('\n', '  \n') + '```\n\n');
+
+  const restored = serializer.deserializeNotebook(new TextEncoder().encode(markdown)).cells[0].outputs;
+  assert.deepEqual(restored[0].metadata, { format: 'json' });
+  assert.equal(getOutputText(restored), getOutputText(cell.outputs));
+  assert.equal(new TextDecoder().decode(serializer.serializeNotebook({ cells: [{ ...cell, outputs: restored }] })), markdown);
+});
+
+console.log('\n✅ All JsonOutput tests passed!');
\ No newline at end of file
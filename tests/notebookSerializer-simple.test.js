@@ -0,0 +1,272 @@
+/**
+ * Simple unit tests for NotebookSerializer round-tripping
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vscode = require('./vscode-mock');
+const { NotebookSerializer } = require('../src/core/notebookSerializer');
+
+console.log('Running NotebookSerializer tests...\n');
+
+function runTest(testName, testFn) {
+  try {
+    testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+const serializer = new NotebookSerializer();
+
+function deserialize(text) {
+  return serializer.deserializeNotebook(new TextEncoder().encode(text));
+}
+
+function roundTrip(text) {
+  return new TextDecoder().decode(serializer.serializeNotebook(deserialize(text)));
+}
+
+function outputText(output) {
+  return new TextDecoder().decode(output.items[0].data);
+}
+
+// Test 1: Plain output block is restored as a text/plain output
+runTest('Restore plain output block', () => {
+  const data = deserialize('# Title\n\n```bash\necho hi\n```\n\n**Output:**\n```\nhi  \nthere  \n```\n\n## Next\n');
+
+  assert.equal(data.cells.length, 3);
+  const codeCell = data.cells[1];
+  assert.equal(codeCell.value, 'echo hi');
+  assert.equal(codeCell.outputs.length, 1);
+  assert.equal(codeCell.outputs[0].items[0].mime, 'text/plain');
+  assert.equal(outputText(codeCell.outputs[0]), 'hi\nthere\n');
+  assert.equal(data.cells[2].value, '## Next\n');
+});
+
+// Test 2: Markdown output block keeps the markdown MIME type
+runTest('Restore markdown output block', () => {
+  const data = deserialize('```bash\necho "# hi"\n```\n\n**Output:**\n```markdown\n# hi  \n```\n');
+
+  const output = data.cells[0].outputs[0];
+  assert.equal(output.items[0].mime, 'text/markdown');
+  assert.equal(outputText(output), '# hi\n');
+});
+
+// Test 3: Error outputs written by serializeOutput become error outputs again
+runTest('Restore error output block', () => {
+  const data = deserialize('```bash\nexit 1\n```\n\n**Output:**\n```\nError: Command failed with exit code 1\nboom\n```\n');
+
+  const item = data.cells[0].outputs[0].items[0];
+  assert.equal(item.mime, 'application/vnd.code.notebook.error');
+  const error = JSON.parse(new TextDecoder().decode(item.data));
+  assert.equal(error.message, 'Command failed with exit code 1');
+  assert.equal(error.stack, 'boom');
+});
+
+// Test 4: **Output:** text that does not follow a code block stays markdown
+runTest('Keep unrelated **Output:** text as markdown', () => {
+  const text = 'Some notes\n\n**Output:**\n```\nnot a cell output\n```\n';
+  const data = deserialize(text);
+
+  assert.equal(data.cells[0].kind, vscode.NotebookCellKind.Markup);
+  assert.equal(roundTrip(text), text);
+});
+
+// Test 5: Open and save gives back the same bytes
+runTest('Round-trip is byte-for-byte stable', () => {
+  const samples = [
+    '# Title\n\n```bash\necho hi\n```\n\n**Output:**\n```\nhi  \n```\n\n## Next\n\ntext\n',
+    '```bash\nexit 1\n```\n\n**Output:**\n```\nError: Command failed with exit code 1\nboom\n\n```\n',
+    '```bash\necho "# hi"\n```\n\n**Output:**\n```markdown\n# hi    \nend  \n```\n\n\n\n',
+    '```bash\nuptime\n```\n```js\nconsole.log(1)\n```\n## Tight\n',
+    '# No trailing newline',
+    '# Windows\r\n\r\n```bash\r\necho hi\r\n```\r\n\r\n**Output:**\r\n```\r\nhi  \r\n```\r\n'
+  ];
+  for (const sample of samples) {
+    assert.equal(roundTrip(sample), sample);
+  }
+});
+
+// Test 6: Example runbooks survive a round trip unchanged
+runTest('Example runbooks round-trip unchanged', () => {
+  const dir = path.join(__dirname, '..', 'example-runbooks');
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.md'))) {
+    const text = fs.readFileSync(path.join(dir, file), 'utf8');
+    assert.equal(roundTrip(text), text, `${file} changed after round-trip`);
+  }
+});
+
+// Test 7: Info string attributes are parsed into cell metadata
+runTest('Parse info string attributes', () => {
+  const data = deserialize('```bash {id=pods timeout=60 cwd="/var/log" .k8s}\nkubectl get pods\n```\n');
+
+  const cell = data.cells[0];
+  assert.equal(cell.languageId, 'bash');
+  assert.equal(cell.value, 'kubectl get pods');
+  assert.deepEqual(cell.metadata.attributes, { id: 'pods', timeout: 60, cwd: '/var/log', tags: ['k8s'] });
+});
+
+// Test 8: Info strings are written back exactly, and regenerated after edits
+runTest('Serialize info string attributes', () => {
+  const text = '```bash {#pods  timeout=60}\nkubectl get pods\n```\n';
+  assert.equal(roundTrip(text), text);
+
+  const data = deserialize(text);
+  data.cells[0].metadata.attributes = { ...data.cells[0].metadata.attributes, timeout: 90 };
+  const saved = new TextDecoder().decode(serializer.serializeNotebook(data));
+  assert.equal(saved, '```bash {id=pods timeout=90}\nkubectl get pods\n```\n');
+});
+
+// Test 9: Longer fences and tildes wrap fenced examples
+runTest('Parse nested and tilde fences', () => {
+  const data = deserialize('````markdown\n```bash\nls\n```\n````\n\n~~~bash\necho "```"\n~~~\n');
+
+  assert.equal(data.cells.length, 2);
+  assert.equal(data.cells[0].languageId, 'markdown');
+  assert.equal(data.cells[0].value, '```bash\nls\n```');
+  assert.equal(data.cells[1].languageId, 'bash');
+  assert.equal(data.cells[1].value, 'echo "```"');
+});
+
+// Test 10: Fences inside list items stay markdown
+runTest('Keep fences inside list items as markdown', () => {
+  const text = '1. Run this:\n\n   ```bash\n   ls\n   ```\n2. Or this:\n   ~~~\n   ```\n   ~~~\n\n```bash\nuptime\n```\n';
+  const data = deserialize(text);
+
+  assert.equal(data.cells.length, 2);
+  assert.equal(data.cells[0].kind, vscode.NotebookCellKind.Markup);
+  assert.equal(data.cells[1].value, 'uptime');
+  assert.equal(roundTrip(text), text);
+});
+
+// Test 11: Indented fences strip their indentation from the code
+runTest('Strip fence indentation from code', () => {
+  const text = '  ```bash\n  echo hi\n    indented\n  ```\n';
+  const data = deserialize(text);
+
+  assert.equal(data.cells[0].value, 'echo hi\n  indented');
+  assert.equal(roundTrip(text), text);
+});
+
+// Test 12: Serializer picks a fence longer than any fence in the content
+runTest('Choose a fence long enough for the content', () => {
+  const cell = new vscode.NotebookCellData(vscode.NotebookCellKind.Code, 'cat <<EOF\n```\nEOF', 'bash');
+  cell.outputs = [new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem.text('```\n', 'text/plain')])];
+  const saved = new TextDecoder().decode(serializer.serializeNotebook(new vscode.NotebookData([cell])));
+
+  assert.equal(saved, '````bash\ncat <<EOF\n```\nEOF\n````\n\n**Output:**\n````\n```  \n````\n\n');
+  const data = deserialize(saved);
+  assert.equal(data.cells.length, 1);
+  assert.equal(data.cells[0].value, 'cat <<EOF\n```\nEOF');
+  assert.equal(outputText(data.cells[0].outputs[0]), '```\n');
+});
+
+// Test 13: YAML front matter becomes notebook metadata and is written back unchanged
+runTest('Parse front matter into notebook metadata', () => {
+  const text = '---\ntitle: Failover  # shown in the header\nowner: dba-oncall\ntags: [postgres, paging]\ntimeout: 120\nparameters:\n  env: staging\n---\n\n# Failover\n';
+  const data = deserialize(text);
+
+  assert.equal(data.cells.length, 1);
+  assert.equal(data.cells[0].value, '\n# Failover\n');
+  assert.deepEqual(data.metadata.runbook, {
+    title: 'Failover',
+    owner: 'dba-oncall',
+    tags: ['postgres', 'paging'],
+    timeout: 120,
+    parameters: { env: 'staging' }
+  });
+  assert.equal(roundTrip(text), text);
+});
+
+// Test 14: Front matter overrides runbook-notebook.* settings for that runbook only
+runTest('Override settings from front matter', () => {
+  const { configuration } = require('../src/constants');
+  const data = deserialize('---\ntimeout: 120\nsettings:\n  output.enableMarkdownRendering: false\n---\n');
+  const settings = configuration.forNotebook({ metadata: data.metadata });
+
+  assert.equal(settings.getDefaultExecutionTimeout(), 120);
+  assert.equal(settings.getEnableMarkdownRendering(), false);
+  assert.equal(configuration.getDefaultExecutionTimeout(), 30);
+});
+
+// Test 15: Invalid front matter is left in the markdown, with a warning that its settings are ignored
+runTest('Keep invalid front matter as markdown', () => {
+  const text = '---\njust: [unterminated\n---\n# Title\n';
+  const warnings = [];
+  const showWarningMessage = vscode.window.showWarningMessage;
+  vscode.window.showWarningMessage = (message) => warnings.push(message);
+  let data;
+  try {
+    data = deserialize(text);
+  } finally {
+    vscode.window.showWarningMessage = showWarningMessage;
+  }
+
+  assert.equal(warnings.length, 1);
+  assert.ok(warnings[0].startsWith('Invalid runbook front matter, its settings are ignored: '), warnings[0]);
+  assert.equal(data.metadata.runbook, undefined);
+  assert.equal(data.cells[0].kind, vscode.NotebookCellKind.Markup);
+  assert.equal(roundTrip(text), text);
+});
+
+// Test 16: Execution records are restored into cell metadata, execution summary and output metadata
+runTest('Restore execution record', () => {
+  const record = '{"exitCode":0,"durationMs":1500,"timestamp":"2026-01-02T03:04:05.000Z","user":"oncall","codeHash":"sha256:abc"}';
+  const text = '```bash\nuptime\n```\n\n<!-- runbook:execution ' + record + ' -->\n**Output:**\n```\nup 3 days  \n```\n\n';
+  const data = deserialize(text);
+
+  const cell = data.cells[0];
+  assert.equal(cell.metadata.execution.exitCode, 0);
+  assert.equal(cell.metadata.execution.user, 'oncall');
+  assert.equal(cell.executionSummary.success, true);
+  assert.equal(cell.executionSummary.timing.endTime - cell.executionSummary.timing.startTime, 1500);
+  assert.equal(cell.outputs[0].metadata.execution.codeHash, 'sha256:abc');
+  assert.equal(roundTrip(text), text);
+});
+
+// Test 17: Mixed line endings are parsed line by line and saved with the more common ending
+runTest('Round-trip mixed line endings', () => {
+  const mostlyLf = '# Title\r\n\n```bash\necho hi\n```\n\ntext\n';
+  const data = deserialize(mostlyLf);
+  assert.deepEqual(data.cells.map(cell => cell.kind), [vscode.NotebookCellKind.Markup, vscode.NotebookCellKind.Code, vscode.NotebookCellKind.Markup]);
+  assert.equal(data.cells[1].value, 'echo hi');
+  assert.equal(roundTrip(mostlyLf), mostlyLf.replace(/\r\n/g, '\n'));
+
+  const mostlyCrlf = '# Title\r\n\r\n```bash\necho hi\r\n```\r\n';
+  assert.equal(deserialize(mostlyCrlf).cells[1].value, 'echo hi');
+  assert.equal(roundTrip(mostlyCrlf), mostlyCrlf.replace(/\r?\n/g, '\r\n'));
+});
+
+
+// Test 18: Fences indented as code blocks, and unclosed fences in list items, do not swallow the cells after them
+runTest('End fences that are not code cells at their container', () => {
+  const indented = '    ```bash\n    echo indented\n\nText\n\n```bash\necho real\n```\n';
+  let data = deserialize(indented);
+  assert.deepEqual(data.cells.map(cell => cell.kind), [vscode.NotebookCellKind.Markup, vscode.NotebookCellKind.Code]);
+  assert.equal(data.cells[1].value, 'echo real');
+  assert.equal(roundTrip(indented), indented);
+
+  const unclosed = '- Step one\n  ```bash\n  echo in list\n\nAfter the list\n\n```bash\necho real\n```\n';
+  data = deserialize(unclosed);
+  assert.deepEqual(data.cells.map(cell => cell.kind), [vscode.NotebookCellKind.Markup, vscode.NotebookCellKind.Code]);
+  assert.ok(data.cells[0].value.includes('After the list'));
+  assert.equal(data.cells[1].value, 'echo real');
+  assert.equal(roundTrip(unclosed), unclosed);
+});
+
+console.log('\n🎉 All NotebookSerializer tests passed!');
\ No newline at end of file
@@ -92,4 +92,14 @@ runTest('Handle empty code', () => {
   assert.equal(result.cleanedCode, '');
 });
 
+// Test 7: Merge info string attributes with @options
+runTest('Merge info string attributes with @options', () => {
+  const code = '# @options {"timeout": 10}\necho "hello"';
+
+  const result = parseOptionsFromCode(code, 'bash', { id: 'greeting', timeout: 60 });
+
+  assert.deepEqual(result.options, { id: 'greeting', timeout: 10 });
+  assert.equal(result.cleanedCode, 'echo "hello"');
+});
+
 console.log('\n🎉 All OptionsParser tests passed!');
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * Simple unit tests for the output comparison used by runbook verification
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const vscode = require('./vscode-mock');
+const { getOutputText, compareOutput } = require('../src/utils/outputComparer');
+
+console.log('Running OutputComparer tests...\n');
+
+function runTest(testName, testFn) {
+  try {
+    testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+// Test 1: Output text matches the saved block, without markdown line-break spaces
+runTest('Get output text as saved', () => {
+  const outputs = [
+    new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem.text('# Title  \nbody', 'text/markdown')])
+  ];
+  assert.equal(getOutputText(outputs), '# Title\nbody\n');
+
+  const errors = [
+    new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem.error({ name: 'ExecutionError', message: 'Command failed with exit code 1', stack: 'boom' })])
+  ];
+  assert.equal(getOutputText(errors), 'Error: Command failed with exit code 1\nboom\n');
+});
+
+// Test 2: Line endings and trailing whitespace do not count as differences
+runTest('Ignore line endings and trailing whitespace', () => {
+  const result = compareOutput('one  \r\ntwo\r\n\r\n', 'one\ntwo\n');
+  assert.equal(result.passed, true);
+  assert.deepEqual(result.diff, []);
+});
+
+// Test 3: Mismatches come with a line diff
+runTest('Report a line diff for mismatches', () => {
+  const result = compareOutput('a\nb\nc\n', 'a\nx\nc\nd\n');
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.diff, ['  a', '- b', '+ x', '  c', '+ d']);
+});
+
+// Test 4: Ignore patterns drop non-deterministic lines on both sides
+runTest('Ignore lines matching patterns', () => {
+  const expected = 'started at 10:01\nok\n';
+  const actual = 'started at 11:42\nok\n';
+  assert.equal(compareOutput(expected, actual).passed, false);
+  assert.equal(compareOutput(expected, actual, { ignore: '^started at ' }).passed, true);
+  assert.equal(compareOutput(expected, actual, { ignore: ['^nothing', '\\d\\d:\\d\\d'] }).passed, true);
+});
+
+// Test 5: expect replaces the comparison with a regex match on the fresh output
+runTest('Match fresh output against expect', () => {
+  assert.equal(compareOutput('old', 'pods: 3\nready', { expect: '^pods: \\d+$' }).passed, true);
+
+  const result = compareOutput('', 'pods: none', { expect: '^pods: \\d+$' });
+  assert.equal(result.passed, false);
+  assert.equal(result.reason, 'Output does not match /^pods: \\d+$/');
+});
+
+// Test 6: Invalid patterns are reported
+runTest('Reject invalid patterns', () => {
+  assert.throws(() => compareOutput('a', 'a', { ignore: '(' }), /Invalid pattern \/\(\//);
+});
+
+console.log('\n✅ All OutputComparer tests passed!');
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * Simple tests for separate, ordered stdout and stderr outputs
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('./vscode-mock');
+const { StreamOutput, createStreamOutputs, STDOUT_MIME, STDERR_MIME } = require('../src/utils/outputStreams');
+const { NotebookSerializer } = require('../src/core/notebookSerializer');
+const { getOutputText } = require('../src/utils/outputComparer');
+const { pathToFileURL } = require('url');
+const { CodeExecutor } = require('../src/services/codeExecutor');
+const { configuration } = require('../src/constants');
+
+console.log('Running OutputStreams tests...\n');
+
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Get [mime, text] of each output
+ */
+function describeOutputs(outputs) {
+  return outputs.map(output => [output.items[0].mime, output.items.map(item => new TextDecoder().decode(item.data)).join('')]);
+}
+
+/**
+ * Fake cell execution that keeps the outputs shown while a cell runs
+ */
+function createExecution() {
+  const execution = { outputs: [], replaced: 0 };
+  execution.replaceOutput = (outputs) => {
+    execution.outputs = outputs.slice();
+    execution.replaced++;
+  };
+  execution.appendOutput = (outputs) => execution.outputs.push(...outputs);
+  execution.appendOutputItems = (items, output) => output.items.push(...items);
+  return execution;
+}
+
+async function runAll() {
+  // Test 1: Chunks keep their order; sentinel text can be cut off again
+  await runTest('Record chunks in arrival order', () => {
+    const output = new StreamOutput();
+    output.append('stdout', 'step 1\n');
+    output.append('stdout', 'step 2\n');
+    output.append('stderr', 'warning\n');
+    output.append('stdout', 'done\n');
+    output.append('stderr', '[Process ended by SIGTERM]');
+
+    assert.equal(output.stdout, 'step 1\nstep 2\ndone\n');
+    assert.deepEqual(output.toResult(143).chunks, [
+      { stream: 'stdout', text: 'step 1\nstep 2\n' },
+      { stream: 'stderr', text: 'warning\n' },
+      { stream: 'stdout', text: 'done\n' },
+      { stream: 'stderr', text: '[Process ended by SIGTERM]' }
+    ]);
+    assert.equal(output.toResult(143).logFile, null);
+  });
+
+  // Test 2: Chunks become stdout/stderr outputs; markdown stdout is rendered, with stderr after it
+  await runTest('Build stdout and stderr outputs', () => {
+    const metadata = { execution: { exitCode: 0 } };
+    const outputs = createStreamOutputs([{ stream: 'stdout', text: 'a\n' }, { stream: 'stderr', text: 'warn\n' }], metadata);
+    assert.deepEqual(describeOutputs(outputs), [[STDOUT_MIME, 'a\n'], [STDERR_MIME, 'warn\n']]);
+    assert.equal(outputs[0].metadata, metadata);
+    assert.equal(outputs[1].metadata, undefined);
+
+    const markdown = createStreamOutputs([{ stream: 'stderr', text: 'warn\n' }, { stream: 'stdout', text: '# Report\n- ok\n' }]);
+    assert.deepEqual(describeOutputs(markdown), [['text/markdown', '# Report  \n- ok  \n'], [STDERR_MIME, 'warn\n']]);
+
+    assert.deepEqual(describeOutputs(createStreamOutputs([])), [[STDOUT_MIME, '']]);
+  });
+
+  // Test 3: Stderr is saved in a **Stderr:** block and read back as a stderr output
+  await runTest('Save stderr in its own block', () => {
+    const serializer = new NotebookSerializer();
+    const cell = new vscode.NotebookCellData(vscode.NotebookCellKind.Code, 'make', 'bash');
+    cell.outputs = createStreamOutputs([
+      { stream: 'stdout', text: 'Building ' },
+      { stream: 'stderr', text: 'warning: unused\n' },
+      { stream: 'stdout', text: 'done\n' }
+    ]);
+    const markdown = serializer.serializeCodeCell(cell);
+    assert.equal(markdown, '```bash\nmake\n```\n\n**Output:**\n```\nBuilding done  \n```\n\n**Stderr:**\n```\nwarning: unused  \n```\n\n');
+
+    const data = serializer.deserializeNotebook(new TextEncoder().encode(markdown));
+    assert.equal(data.cells.length, 1);
+    assert.deepEqual(describeOutputs(data.cells[0].outputs), [['text/plain', 'Building done\n'], [STDERR_MIME, 'warning: unused\n']]);
+    assert.equal(new TextDecoder().decode(serializer.serializeNotebook(data)), markdown);
+  });
+
+  // Test 4: Verification sees the same text for fresh and saved outputs; stderr only when asked for
+  await runTest('Compare fresh and saved stderr the same way', () => {
+    const fresh = createStreamOutputs([{ stream: 'stdout', text: 'ok' }, { stream: 'stderr', text: 'warn\n' }]);
+    const saved = [
+      new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem.text('ok\n', 'text/plain')]),
+      new vscode.NotebookCellOutput([vscode.NotebookCellOutputItem.stderr('warn\n')])
+    ];
+    assert.equal(getOutputText(fresh), 'ok\n');
+    assert.equal(getOutputText(saved), getOutputText(fresh));
+    assert.equal(getOutputText(fresh, { stderr: true }), 'ok\n\nSTDERR:\nwarn\n');
+    assert.equal(getOutputText(saved, { stderr: true }), getOutputText(fresh, { stderr: true }));
+  });
+
+  // Test 5: A cell's streams arrive as ordered chunks, and only stdout is its output value
+  await runTest('Stream stdout and stderr of a cell in order', async () => {
+    const executor = new CodeExecutor();
+    const execution = createExecution();
+    const result = await executor.executeCode(
+      'import sys, time\nprint("one", flush=True)\ntime.sleep(0.2)\nprint("oops", file=sys.stderr, flush=True)\ntime.sleep(0.2)\nprint("two")',
+      'python', null, { timeout: 10 }, execution);
+
+    assert.equal(result.exitCode, 0);
+    assert.equal(result.stdout, 'one\ntwo\n');
+    assert.equal(result.stderr, 'oops\n');
+    assert.deepEqual(result.chunks, [
+      { stream: 'stdout', text: 'one\n' },
+      { stream: 'stderr', text: 'oops\n' },
+      { stream: 'stdout', text: 'two\n' }
+    ]);
+    assert.deepEqual(describeOutputs(execution.outputs),
+      [[STDOUT_MIME, 'one\n'], [STDERR_MIME, 'oops\n'], [STDOUT_MIME, 'two\n']]);
+    assert.equal(execution.replaced, 1);
+  });
+
+  // Test 6: Output past the limit keeps its beginning and end; the full output goes to the log file
+  await runTest('Truncate long output and log all of it', () => {
+    const logFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'runbook-output-')), 'logs', 'full.log');
+    const output = new StreamOutput({ maxLines: 4, createLogFile: () => logFile });
+    assert.equal(output.append('stdout', 'line 1\nline 2\nline 3\n'), false);
+    output.append('stderr', 'warning\n');
+    for (let line = 4; line <= 10; line++) {
+      output.append('stdout', `line ${line}\n`);
+    }
+    const result = output.toResult(0);
+
+    assert.equal(result.logFile, logFile);
+    assert.equal(fs.readFileSync(logFile, 'utf8'), 'line 1\nline 2\nline 3\nwarning\n' +
+      [4, 5, 6, 7, 8, 9, 10].map(line => `line ${line}\n`).join(''));
+    assert.deepEqual(result.chunks, [
+      { stream: 'stdout', text: 'line 1\nline 2\n' },
+      { stream: 'stdout', text: `[... 7 lines truncated \u2014 open full log: ${pathToFileURL(logFile).href}]\n` },
+      { stream: 'stdout', text: 'line 9\nline 10\n' }
+    ]);
+    assert.equal(result.stdout, 'line 1\nline 2\nline 9\nline 10\n');
+    assert.equal(result.stderr, '');
+
+    const bySize = new StreamOutput({ maxSize: 10 });
+    bySize.append('stdout', 'a'.repeat(30));
+    assert.deepEqual(bySize.getChunks().map(chunk => chunk.text), ['aaaaa', '\n[... 0 lines truncated]\n', 'aaaaa']);
+  });
+
+  // Test 7: A cell with huge output streams by appending and saves only the truncated view
+  await runTest('Save only the truncated view of a huge output', async () => {
+    const artifacts = fs.mkdtempSync(path.join(os.tmpdir(), 'runbook-artifacts-'));
+    const settings = configuration.forNotebook({
+      metadata: { runbook: { settings: { 'output.maxLines': 6, 'output.artifactsDirectory': artifacts } } }
+    });
+    const executor = new CodeExecutor();
+    const execution = createExecution();
+    const result = await executor.executeCode('for i in range(1, 101):\n    print("row", i)', 'python', null, { timeout: 10 }, execution, settings);
+
+    assert.equal(result.exitCode, 0);
+    assert.equal(path.dirname(result.logFile), artifacts);
+    assert.equal(fs.readFileSync(result.logFile, 'utf8').split('\n').length, 101);
+    assert.equal(result.stdout, 'row 1\nrow 2\nrow 3\nrow 98\nrow 99\nrow 100\n');
+
+    const serializer = new NotebookSerializer();
+    const cell = new vscode.NotebookCellData(vscode.NotebookCellKind.Code, 'python rows.py', 'python');
+    cell.outputs = createStreamOutputs(result.chunks);
+    const markdown = serializer.serializeCodeCell(cell);
+    assert.ok(markdown.includes('row 3  \n[... 94 lines truncated'), markdown);
+    assert.ok(!markdown.includes('row 50'));
+  });
+
+  console.log('\n✅ All OutputStreams tests passed!');
+}
+
+runAll().catch(() => {
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * Simple tests for stopping cell process groups
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnProcessGroup, terminateProcessGroup, killAllProcessGroups } = require('../src/utils/processTree');
+
+console.log('Running processTree tests...\n');
+
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Wait for a process to exit
+ * @returns {Promise<Object>} - Exit code and signal
+ */
+function waitForExit(child) {
+  return new Promise((resolve) => child.on('exit', (code, signal) => resolve({ code, signal })));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function runAll() {
+  // Test 1: SIGINT is enough for a process that does not handle it
+  await runTest('Stop a process with SIGINT', async () => {
+    const child = spawnProcessGroup('sleep', ['30'], { stdio: 'ignore' });
+    const signals = [];
+    terminateProcessGroup(child, 200, (signal) => signals.push(signal));
+    const { signal } = await waitForExit(child);
+    assert.equal(signal, 'SIGINT');
+    assert.deepEqual(signals, ['SIGINT']);
+  });
+
+  // Test 2: Escalate to SIGTERM, and reach background jobs that outlive the leader
+  await runTest('Escalate and stop the whole process group', async () => {
+    const marker = path.join(os.tmpdir(), `runbook-orphan-${process.pid}`);
+    const script = `trap "" INT; (sleep 0.6; touch '${marker}') & sleep 30`;
+    const child = spawnProcessGroup('bash', ['--noprofile', '--norc', '-c', script], { stdio: 'ignore' });
+    await sleep(100);
+    const signals = [];
+    terminateProcessGroup(child, 200, (signal) => signals.push(signal));
+    const { signal } = await waitForExit(child);
+    assert.equal(signal, 'SIGTERM');
+    assert.deepEqual(signals, ['SIGINT', 'SIGTERM']);
+
+    await sleep(800);
+    const orphaned = fs.existsSync(marker);
+    fs.rmSync(marker, { force: true });
+    assert.equal(orphaned, false, 'background job kept running');
+  });
+
+  // Test 3: Groups left running are killed on shutdown
+  await runTest('Kill remaining process groups', async () => {
+    const child = spawnProcessGroup('sleep', ['30'], { stdio: 'ignore' });
+    const exited = waitForExit(child);
+    assert.ok(killAllProcessGroups() >= 1);
+    assert.equal((await exited).signal, 'SIGKILL');
+    assert.equal(killAllProcessGroups(), 0);
+  });
+
+  console.log('\n✅ All processTree tests passed!');
+}
+
+runAll().catch(() => {
+  process.exit(1);
+});
\ No newline at end of file
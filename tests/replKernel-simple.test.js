@@ -0,0 +1,88 @@
+/**
+ * Simple tests for the Python and Node.js REPL kernels
+ */
+
+const assert = require('assert');
+const { ReplKernel, getKernelLanguage } = require('../src/services/replKernel');
+
+console.log('Running ReplKernel tests...\n');
+
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Start a kernel, run the test with it and end it
+ */
+async function withKernel(language, testFn) {
+  const kernel = new ReplKernel(language, { cwd: process.cwd(), env: process.env });
+  try {
+    await kernel.start();
+    await testFn(kernel);
+  } finally {
+    kernel.dispose();
+  }
+}
+
+async function runAll() {
+  // Test 1: Cell languages map to kernel languages
+  await runTest('Map cell languages to kernels', () => {
+    assert.equal(getKernelLanguage('py'), 'python');
+    assert.equal(getKernelLanguage('javascript'), 'javascript');
+    assert.equal(getKernelLanguage('bash'), null);
+  });
+
+  // Test 2: Python globals persist and errors show the cell's traceback
+  await runTest('Keep Python globals between cells', () => withKernel('python', async (kernel) => {
+    await kernel.run('import os\ncount = 41\ndef bump():\n    return count + 1');
+    const result = await kernel.run('print(bump())');
+    assert.deepEqual(result, { stdout: '42\n', stderr: '', chunks: [{ stream: 'stdout', text: '42\n' }], exitCode: 0, logFile: null });
+
+    const failed = await kernel.run('raise ValueError("bad input")');
+    assert.equal(failed.exitCode, 1);
+    assert.ok(failed.stderr.includes('File "<cell>", line 1'));
+    assert.ok(failed.stderr.includes('ValueError: bad input'));
+
+    const variables = await kernel.listVariables();
+    assert.deepEqual(variables.count, { type: 'int', value: '41' });
+    assert.equal(variables.os, undefined);
+  }));
+
+  // Test 3: Node.js globals persist, cells can be run again and returned promises are awaited
+  await runTest('Keep Node.js globals between cells', () => withKernel('javascript', async (kernel) => {
+    const cell = 'const client = { calls: 0 };\nfunction call() { return ++client.calls; }';
+    await kernel.run(cell);
+    assert.equal((await kernel.run('call(); console.log(call())')).stdout, '2\n');
+    assert.equal((await kernel.run(cell)).exitCode, 0);
+
+    const result = await kernel.run('new Promise((resolve) => setTimeout(() => { console.log("done"); resolve(); }, 50))');
+    assert.equal(result.stdout, 'done\n');
+
+    const variables = await kernel.listVariables();
+    assert.deepEqual(variables.client, { type: 'Object', value: '{ calls: 0 }' });
+  }));
+
+  // Test 4: Cancelling interrupts busy code but keeps the kernel and its state
+  await runTest('Interrupt a kernel cell', () => withKernel('javascript', async (kernel) => {
+    await kernel.run('var kept = "yes"');
+    const listeners = [];
+    const token = { onCancellationRequested: (listener) => { listeners.push(listener); return { dispose: () => { } }; } };
+    setTimeout(() => listeners.forEach(listener => listener()), 200);
+
+    const result = await kernel.run('while (true) { }', { token });
+    assert.equal(result.exitCode, 130);
+    assert.equal((await kernel.run('console.log(kept)')).stdout, 'yes\n');
+  }));
+
+  console.log('\n✅ All ReplKernel tests passed!');
+}
+
+runAll().catch(() => {
+  process.exit(1);
+});
\ No newline at end of file
@@ -7,7 +7,27 @@ const path = require('path');
 
 const tests = [
   'optionsParser-simple.test.js',
-  'variableProcessor-simple.test.js'
+  'variableProcessor-simple.test.js',
+  'notebookSerializer-simple.test.js',
+  'outputComparer-simple.test.js',
+  'dependencyGraph-simple.test.js',
+  'staleTracker-simple.test.js',
+  'shellSession-simple.test.js',
+  'replKernel-simple.test.js',
+  'processTree-simple.test.js',
+  'inputForwarder-simple.test.js',
+  'ansi-simple.test.js',
+  'outputStreams-simple.test.js',
+  'workflowCommands-simple.test.js',
+  'jsonOutput-simple.test.js',
+  'captureRules-simple.test.js',
+  'templateFilters-simple.test.js',
+  'environment-simple.test.js',
+  'promptedVariables-simple.test.js',
+  'secrets-simple.test.js',
+  'variableScopes-simple.test.js',
+  'variableInspector-simple.test.js',
+  'runner-simple.test.js'
 ];
 
 console.log('🧪 Running all modular tests...\n');
@@ -15,7 +35,8 @@ console.log('🧪 Running all modular tests...\n');
 async function runTest(testFile) {
   return new Promise((resolve, reject) => {
     const testPath = path.join(__dirname, testFile);
-    const child = spawn('node', [testPath], { stdio: 'inherit' });
+    // Modules that reach the vscode API through src/utils/vscodeApi get the mock
+    const child = spawn('node', [testPath], { stdio: 'inherit', env: { ...process.env, NODE_ENV: 'test' } });
 
     child.on('close', (code) => {
       if (code === 0) {
@@ -0,0 +1,223 @@
+/**
+ * Simple tests for the headless runbook runner used by the `runbook` CLI
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RunbookRunner } = require('../src/cli/runner');
+const { createCancellationToken } = require('../src/cli/headlessNotebook');
+const { clearCellOutputs } = require('../src/utils/variableProcessor');
+
+console.log('Running RunbookRunner tests...\n');
+
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Writable stream stand-in that collects what is written
+ */
+function createCapture() {
+  const capture = { text: '' };
+  capture.write = (chunk) => {
+    capture.text += chunk;
+  };
+  return capture;
+}
+
+const runbook = [
+  '# Deploy',
+  '',
+  '## VARIABLES',
+  '',
+  '| name | value |',
+  '|-|-|',
+  '| env | dev |',
+  '',
+  '## Step 1',
+  '',
+  '```javascript {id=target}',
+  'console.log("target-{{env}}");',
+  '```',
+  '',
+  '## Step 2',
+  '',
+  '```javascript',
+  'console.log("deploying to {{target}}");',
+  '```',
+  '',
+  '## Step 3',
+  '',
+  '```javascript',
+  'process.exit(3);',
+  '```',
+  '',
+  '## Step 4',
+  '',
+  '```javascript',
+  'console.log("not reached");',
+  '```',
+  ''
+].join('\n');
+
+async function runAll() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runbook-runner-'));
+  const file = path.join(dir, 'deploy.runbook.md');
+
+  try {
+    // Test 1: Runs cells in order, streams output, stops at the first failure and saves outputs
+    await runTest('Run cells in order and save outputs', async () => {
+      clearCellOutputs();
+      fs.writeFileSync(file, runbook);
+      const stdout = createCapture();
+      const runner = new RunbookRunner({ variables: { env: 'prod' }, stdout, stderr: createCapture() });
+
+      const result = await runner.run(file);
+
+      assert.equal(result.success, false);
+      assert.equal(result.executed, 3);
+      assert.equal(stdout.text, 'target-prod\ndeploying to target-prod\n');
+
+      const saved = fs.readFileSync(file, 'utf8');
+      assert.ok(saved.includes('**Output:**\n```\ntarget-prod'));
+      assert.ok(saved.includes('Error: Command failed with exit code 3'));
+      assert.equal(saved.split('**Output:**').length - 1, 3);
+    });
+
+    // Test 2: --from starts at a heading and reuses saved outputs of the skipped cells
+    await runTest('Start from a heading with saved outputs', async () => {
+      clearCellOutputs();
+      const stdout = createCapture();
+      const out = path.join(dir, 'out.md');
+      const runner = new RunbookRunner({ from: 'step 2', out, stdout, stderr: createCapture() });
+
+      const result = await runner.run(file);
+
+      assert.equal(result.executed, 2);
+      assert.equal(stdout.text, 'deploying to target-prod\n');
+      assert.ok(fs.existsSync(out));
+    });
+
+    // Test 3: Unknown heading is an error; nothing is written with save disabled
+    await runTest('Reject an unknown heading', async () => {
+      const before = fs.readFileSync(file, 'utf8');
+      const runner = new RunbookRunner({ from: 'Step 9', save: false, stdout: createCapture(), stderr: createCapture() });
+
+      await assert.rejects(() => runner.run(file), /Heading not found: Step 9/);
+      assert.equal(fs.readFileSync(file, 'utf8'), before);
+    });
+
+    // Test 4: verify compares fresh output with the saved outputs and leaves the file alone
+    await runTest('Verify saved outputs', async () => {
+      clearCellOutputs();
+      const verifyFile = path.join(dir, 'verify.runbook.md');
+      fs.writeFileSync(verifyFile, [
+        '```javascript',
+        'console.log("same");',
+        '```',
+        '',
+        '**Output:**',
+        '```',
+        'same',
+        '```',
+        '',
+        '```javascript {expect="^pid \\\\d+$"}',
+        'console.log("pid " + process.pid);',
+        '```',
+        '',
+        '```javascript',
+        'console.log("new");',
+        '```',
+        '',
+        '**Output:**',
+        '```',
+        'old',
+        '```',
+        '',
+        '```javascript',
+        'console.log("never saved");',
+        '```',
+        ''
+      ].join('\n'));
+      const before = fs.readFileSync(verifyFile, 'utf8');
+      const stdout = createCapture();
+      const runner = new RunbookRunner({ stdout, stderr: createCapture() });
+
+      const summary = await runner.verify(verifyFile);
+
+      assert.equal(summary.success, false);
+      assert.deepEqual(summary.results.map(result => result.status), ['passed', 'passed', 'failed', 'unverified']);
+      assert.deepEqual(summary.results[2].diff, ['- old', '+ new']);
+      assert.ok(stdout.text.includes('verify.runbook.md: 2 passed, 1 failed, 1 without saved output'));
+      assert.equal(fs.readFileSync(verifyFile, 'utf8'), before);
+    });
+
+    // Test 5: stderr is only compared in cells that ask for it
+    await runTest('Verify stderr on request', async () => {
+      clearCellOutputs();
+      const verifyFile = path.join(dir, 'stderr.runbook.md');
+      const cell = [
+        'console.log("done");',
+        'console.error("took " + (Date.now() % 1000 + 1000) + "ms");',
+        '```',
+        '',
+        '**Output:**',
+        '```',
+        'done',
+        '```',
+        '',
+        '**Stderr:**',
+        '```',
+        'took 5ms',
+        '```',
+        ''
+      ];
+      fs.writeFileSync(verifyFile, ['```javascript', ...cell, '```javascript {verifyStderr=true}', ...cell].join('\n'));
+      const runner = new RunbookRunner({ stdout: createCapture(), stderr: createCapture() });
+
+      const summary = await runner.verify(verifyFile);
+
+      assert.deepEqual(summary.results.map(result => result.status), ['passed', 'failed']);
+      assert.ok(summary.results[1].diff.includes('- took 5ms'), summary.results[1].diff.join('\n'));
+    });
+
+    // Test 6: Disposing a cancellation listener twice leaves the other listeners registered
+    await runTest('Dispose cancellation listeners once', () => {
+      const token = createCancellationToken();
+      const called = [];
+      const first = token.onCancellationRequested(() => called.push('first'));
+      token.onCancellationRequested(() => called.push('second'));
+      first.dispose();
+      first.dispose();
+      token.cancel();
+      assert.deepEqual(called, ['second']);
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('\n✅ All RunbookRunner tests passed!');
+}
+
+runAll().catch(() => {
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Simple tests for secret variables ({{secret:name}}) and masking of their values
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSecretReference, maskSecrets, getSecretValue } = require('../src/utils/secrets');
+const { SecretStore } = require('../src/services/secretStore');
+const { RunbookRunner } = require('../src/cli/runner');
+const { clearCellOutputs } = require('../src/utils/variableProcessor');
+
+console.log('Running Secrets tests...\n');
+
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Writable stream stand-in that collects what is written
+ */
+function createCapture() {
+  const capture = { text: '' };
+  capture.write = (chunk) => {
+    capture.text += chunk;
+  };
+  return capture;
+}
+
+/**
+ * Stand-in for vscode.SecretStorage
+ */
+function createStorage() {
+  const values = new Map();
+  return {
+    values,
+    get: async (key) => values.get(key),
+    store: async (key, value) => {
+      values.set(key, value);
+    },
+    delete: async (key) => {
+      values.delete(key);
+    }
+  };
+}
+
+/**
+ * Write a runbook to a temporary directory, run it with the CLI runner and read back the saved file
+ */
+async function runRunbook(lines) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runbook-secret-'));
+  const file = path.join(dir, 'secret.runbook.md');
+  try {
+    fs.writeFileSync(file, lines.join('\n'));
+    const stdout = createCapture();
+    const stderr = createCapture();
+    const result = await new RunbookRunner({ stdout, stderr }).run(file);
+    return { result, stdout: stdout.text, stderr: stderr.text, saved: fs.readFileSync(file, 'utf8') };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runAll() {
+  // Test 1: The secret store keeps values in SecretStorage and lists their names
+  await runTest('Store, load and delete secrets', async () => {
+    assert.equal(parseSecretReference('secret:API-Key'), 'api-key');
+    assert.equal(parseSecretReference('api-key'), null);
+    assert.equal(SecretStore.toEnvironmentName('db.password'), 'RUNBOOK_SECRET_DB_PASSWORD');
+
+    const storage = createStorage();
+    const secrets = new SecretStore(storage);
+    await secrets.set('DB-Password', 'hunter2');
+    await secrets.set('token', 'tok-123');
+    assert.deepEqual(await secrets.list(), ['db-password', 'token']);
+    assert.equal(storage.values.get('runbook-notebook.secret.db-password'), 'hunter2');
+    assert.deepEqual(await secrets.load(['db-password', 'missing']), ['missing']);
+    assert.equal(maskSecrets('login hunter2 / tok-123'), 'login *** / ***');
+
+    await secrets.delete('token');
+    assert.deepEqual(await secrets.list(), ['db-password']);
+    assert.equal(getSecretValue('token'), undefined);
+    assert.equal(maskSecrets('tok-123'), 'tok-123');
+  });
+
+  // Test 2: Secrets are substituted or exported, but hidden in streamed and saved output
+  await runTest('Mask secrets in output', async () => {
+    clearCellOutputs();
+    process.env.RUNBOOK_SECRET_API_KEY = 's3cr3t-value';
+    const { result, stdout, saved } = await runRunbook([
+      '## VARIABLES',
+      '',
+      'name | value',
+      '-|-',
+      'token | secret:api-key',
+      '',
+      '```bash',
+      'echo "key={{secret:API-KEY}} upper={{secret:api-key | upper}}"',
+      '```',
+      '',
+      '```bash {env=true}',
+      'echo "env=$RUNBOOK_VAR_TOKEN"',
+      '```',
+      ''
+    ]);
+    delete process.env.RUNBOOK_SECRET_API_KEY;
+    assert.equal(result.success, true);
+    assert.equal(stdout, 'key=*** upper=S3CR3T-VALUE\nenv=***\n');
+    assert.ok(!saved.includes('s3cr3t-value'));
+    assert.match(saved, /\*\*Output:\*\*\n```\nkey=\*\*\* upper=S3CR3T-VALUE *\n```/);
+    clearCellOutputs();
+  });
+
+  // Test 3: A cell using a secret that is not set fails before running
+  await runTest('Fail on missing secrets', async () => {
+    clearCellOutputs();
+    const { result, stderr } = await runRunbook([
+      '```bash',
+      'echo "should not run {{secret:nope}}"',
+      '```',
+      ''
+    ]);
+    assert.equal(result.success, false);
+    assert.match(stderr, /Secret 'nope' is not set - set the RUNBOOK_SECRET_NOPE environment variable/);
+    clearCellOutputs();
+  });
+
+  console.log('\n✅ All Secrets tests passed!');
+}
+
+runAll().catch(() => {
+  process.exit(1);
+});
\ No newline at end of file
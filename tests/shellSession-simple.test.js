@@ -0,0 +1,151 @@
+/**
+ * Simple tests for persistent shell sessions
+ */
+
+const assert = require('assert');
+const { ShellSession, SessionManager } = require('../src/services/shellSession');
+
+console.log('Running ShellSession tests...\n');
+
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Bash without profile scripts, so tests don't depend on the machine's login setup
+ */
+function createSession() {
+  return new ShellSession('bash', ['--noprofile', '--norc'], { cwd: process.cwd(), env: process.env });
+}
+
+/**
+ * Cancellation token stand-in that can be cancelled from the test
+ */
+function createToken() {
+  const listeners = [];
+  return {
+    isCancellationRequested: false,
+    onCancellationRequested: (listener) => {
+      listeners.push(listener);
+      return { dispose: () => listeners.splice(listeners.indexOf(listener), 1) };
+    },
+    cancel() {
+      this.isCancellationRequested = true;
+      listeners.slice().forEach(listener => listener());
+    }
+  };
+}
+
+async function runAll() {
+  // Test 1: Variables, functions and the working directory persist between cells
+  await runTest('Keep shell state between cells', async () => {
+    const session = createSession();
+    try {
+      await session.start();
+      await session.run('export GREETING=hello\ngreet() { echo "$GREETING $1"; }\ncd /tmp');
+      const result = await session.run('greet world\npwd');
+      assert.equal(result.stdout, 'hello world\n/tmp\n');
+      assert.equal(result.exitCode, 0);
+    } finally {
+      session.dispose();
+    }
+  });
+
+  // Test 2: Exit code and stderr are reported per cell, and a failing cell keeps the session
+  await runTest('Report exit code and stderr per cell', async () => {
+    const session = createSession();
+    try {
+      await session.start();
+      const failed = await session.run('echo oops >&2\nfalse');
+      assert.equal(failed.exitCode, 1);
+      assert.equal(failed.stderr, 'oops\n');
+
+      const streamed = [];
+      const next = await session.run('echo still here', { onOutput: (stream, text) => streamed.push(text) });
+      assert.equal(next.stdout, 'still here\n');
+      assert.equal(streamed.join(''), 'still here\n');
+    } finally {
+      session.dispose();
+    }
+  });
+
+  // Test 3: Cancelling interrupts the cell but not the session
+  await runTest('Interrupt a cell with the cancellation token', async () => {
+    const session = createSession();
+    try {
+      await session.start();
+      const token = createToken();
+      setTimeout(() => token.cancel(), 200);
+      const result = await session.run('sleep 30', { token });
+      assert.equal(result.exitCode, 130);
+      assert.ok(result.stderr.includes('[Process exited with code 130 after SIGINT]'), result.stderr);
+      assert.ok(session.isAlive);
+      assert.equal((await session.run('echo alive')).stdout, 'alive\n');
+    } finally {
+      session.dispose();
+    }
+  });
+
+  // Test 4: Timeouts are reported like cells that run in their own process
+  await runTest('Time out a long-running cell', async () => {
+    const session = createSession();
+    try {
+      await session.start();
+      const result = await session.run('sleep 30', { timeout: 0.2 });
+      assert.equal(result.exitCode, 124);
+      assert.ok(result.stdout.includes('[Process timed out after 0.2 seconds]'));
+    } finally {
+      session.dispose();
+    }
+  });
+
+  // Test 5: `exit` ends the session; the manager starts a new one for the next cell
+  await runTest('Restart a session that exited', async () => {
+    const manager = new SessionManager();
+    try {
+      const first = await manager.getSession('file:///a.runbook.md', 'default', createSession);
+      const result = await first.run('exit 3');
+      assert.equal(result.exitCode, 3);
+      assert.ok(result.stderr.includes('[Shell session ended]'));
+      assert.equal(first.isAlive, false);
+
+      const second = await manager.getSession('file:///a.runbook.md', 'default', createSession);
+      assert.notEqual(second, first);
+      assert.equal(await manager.getSession('file:///a.runbook.md', 'default', createSession), second);
+      assert.equal(manager.restart('file:///a.runbook.md'), 1);
+      assert.equal(manager.restart('file:///a.runbook.md'), 0);
+    } finally {
+      manager.disposeAll();
+    }
+  });
+
+  // Test 6: A cell that ignores the interrupt gets SIGTERM after the grace period, which ends the session
+  await runTest('Escalate to SIGTERM after the grace period', async () => {
+    const session = createSession();
+    try {
+      await session.start();
+      const token = createToken();
+      setTimeout(() => token.cancel(), 200);
+      const started = Date.now();
+      const result = await session.run('trap "" INT; sleep 30', { token, killGracePeriod: 0.5 });
+      assert.ok(Date.now() - started >= 600);
+      assert.equal(result.exitCode, 143);
+      assert.ok(result.stderr.includes('[Shell session ended]\n[Process ended by SIGTERM]'), result.stderr);
+      assert.equal(session.isAlive, false);
+    } finally {
+      session.dispose();
+    }
+  });
+
+  console.log('\n✅ All ShellSession tests passed!');
+}
+
+runAll().catch(() => {
+  process.exit(1);
+});
\ No newline at end of file
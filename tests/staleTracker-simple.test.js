@@ -0,0 +1,112 @@
+/**
+ * Simple unit tests for stale output tracking
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const vscode = require('./vscode-mock');
+const { StaleTracker } = require('../src/services/staleTracker');
+const { storeCellOutput, clearCellOutputs } = require('../src/utils/variableProcessor');
+
+console.log('Running StaleTracker tests...\n');
+
+function runTest(testName, testFn) {
+  try {
+    testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Create a mock notebook whose cell sources can be edited
+ */
+function createNotebook(sources) {
+  const cells = sources.map((source, index) => ({
+    index,
+    kind: source.markdown !== undefined ? vscode.NotebookCellKind.Markup : vscode.NotebookCellKind.Code,
+    source,
+    document: {
+      languageId: source.markdown !== undefined ? 'markdown' : 'bash',
+      getText: () => (cells[index].source.markdown !== undefined ? cells[index].source.markdown : cells[index].source)
+    }
+  }));
+  return { uri: { toString: () => 'file:///test.runbook.md' }, getCells: () => cells };
+}
+
+const variablesTable = (region) => ({ markdown: `## VARIABLES\n\n| name | value |\n|-|-|\n| region | ${region} |` });
+
+// Test 1: Execution order counts up per notebook
+runTest('Number executions per notebook', () => {
+  const tracker = new StaleTracker();
+  const notebook = createNotebook([]);
+  const other = { uri: { toString: () => 'file:///other.runbook.md' }, getCells: () => [] };
+  assert.equal(tracker.nextExecutionOrder(notebook), 1);
+  assert.equal(tracker.nextExecutionOrder(notebook), 2);
+  assert.equal(tracker.nextExecutionOrder(other), 1);
+});
+
+// Test 2: A cell goes stale when a VARIABLES table row it used is edited
+runTest('Edited table variable makes a cell stale', () => {
+  clearCellOutputs();
+  const tracker = new StaleTracker();
+  const notebook = createNotebook([variablesTable('us-east-1'), 'aws ec2 describe-instances --region {{region}}']);
+  const cell = notebook.getCells()[1];
+
+  assert.deepEqual(tracker.getChangedVariables(notebook, cell), []);
+  tracker.recordRun(cell, { region: 'us-east-1' }, 1);
+  assert.deepEqual(tracker.getStaleCells(notebook), []);
+
+  notebook.getCells()[0].source = variablesTable('eu-west-1');
+  assert.deepEqual(tracker.getChangedVariables(notebook, cell), ['region']);
+  assert.deepEqual(tracker.getStaleCells(notebook), [cell]);
+
+  // Running the cell again with the new value makes it fresh
+  tracker.recordRun(cell, { region: 'eu-west-1' }, 2);
+  assert.deepEqual(tracker.getStaleCells(notebook), []);
+});
+
+// Test 3: A cell goes stale when an upstream producer re-runs with different output
+runTest('Changed producer output makes consumers stale', () => {
+  clearCellOutputs();
+  const tracker = new StaleTracker();
+  const notebook = createNotebook(['# @options {"id": "pods"}\nkubectl get pods', 'echo {{pods}}', 'echo unrelated']);
+  const [producer, consumer, unrelated] = notebook.getCells();
+
+  storeCellOutput('pods', 'pod-a');
+  tracker.recordRun(producer, {}, 1);
+  tracker.recordRun(consumer, { pods: 'pod-a' }, 2);
+  tracker.recordRun(unrelated, {}, 3);
+
+  // Same output again - nothing is stale
+  storeCellOutput('pods', 'pod-a');
+  assert.deepEqual(tracker.getStaleCells(notebook), []);
+
+  storeCellOutput('pods', 'pod-b');
+  assert.deepEqual(tracker.getStaleCells(notebook), [consumer]);
+});
+
+// Test 4: Listeners are told about recorded runs
+runTest('Notify listeners of recorded runs', () => {
+  const tracker = new StaleTracker();
+  let calls = 0;
+  const subscription = tracker.onDidChange(() => calls++);
+  tracker.recordRun({}, {}, 1);
+  subscription.dispose();
+  tracker.recordRun({}, {}, 2);
+  assert.equal(calls, 1);
+});
+
+console.log('\n✅ All StaleTracker tests passed!');
\ No newline at end of file
@@ -0,0 +1,208 @@
+/**
+ * Simple tests for {{ }} filters, defaults and language-aware escaping of substituted values
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const vscode = require('./vscode-mock');
+const { parseTemplateExpression, applyFilters } = require('../src/utils/templateFilters');
+const { processVariableSubstitution, storeCellOutput, clearCellOutputs } = require('../src/utils/variableProcessor');
+const { buildDependencyGraph, resolveExecutionOrder } = require('../src/utils/dependencyGraph');
+
+console.log('Running TemplateFilters tests...\n');
+
+function runTest(testName, testFn) {
+  try {
+    testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Substitute variables into code of a language
+ */
+function substitute(code, languageId) {
+  const result = processVariableSubstitution(code, null, 0, languageId);
+  assert.deepEqual(result.errors, []);
+  return result.processedCode;
+}
+
+const message = 'it\'s "$HOME" `id`\nrm -rf /tmp/x; echo $1 $&';
+
+// Test 1: Expressions are split into the reference, defaults and filters (outside quotes and brackets)
+runTest('Parse template expressions', () => {
+  assert.deepEqual(parseTemplateExpression(' region ?? "us-east-1" | upper '), {
+    reference: 'region',
+    filters: [{ name: 'default', argument: 'us-east-1' }, { name: 'upper' }]
+  });
+  assert.deepEqual(parseTemplateExpression('pods.items[0].labels["a|b"] | default(\'x ?? y\') | shellquote').filters,
+    [{ name: 'default', argument: 'x ?? y' }, { name: 'shellquote' }]);
+  assert.equal(parseTemplateExpression('pods.items[0].labels["a|b"]').reference, 'pods.items[0].labels["a|b"]');
+  assert.throws(() => parseTemplateExpression('host | nope'), /Unknown filter 'nope' \(available: default, shellquote, json/);
+  assert.throws(() => parseTemplateExpression('host | upper(1)'), /The upper filter takes no arguments/);
+});
+
+// Test 2: Filters apply left to right; a default only replaces a value that is not defined
+runTest('Apply filters', () => {
+  const apply = (value, expression) => applyFilters(value, parseTemplateExpression(expression).filters);
+  assert.equal(apply('it\'s here', 'x | shellquote'), '\'it\'\\\'\'s here\'');
+  assert.equal(apply('say "hi"\n', 'x | json'), '"say \\"hi\\"\\n"');
+  assert.equal(apply('user:pass', 'x | base64'), 'dXNlcjpwYXNz');
+  assert.equal(apply('  Web-1 ', 'x | trim | upper'), 'WEB-1');
+  assert.equal(apply(undefined, 'x ?? "eu" | upper'), 'EU');
+  assert.equal(apply('', 'x ?? "eu"'), '');
+  assert.equal(apply(undefined, 'x | lower'), undefined);
+});
+
+// Test 3: Defaults and filters in substitution; replacement text is never read as a pattern
+runTest('Substitute with defaults and filters', () => {
+  clearCellOutputs();
+  storeCellOutput('host', 'web-1');
+  storeCellOutput('pattern', 'a$&b$1');
+
+  const result = processVariableSubstitution('{{host | upper}} {{region ?? "us-east-1"}} {{pattern}}', null, 0);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.processedCode, 'WEB-1 us-east-1 a$&b$1');
+  assert.deepEqual(result.variables, { host: 'web-1', region: undefined, pattern: 'a$&b$1' });
+
+  const errors = processVariableSubstitution('{{region}} {{host | nope}}', null, 0).errors;
+  assert.ok(errors[0].includes('or give a default with {{region ?? "value"}}'), errors[0]);
+  assert.ok(errors[1].startsWith('Invalid expression {{host | nope}}: Unknown filter \'nope\''), errors[1]);
+  clearCellOutputs();
+});
+
+// Test 4: In bash, a value stays one literal word wherever it is placed
+runTest('Escape values in bash', () => {
+  clearCellOutputs();
+  storeCellOutput('msg', message);
+  storeCellOutput('host', 'web-1');
+
+  assert.equal(substitute('ssh {{host}} uptime', 'bash'), 'ssh web-1 uptime');
+  assert.equal(substitute('echo {{host | shellquote}} {{host | raw}}', 'bash'), 'echo \'web-1\' web-1');
+  const code = [
+    'printf "%s|" {{msg}} "{{msg}}" \'{{msg}}\' "pre-{{msg | upper}}" # don\'t {{msg}}',
+    'cat <<EOF',
+    '{{msg}}',
+    'EOF',
+    'cat <<\'EOF\'',
+    'still {{host}}',
+    'EOF'
+  ].join('\n');
+  const output = execFileSync('bash', ['-c', substitute(code, 'bash')], { encoding: 'utf8', env: { HOME: '/home/x' } });
+  const upper = message.toUpperCase();
+  assert.equal(output, `${message}|${message}|${message}|pre-${upper}|${message}\nstill web-1\n`);
+  clearCellOutputs();
+});
+
+// Test 5: In JavaScript and Python, values are literals outside strings (JSON as objects) and escaped inside them
+runTest('Escape values in JavaScript and Python', () => {
+  clearCellOutputs();
+  storeCellOutput('msg', message);
+  storeCellOutput('count', '3');
+  storeCellOutput('payload', '{"a": [1, 2]}');
+
+  assert.equal(substitute('const n = {{count}}, p = {{payload}}, j = {{count | json}};', 'javascript'),
+    'const n = 3, p = {"a": [1, 2]}, j = "3";');
+  const script = substitute('console.log([{{msg}}, "{{msg}}", \'{{msg}}\', `{{msg}} ${1}`].join("|")); // {{msg}}', 'javascript');
+  assert.equal(execFileSync(process.execPath, ['-e', script], { encoding: 'utf8' }), `${message}|${message}|${message}|${message} 1\n`);
+
+  assert.equal(substitute('x = {{msg}}\ny = """{{msg}}"""\nz = \'{{msg}}\' # {{msg}}', 'python'),
+    `x = ${JSON.stringify(message)}\ny = """it's \\"$HOME\\" \`id\`\nrm -rf /tmp/x; echo $1 $&"""\nz = 'it\\'s "$HOME" \`id\`\\nrm -rf /tmp/x; echo $1 $&' # ${message.replace('\n', ' ')}`);
+
+  storeCellOutput('cfg', '{"enabled": true, "x": null, "n": [1.5]}');
+  const python = substitute('cfg = {{cfg}}\nprint(cfg["enabled"], cfg["x"], cfg["n"][0])', 'python');
+  assert.equal(execFileSync('python3', ['-c', python], { encoding: 'utf8' }), 'True None 1.5\n');
+
+  // Languages without escaping (and text piped to stdin) get the value as it is
+  assert.equal(substitute('Explain: {{msg}}', 'copilot'), `Explain: ${message}`);
+  clearCellOutputs();
+});
+
+// Test 6: Command substitutions in strings and heredocs, f-string and template literal expressions are code
+runTest('Escape values in nested substitutions', () => {
+  clearCellOutputs();
+  const marker = path.join(os.tmpdir(), `runbook-injected-${process.pid}`);
+  try {
+    storeCellOutput('f', `x; touch ${marker}`);
+    const shell = [
+      'echo "$(echo {{f}})"',
+      'echo "`echo {{f}}`"',
+      'echo "$(echo "in {{f}}")"',
+      'echo "${UNSET_VARIABLE:-{{f}}}" >/dev/null',
+      'cat <<EOF',
+      '$(echo {{f}})',
+      'EOF'
+    ].join('\n');
+    const output = execFileSync('bash', ['-c', substitute(shell, 'bash')], { encoding: 'utf8' });
+    assert.equal(output, `x; touch ${marker}\nx; touch ${marker}\nin x; touch ${marker}\nx; touch ${marker}\n`);
+    assert.ok(!fs.existsSync(marker), 'the value ran as a command in bash');
+
+    // Python before 3.12 allows no quotes of the f-string nor backslashes in its expressions
+    const chars = (text) => [...text].map(char => `chr(${char.charCodeAt(0)})`).join('+');
+    const payload = `__import__(${chars('os')}).system(${chars(`touch ${marker}`)})`;
+    storeCellOutput('f', payload);
+    const python = substitute('print(f\'{ {{f}} }|{len("ab")}\')', 'python');
+    assert.equal(execFileSync('python3', ['-c', python], { encoding: 'utf8' }), `${payload}|2\n`);
+    assert.ok(!fs.existsSync(marker), 'the value ran as code in Python');
+
+    storeCellOutput('f', `require("fs").writeFileSync(${JSON.stringify(marker)}, "")`);
+    const javascript = substitute('console.log(`${ {{f}} }|${ `${ {{f}}.length }` }`)', 'javascript');
+    const expected = `require("fs").writeFileSync(${JSON.stringify(marker)}, "")`;
+    assert.equal(execFileSync(process.execPath, ['-e', javascript], { encoding: 'utf8' }), `${expected}|${expected.length}\n`);
+    assert.ok(!fs.existsSync(marker), 'the value ran as code in JavaScript');
+  } finally {
+    fs.rmSync(marker, { force: true });
+    clearCellOutputs();
+  }
+});
+
+// Test 7: Python raw strings get values as they are (or an error), f-strings get literal braces
+runTest('Escape values in Python string prefixes', () => {
+  clearCellOutputs();
+  storeCellOutput('dir', 'C:\\temp\\new');
+  storeCellOutput('tpl', '{len("ab")} {{x}}');
+  const python = substitute('print(r"{{dir}}", R\'\'\'{{dir}}\'\'\', rb"{{dir}}".decode(), f"{{tpl}}|{1 + 1}", rf\'{{dir}} {{tpl}}\')', 'python');
+  assert.equal(execFileSync('python3', ['-c', python], { encoding: 'utf8' }),
+    'C:\\temp\\new C:\\temp\\new C:\\temp\\new {len("ab")} {{x}}|2 C:\\temp\\new {len("ab")} {{x}}\n');
+
+  storeCellOutput('quoted', 'say "hi"');
+  storeCellOutput('trailing', 'C:\\temp\\');
+  assert.equal(substitute('print(r\'{{quoted}}\')', 'python'), 'print(r\'say "hi"\')');
+  const errors = processVariableSubstitution('a = r"{{quoted}}"\nb = r"{{trailing}}"', null, 0, 'python').errors;
+  assert.equal(errors.length, 2);
+  assert.ok(errors[0].startsWith('Cannot substitute {{quoted}}: a raw string cannot hold'), errors[0]);
+  clearCellOutputs();
+});
+
+// Test 8: Filters and defaults do not change which cell produces the variable
+runTest('Find producers of filtered references', () => {
+  clearCellOutputs();
+  const cells = ['# @options {"id": "host"}\nhostname', 'ssh {{ host | shellquote }} -p {{port ?? 22}}'].map((source, index) => ({
+    index,
+    kind: vscode.NotebookCellKind.Code,
+    metadata: {},
+    document: { languageId: 'bash', getText: () => source }
+  }));
+  const graph = buildDependencyGraph({ getCells: () => cells });
+  assert.deepEqual(graph.consumes.get(1), ['host', 'port']);
+  assert.deepEqual(resolveExecutionOrder(graph, 1), [0, 1]);
+});
+
+console.log('\n✅ All TemplateFilters tests passed!');
\ No newline at end of file
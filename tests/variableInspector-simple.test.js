@@ -0,0 +1,132 @@
+/**
+ * Simple tests for listing the variables visible at a cell (the Runbook Variables view)
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const vscode = require('./vscode-mock');
+const { describeVariables, replaceTableValue } = require('../src/utils/variableInspector');
+const { storeCellOutput, clearCellOutputs, setPromptedValue, clearPromptedValues } = require('../src/utils/variableProcessor');
+const { setSecretValue, forgetSecretValue } = require('../src/utils/secrets');
+const { VariablesView } = require('../src/core/variablesView');
+
+console.log('Running Variable Inspector tests...\n');
+
+function runTest(testName, testFn) {
+  try {
+    testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Create a mock notebook from [kind, source] pairs, with front matter
+ */
+function createNotebook(cells, frontMatter = null) {
+  const notebookCells = cells.map(([kind, source], index) => ({
+    index,
+    kind: kind === 'markdown' ? vscode.NotebookCellKind.Markup : vscode.NotebookCellKind.Code,
+    metadata: {},
+    document: { languageId: kind === 'markdown' ? 'markdown' : 'bash', getText: () => source }
+  }));
+  return {
+    uri: { toString: () => 'file:///runbooks/deploy.runbook.md' },
+    metadata: { runbook: frontMatter },
+    getCells: () => notebookCells
+  };
+}
+
+const notebook = createNotebook([
+  ['markdown', '# Deploy\n\n## Setup\n\n## VARIABLES\n\nname | value | notes\n-|-|-\nregion | eu-west-1 | AWS region\nenv | ? | Where to deploy\ntoken | secret:deploy-token |\nhost | placeholder |'],
+  ['code', '# @options {"id": "host"}\necho db-1'],
+  ['code', 'curl -H "X-Key: {{secret:api-key}}" https://{{host}}/{{env}}'],
+  ['code', 'echo "{{cluster}} {{replicas}}"']
+], { parameters: { replicas: 3, region: 'us-east-1' } });
+
+// Test 1: Every source is listed, with where each variable comes from; lower-priority names are shadowed
+runTest('Describe variables visible at a cell', () => {
+  clearCellOutputs();
+  storeCellOutput('host', 'db-1', '# @options {"id": "host"}\necho db-1', notebook);
+  storeCellOutput('cluster', 'prod-eu');
+  setPromptedValue(notebook, 'env', 'staging');
+  setSecretValue('api-key', 'k3y');
+
+  const { outputs, tables, parameters, secrets } = describeVariables(notebook, 3);
+  assert.deepEqual(outputs.map(({ name, global, size, producerIndex, shadowed }) => ({ name, global, size, producerIndex, shadowed })), [
+    { name: 'host', global: false, size: 4, producerIndex: 1, shadowed: false },
+    { name: 'cluster', global: true, size: 7, producerIndex: null, shadowed: false }
+  ]);
+  assert.ok(!isNaN(Date.parse(outputs[0].storedAt)));
+
+  assert.deepEqual(tables.map(({ name, value, cellIndex, line, section, shadowed }) => ({ name, value, cellIndex, line, section, shadowed })), [
+    { name: 'region', value: 'eu-west-1', cellIndex: 0, line: 8, section: 'Setup', shadowed: false },
+    { name: 'env', value: 'staging', cellIndex: 0, line: 9, section: 'Setup', shadowed: false },
+    { name: 'token', value: undefined, cellIndex: 0, line: 10, section: 'Setup', shadowed: false },
+    { name: 'host', value: 'placeholder', cellIndex: 0, line: 11, section: 'Setup', shadowed: true }
+  ]);
+  assert.deepEqual(parameters, [
+    { name: 'replicas', value: '3', shadowed: false },
+    { name: 'region', value: 'us-east-1', shadowed: true }
+  ]);
+  // Secret values are never listed
+  assert.deepEqual(secrets, [{ name: 'api-key', set: true }, { name: 'deploy-token', set: false }]);
+
+  forgetSecretValue('api-key');
+  clearPromptedValues();
+  clearCellOutputs();
+});
+
+// Test 2: Only tables above the cell are visible, and an unanswered prompt has no value yet
+runTest('Limit tables to the cells above', () => {
+  clearCellOutputs();
+  assert.deepEqual(describeVariables(notebook, 0).tables, []);
+  const env = describeVariables(notebook, 2).tables.find(row => row.name === 'env');
+  assert.equal(env.value, undefined);
+  assert.equal(env.raw, '?');
+  assert.deepEqual(describeVariables(notebook, 1).secrets, [{ name: 'deploy-token', set: false }]);
+});
+
+// Test 3: An edited value replaces just the value column of its row
+runTest('Replace a table value', () => {
+  assert.equal(replaceTableValue('region | eu-west-1 | AWS region', 1, 'us-east-2'), 'region | us-east-2 | AWS region');
+  assert.equal(replaceTableValue('| region |  eu-west-1  |', 2, 'ap-south-1'), '| region |  ap-south-1  |');
+  assert.equal(replaceTableValue('region|x', 1, 'y'), 'region| y');
+  assert.throws(() => replaceTableValue('region | x', 1, 'a | b'), /cannot contain \|/);
+});
+
+// Test 4: The view hides secret values in outputs and does not copy them
+runTest('Hide secret values in the view', () => {
+  setSecretValue('api-key', 'k3y-s3cr3t');
+  const env = vscode.env;
+  const showInformationMessage = vscode.window.showInformationMessage;
+  const copied = [];
+  const messages = [];
+  vscode.env = { clipboard: { writeText: async (text) => copied.push(text) } };
+  vscode.window.showInformationMessage = (message) => messages.push(message);
+  try {
+    const view = new VariablesView(null);
+    assert.equal(view.formatValue('Bearer k3y-s3cr3t'), 'Bearer ***');
+    view.copyVariable({ kind: 'outputs', variable: { name: 'header', value: 'Bearer k3y-s3cr3t' } });
+    assert.deepEqual(copied, []);
+    assert.deepEqual(messages, ['{{header}} holds a secret value, so it is not copied.']);
+  } finally {
+    forgetSecretValue('api-key');
+    vscode.env = env;
+    vscode.window.showInformationMessage = showInformationMessage;
+  }
+});
+
+console.log('\n✅ All Variable Inspector tests passed!');
\ No newline at end of file
@@ -0,0 +1,216 @@
+/**
+ * Simple tests for per-notebook variable scopes, workspace-global variables and their persistence
+ */
+
+// Mock vscode module before requiring our modules
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+
+Module.prototype.require = function (id) {
+  if (id === 'vscode') {
+    return require('./vscode-mock');
+  }
+  return originalRequire.apply(this, arguments);
+};
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  processVariableSubstitution,
+  getAllVariables,
+  storeCellOutput,
+  getCellOutput,
+  getCellOutputScopes,
+  importCellOutputs,
+  clearCellOutputs,
+  exportCellOutputs,
+  GLOBAL_SCOPE
+} = require('../src/utils/variableProcessor');
+const { VariableStore } = require('../src/services/variableStore');
+const { RunbookRunner } = require('../src/cli/runner');
+
+console.log('Running Variable Scopes tests...\n');
+
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${testName}`);
+  } catch (error) {
+    console.error(`✗ ${testName}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Create a notebook stand-in with a URI and no cells
+ */
+function createNotebook(name) {
+  return { uri: { toString: () => `file:///runbooks/${name}` }, getCells: () => [] };
+}
+
+/**
+ * Writable stream stand-in that collects what is written
+ */
+function createCapture() {
+  const capture = { text: '' };
+  capture.write = (chunk) => {
+    capture.text += chunk;
+  };
+  return capture;
+}
+
+async function runAll() {
+  const first = createNotebook('first.runbook.md');
+  const second = createNotebook('second.runbook.md');
+
+  // Test 1: Outputs belong to the notebook that stored them; global outputs are seen by every notebook
+  await runTest('Scope outputs to notebooks', () => {
+    clearCellOutputs();
+    storeCellOutput('host', 'db-1', 'echo db-1', first);
+    storeCellOutput('region', 'eu-west-1');
+    storeCellOutput('region', 'us-east-1', null, second);
+
+    assert.equal(getCellOutput('host', first), 'db-1');
+    assert.equal(getCellOutput('host', second), undefined);
+    assert.equal(getCellOutput('host'), undefined);
+    assert.equal(processVariableSubstitution('{{host}} {{region}}', first).processedCode, 'db-1 eu-west-1');
+    assert.deepEqual(processVariableSubstitution('{{host}}', second).errors.length, 1);
+    assert.deepEqual([...getAllVariables(second, 0)], [['region', 'us-east-1']]);
+    clearCellOutputs();
+  });
+
+  // Test 2: One notebook's outputs can be cleared, or imported into another notebook
+  await runTest('Clear and import notebook outputs', () => {
+    clearCellOutputs();
+    storeCellOutput('host', 'db-1', 'echo db-1', first);
+    storeCellOutput('port', '5432', null, first);
+    storeCellOutput('region', 'eu-west-1');
+
+    assert.equal(importCellOutputs('file:///runbooks/first.runbook.md', second), 2);
+    assert.equal(getCellOutput('port', second), '5432');
+    assert.equal(clearCellOutputs(first), 2);
+    assert.equal(getCellOutput('host', first), undefined);
+    assert.equal(getCellOutput('host', second), 'db-1');
+    assert.equal(getCellOutput('region', first), 'eu-west-1');
+    assert.deepEqual(getCellOutputScopes().map(({ scope }) => scope).sort(), [GLOBAL_SCOPE, 'file:///runbooks/second.runbook.md']);
+    clearCellOutputs();
+  });
+
+  // Test 3: Outputs are saved to the workspace state with timestamps and restored after a reload
+  await runTest('Persist outputs in the workspace state', async () => {
+    clearCellOutputs();
+    const values = new Map();
+    const state = {
+      get: (key, defaultValue) => values.has(key) ? values.get(key) : defaultValue,
+      update: async (key, value) => {
+        values.set(key, JSON.parse(JSON.stringify(value)));
+      }
+    };
+    const context = { subscriptions: [] };
+    const store = new VariableStore(state);
+    store.activate(context);
+
+    storeCellOutput('host', 'db-1', 'echo db-1', first);
+    storeCellOutput('region', 'eu-west-1');
+    await store.flush();
+    const saved = values.get('runbook-notebook.variables');
+    assert.equal(saved['file:///runbooks/first.runbook.md'].host.value, 'db-1');
+    assert.equal(saved['file:///runbooks/first.runbook.md'].host.source, 'echo db-1');
+    assert.ok(!isNaN(Date.parse(saved[GLOBAL_SCOPE].region.storedAt)));
+    context.subscriptions.forEach(subscription => subscription.dispose());
+
+    // A reload starts with nothing stored
+    clearCellOutputs();
+    new VariableStore(state).activate({ subscriptions: [] });
+    assert.equal(getCellOutput('host', first), 'db-1');
+    assert.equal(getCellOutput('region', second), 'eu-west-1');
+    assert.deepEqual(exportCellOutputs(), saved);
+    clearCellOutputs();
+  });
+
+  // Test 4: A cell marked global shares its output with other runbooks; other outputs stay in their runbook
+  await runTest('Share outputs of global cells', async () => {
+    clearCellOutputs();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runbook-scopes-'));
+    try {
+      const producer = path.join(dir, 'producer.runbook.md');
+      const consumer = path.join(dir, 'consumer.runbook.md');
+      fs.writeFileSync(producer, [
+        '```bash {id=cluster global=true}',
+        'echo "prod-eu"',
+        '```',
+        '',
+        '```bash {id=local}',
+        'echo "only here"',
+        '```',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(consumer, '```bash\necho "using {{cluster}}"\n```\n\n```bash\necho "{{local}}"\n```\n');
+
+      assert.equal((await new RunbookRunner({ stdout: createCapture(), stderr: createCapture() }).run(producer)).success, true);
+      const stdout = createCapture();
+      const stderr = createCapture();
+      const result = await new RunbookRunner({ stdout, stderr }).run(consumer);
+      assert.equal(result.success, false);
+      assert.equal(result.failedCell, 1);
+      assert.equal(stdout.text, 'using prod-eu\n');
+      assert.ok(stderr.text.includes("Variable 'local' not found"), stderr.text);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+    clearCellOutputs();
+  });
+
+  // Test 5: Outputs holding a secret value are used, but never saved to the workspace state
+  await runTest('Keep secret values out of the workspace state', async () => {
+    clearCellOutputs();
+    const values = new Map();
+    const state = {
+      get: (key, defaultValue) => values.has(key) ? values.get(key) : defaultValue,
+      update: async (key, value) => {
+        values.set(key, JSON.parse(JSON.stringify(value)));
+      }
+    };
+    const store = new VariableStore(state);
+    store.activate({ subscriptions: [] });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runbook-scopes-'));
+    process.env.RUNBOOK_SECRET_DEPLOY_TOKEN = 's3cr3t-t0ken';
+    try {
+      const file = path.join(dir, 'deploy.runbook.md');
+      fs.writeFileSync(file, [
+        '```bash',
+        'echo "::set-var tok={{secret:deploy-token}}::"',
+        'echo "::set-var user=deployer::"',
+        '```',
+        '',
+        '```bash {id=header}',
+        'echo "Bearer {{tok}}"',
+        '```',
+        ''
+      ].join('\n'));
+      const result = await new RunbookRunner({ stdout: createCapture(), stderr: createCapture() }).run(file);
+      assert.equal(result.success, true);
+      const notebook = { uri: { toString: () => `file://${file}` } };
+      // The secret is used by later cells, and hidden in their output
+      assert.equal(getCellOutput('tok', notebook), 's3cr3t-t0ken');
+      assert.equal(getCellOutput('header', notebook), 'Bearer ***');
+
+      await store.flush();
+      const saved = JSON.stringify(values.get('runbook-notebook.variables'));
+      assert.ok(!saved.includes('s3cr3t-t0ken'), saved);
+      assert.deepEqual(Object.keys(values.get('runbook-notebook.variables')[`file://${file}`]).sort(), ['header', 'user']);
+    } finally {
+      delete process.env.RUNBOOK_SECRET_DEPLOY_TOKEN;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+    clearCellOutputs();
+  });
+
+  console.log('\n✅ All Variable Scopes tests passed!');
+}
+
+runAll().catch(() => {
+  process.exit(1);
+});
\ No newline at end of file
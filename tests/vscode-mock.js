@@ -12,6 +12,15 @@ const vscode = {
       console.log(`[Info] ${message}`);
       return Promise.resolve(options[0]); // Return first option by default
     },
+    showInputBox: (options) => {
+      return Promise.resolve(undefined); // Dismissed
+    },
+    showQuickPick: (items, options) => {
+      return Promise.resolve(undefined); // Dismissed
+    },
+    withProgress: (options, task) => {
+      return task({ report: () => { } }, { isCancellationRequested: false, onCancellationRequested: () => ({ dispose: () => { } }) });
+    },
     createOutputChannel: (name) => {
       return {
         appendLine: (message) => {
@@ -24,7 +33,7 @@ const vscode = {
   workspace: {
     getConfiguration: (section) => {
       return {
-        get: (key) => false, // Default to false for scrolling setting
+        get: (key, defaultValue) => defaultValue !== undefined ? defaultValue : false, // Default to false for scrolling setting
         update: (key, value, target) => Promise.resolve()
       };
     },
@@ -38,15 +47,49 @@ const vscode = {
   ConfigurationTarget: {
     Workspace: 1
   },
+  ProgressLocation: {
+    SourceControl: 1,
+    Window: 10,
+    Notification: 15
+  },
+  NotebookCellKind: {
+    Markup: 1,
+    Code: 2
+  },
+  NotebookCellData: class {
+    constructor(kind, value, languageId) {
+      this.kind = kind;
+      this.value = value;
+      this.languageId = languageId;
+    }
+  },
+  NotebookData: class {
+    constructor(cells) {
+      this.cells = cells;
+    }
+  },
   NotebookCellOutput: class {
-    constructor(items) {
+    constructor(items, metadata) {
       this.items = items;
+      this.metadata = metadata;
     }
   },
   NotebookCellOutputItem: {
-    text: (content, mimeType) => ({
-      data: content,
+    text: (content, mimeType = 'text/plain') => ({
+      data: new TextEncoder().encode(content),
       mime: mimeType
+    }),
+    stdout: (content) => ({
+      data: new TextEncoder().encode(content),
+      mime: 'application/vnd.code.notebook.stdout'
+    }),
+    stderr: (content) => ({
+      data: new TextEncoder().encode(content),
+      mime: 'application/vnd.code.notebook.stderr'
+    }),
+    error: (error) => ({
+      data: new TextEncoder().encode(JSON.stringify({ name: error.name, message: error.message, stack: error.stack })),
+      mime: 'application/vnd.code.notebook.error'
     })
   }
 };